@@ -1,105 +1,137 @@
-// app.js - Main application entry point
+// app.js - Express application: demo routes behind the security stack
 const express = require('express');
 const helmet = require('helmet');
 const cookieParser = require('cookie-parser');
-const cors = require('cors');
 
-// Import custom middleware
-const rateLimiter = require('./middleware/rateLimiter');
-const ipBlacklist = require('./middleware/ipBlacklist');
-const sanitizer = require('./middleware/sanitizer');
+const config = require('./utils/config');
+const { createSecurityStack, storesFromEnv } = require('./securityStack');
+const { adminAuthConfigFromEnv } = require('./middleware/auth');
+const { wafConfigFromEnv } = require('./middleware/waf');
+const { csrfConfigFromEnv } = require('./middleware/csrf');
+const requestId = require('./middleware/requestId');
+const requestMetrics = require('./middleware/requestMetrics');
 
 // Import routes
-const publicRoutes = require('./routes/public');
-const protectedRoutes = require('./routes/protected');
-const adminRoutes = require('./routes/admin');
+const createPublicRouter = require('./routes/public');
+const createProtectedRouter = require('./routes/protected');
+const createMetricsRouter = require('./routes/metrics');
 
 // Import utilities
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
+const { getClientIP } = require('./utils/clientIp');
 const { errorResponse } = require('./utils/responseHelper');
 
-const app = express();
-const PORT = process.env.PORT || 60005;
-
-// Basic middleware setup
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
-
-// CORS configuration
-app.use(cors({
-  origin: process.env.NODE_ENV === 'production' ? 'https://yourdomain.com' : 'http://localhost:3000',
-  credentials: true
-}));
-
-// Security headers with Helmet
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-    },
-  },
-  crossOriginEmbedderPolicy: false // Disable for development
-}));
-
-// Custom security middleware (ORDER MATTERS!)
-app.use(ipBlacklist);           // 1. Block blacklisted IPs first
-app.use(rateLimiter);           // 2. Apply rate limiting
-app.use(sanitizer);             // 3. Sanitize all inputs
-
-// Logging middleware
-app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path} - IP: ${req.ip}`);
-  next();
+const csrfFailures = metrics.counter({
+  name: 'security_csrf_failures_total',
+  help: 'State-changing requests rejected for a missing or invalid CSRF token'
 });
 
-// Routes
-app.use('/api/public', publicRoutes);
-app.use('/api', protectedRoutes);
-app.use('/api/admin', adminRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+/**
+ * Security stack from the configuration and the environment
+ * The global limiter skips /api/public, which has its own policy (see routes/public.js).
+ */
+const createDefaultStack = () => {
+  const rateLimit = config.get('rateLimit');
+  return createSecurityStack({
+    rateLimit: {
+      ...rateLimit,
+      global: {
+        ...rateLimit.global,
+        skip: (req) => req.path === '/api/public' || req.path.startsWith('/api/public/')
+      }
+    },
+    ipLists: config.get('ipLists'),
+    cors: config.get('cors'),
+    auth: adminAuthConfigFromEnv(),
+    waf: wafConfigFromEnv(),
+    csrf: csrfConfigFromEnv(),
+    stores: storesFromEnv()
   });
-});
+};
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json(errorResponse('Route not found', 404));
-});
+/**
+ * Build the Express app (does not listen; see server.js)
+ * @param {object} [options]
+ * @param {object} [options.stack] - security stack to use (default: one built from the config)
+ * @returns {express.Application} with the stack on app.locals.securityStack
+ */
+const createApp = ({ stack = createDefaultStack() } = {}) => {
+  const app = express();
+  const { bodyLimit } = config.get('server');
+  app.locals.securityStack = stack;
 
-// Global error handler
-app.use((err, req, res, next) => {
-  logger.error(`Error: ${err.message}`, err);
-  
-  // CSRF error
-  if (err.code === 'EBADCSRFTOKEN') {
-    return res.status(403).json(errorResponse('Invalid CSRF token', 403));
-  }
-  
-  // Rate limit error
-  if (err.status === 429) {
-    return res.status(429).json(errorResponse('Too many requests', 429));
-  }
-  
-  // Default error response
-  const status = err.status || 500;
-  const message = process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message;
-  
-  res.status(status).json(errorResponse(message, status));
-});
+  // Correlation id for every request (logs, response header and body)
+  app.use(requestId);
+  app.use(requestMetrics);
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`🚀 Server running on port ${PORT}`);
-  logger.info(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+  // Basic middleware setup
+  app.use(express.json({ limit: bodyLimit }));
+  app.use(express.urlencoded({ extended: true, limit: bodyLimit }));
+  app.use(cookieParser());
+
+  // CORS policy from the cors config section (per-route overrides, see middleware/cors.js)
+  app.use(stack.cors);
+
+  // Security headers with Helmet (CSP directives from the securityHeaders config section)
+  app.use(helmet(config.get('securityHeaders')));
+
+  // Custom security middleware (ORDER MATTERS!): blacklist, rate limit, WAF, sanitizer
+  app.use(stack.middleware);
+
+  // Logging middleware
+  app.use((req, res, next) => {
+    logger.info(`${req.method} ${req.path} - IP: ${getClientIP(req)}`);
+    next();
+  });
+
+  // Routes
+  app.use('/api/public', createPublicRouter({ rateLimits: stack.rateLimits, limits: stack.settings.rateLimit.public }));
+  app.use('/api', createProtectedRouter({
+    rateLimits: stack.rateLimits,
+    limits: stack.settings.rateLimit.contact,
+    csrfProtection: stack.csrfProtection
+  }));
+  app.use('/api/admin', stack.adminRouter);
+  app.use('/metrics', createMetricsRouter({ auth: stack.auth }));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json(errorResponse('Route not found', 404));
+  });
+
+  // Global error handler
+  app.use((err, req, res, next) => {
+    logger.error(`Error: ${err.message}`, err);
+    
+    // CSRF error
+    if (err.code === 'EBADCSRFTOKEN') {
+      csrfFailures.inc();
+      return res.status(403).json(errorResponse('Invalid CSRF token', 403));
+    }
+    
+    // Rate limit error
+    if (err.status === 429) {
+      return res.status(429).json(errorResponse('Too many requests', 429));
+    }
+    
+    // Default error response
+    const status = err.status || 500;
+    const message = process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message;
+    
+    res.status(status).json(errorResponse(message, status));
+  });
+
+  return app;
+};
 
-module.exports = app;
\ No newline at end of file
+module.exports = createApp;
@@ -0,0 +1,49 @@
+// index.js - Library entry point: the security stack and its building blocks
+const { createSecurityStack, storesFromEnv } = require('./securityStack');
+const { createIPBlacklist, createIPListStore } = require('./middleware/ipBlacklist');
+const { createBanPolicy } = require('./middleware/banPolicy');
+const { createRateLimitRegistry, rateLimitStoresFromEnv, keyGenerators } = require('./middleware/rateLimiter');
+const { createWaf, wafConfigFromEnv } = require('./middleware/waf');
+const { createSanitizer } = require('./middleware/sanitizer');
+const { createCorsPolicy } = require('./middleware/cors');
+const { createApiKeyManager, createApiKeyStore } = require('./middleware/apiKeys');
+const { createAuthLockout } = require('./middleware/authLockout');
+const { createAdminAuth, adminAuthConfigFromEnv, ADMIN_SCOPES, ROLE_SCOPES } = require('./middleware/auth');
+const { createCsrfProtection, csrfConfigFromEnv } = require('./middleware/csrf');
+const { validateRequest } = require('./middleware/validation');
+const createAdminRouter = require('./routes/admin');
+const createMetricsRouter = require('./routes/metrics');
+const { AuditLog, createAuditStore } = require('./utils/auditLog');
+
+module.exports = {
+  createSecurityStack,
+  storesFromEnv,
+
+  // Components, for stacks assembled by hand
+  createIPBlacklist,
+  createBanPolicy,
+  createRateLimitRegistry,
+  createWaf,
+  createSanitizer,
+  createCorsPolicy,
+  createApiKeyManager,
+  createAuthLockout,
+  createAdminAuth,
+  createCsrfProtection,
+  validateRequest,
+  createAdminRouter,
+  createMetricsRouter,
+  AuditLog,
+  keyGenerators,
+  ADMIN_SCOPES,
+  ROLE_SCOPES,
+
+  // Settings and stores from the environment
+  adminAuthConfigFromEnv,
+  wafConfigFromEnv,
+  csrfConfigFromEnv,
+  createIPListStore,
+  createApiKeyStore,
+  createAuditStore,
+  rateLimitStoresFromEnv
+};
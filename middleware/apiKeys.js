@@ -0,0 +1,292 @@
+// middleware/apiKeys.js - Managed admin API keys
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../utils/logger');
+const MemoryApiKeyStore = require('../stores/memoryApiKeyStore');
+const FileApiKeyStore = require('../stores/fileApiKeyStore');
+
+// Configuration defaults (override per instance with createApiKeyManager(options))
+const API_KEY_CONFIG = {
+  defaultTtlMs: 90 * 24 * 60 * 60 * 1000,      // Keys issued without an expiry live 90 days
+  maxTtlMs: 365 * 24 * 60 * 60 * 1000,         // Longest expiry that can be requested
+  defaultGracePeriodMs: 24 * 60 * 60 * 1000,   // Old key keeps working this long after rotation
+  maxGracePeriodMs: 7 * 24 * 60 * 60 * 1000,
+  lastUsedWriteIntervalMs: 60 * 1000           // Persist lastUsedAt at most once a minute per key
+};
+
+// Keys look like smk_<16 hex id>_<43 char secret>; the id is public, only a hash of the secret is stored
+const KEY_PREFIX = 'smk_';
+const KEY_PATTERN = /^smk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Create the API key store selected by the environment
+ * API_KEY_STORE=memory keeps keys in memory only; the default is a JSON file
+ * (API_KEY_FILE, default data/api-keys.json)
+ */
+const createApiKeyStore = (env = process.env) => {
+  if (env.API_KEY_STORE === 'memory') {
+    return new MemoryApiKeyStore();
+  }
+  return new FileApiKeyStore(env.API_KEY_FILE || path.join(__dirname, '../data/api-keys.json'));
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+// Compared against when the key id is unknown, so lookups take the same time either way
+const DUMMY_HASH = hashSecret('unknown-key');
+
+/**
+ * Key status at a point in time: active, expired or revoked
+ */
+const keyStatus = (record, now = Date.now()) => {
+  if (record.revokedAt) return 'revoked';
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) return 'expired';
+  return 'active';
+};
+
+/**
+ * Record without its hash, safe to return from the admin API
+ */
+const toPublicRecord = (record) => {
+  const { hash, ...rest } = record;
+  return { ...rest, status: keyStatus(record) };
+};
+
+/**
+ * Whether a bearer token looks like a managed key (rather than a JWT)
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * Public id part of something shaped like a managed key, whether or not the secret is valid
+ * Used to track failed attempts against one key.
+ */
+const apiKeyPrefix = (token) => {
+  const match = typeof token === 'string' && token.match(/^smk_([0-9a-f]{16})_/);
+  return match ? match[1] : null;
+};
+
+/**
+ * API key manager factory
+ *
+ * Each manager owns its key records and the store that persists them. Call
+ * initialize() once before use to load the stored keys.
+ *
+ * @param {object} [options] - overrides of API_KEY_CONFIG, plus:
+ * @param {object} [options.store] - API key store (default: in memory)
+ * @returns {object} { initialize, issueApiKey, verifyApiKey, hasManagedKeys, listApiKeys,
+ *   getApiKey, revokeApiKey, rotateApiKey, config, close }
+ */
+const createApiKeyManager = ({ store = new MemoryApiKeyStore(), ...overrides } = {}) => {
+  const config = { ...API_KEY_CONFIG, ...overrides };
+
+  // Loaded key records by id
+  // Structure: { id: { id, name, hash, scopes, createdAt, createdBy, expiresAt,
+  //                    lastUsedAt, lastUsedIp, revokedAt, revokedBy, replacedBy, rotatedFrom } }
+  const apiKeys = new Map();
+
+  /**
+   * Write a change through to the store; failures are logged
+   */
+  const persist = (record, description) => {
+    store.save(record).catch(error => {
+      logger.error(`Failed to persist ${description}: ${error.message}`);
+    });
+  };
+
+  /**
+   * Load keys from the store (call once at startup)
+   */
+  const initialize = async () => {
+    const records = (await store.load()) || [];
+
+    apiKeys.clear();
+    records.forEach(record => apiKeys.set(record.id, record));
+    logger.info(`API keys ready: ${records.filter(record => keyStatus(record) === 'active').length} active`);
+  };
+
+  /**
+   * Issue a new key
+   * @param {object} options
+   * @param {string} options.name - label shown in listings and logs
+   * @param {string[]} options.scopes - scopes granted to the key
+   * @param {number} [options.expiresInMs] - lifetime; defaults to the defaultTtlMs setting
+   * @param {string} [options.createdBy] - who issued the key
+   * @param {string} [options.rotatedFrom] - id of the key this one replaces
+   * @returns {{ key: string, record: object }} the plaintext key is only available here
+   */
+  const issueApiKey = ({ name, scopes, expiresInMs, createdBy, rotatedFrom = null }) => {
+    const ttl = expiresInMs || config.defaultTtlMs;
+    if (ttl > config.maxTtlMs) {
+      throw new Error(`Key lifetime cannot exceed ${config.maxTtlMs}ms`);
+    }
+
+    let id;
+    do {
+      id = crypto.randomBytes(8).toString('hex');
+    } while (apiKeys.has(id));
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const now = Date.now();
+    const record = {
+      id,
+      name,
+      hash: hashSecret(secret).toString('hex'),
+      scopes: Array.from(new Set(scopes)),
+      createdAt: new Date(now).toISOString(),
+      createdBy: createdBy || 'system',
+      expiresAt: new Date(now + ttl).toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedBy: null,
+      replacedBy: null,
+      rotatedFrom
+    };
+
+    apiKeys.set(id, record);
+    persist(record, `API key ${id}`);
+    logger.info(`API key ${id} (${name}) issued by ${record.createdBy}`, { scopes: record.scopes, expiresAt: record.expiresAt });
+
+    return { key: `${KEY_PREFIX}${id}_${secret}`, record: toPublicRecord(record) };
+  };
+
+  /**
+   * Check a presented key
+   * Compares hashes in constant time and records when and from where the key was used.
+   * @returns {object|null} public record of the key, or null if unknown, expired or revoked
+   */
+  const verifyApiKey = (key, ip = null) => {
+    const match = typeof key === 'string' && key.match(KEY_PATTERN);
+    if (!match) return null;
+
+    const [, id, secret] = match;
+    const record = apiKeys.get(id);
+    const expected = record ? Buffer.from(record.hash, 'hex') : DUMMY_HASH;
+    const valid = crypto.timingSafeEqual(hashSecret(secret), expected);
+
+    if (!record || !valid || keyStatus(record) !== 'active') {
+      return null;
+    }
+
+    const now = Date.now();
+    const previousUse = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+    record.lastUsedAt = new Date(now).toISOString();
+    record.lastUsedIp = ip;
+    if (now - previousUse >= config.lastUsedWriteIntervalMs) {
+      persist(record, `last use of API key ${id}`);
+    }
+
+    return toPublicRecord(record);
+  };
+
+  /**
+   * Whether any managed key is usable right now (admin auth counts as configured)
+   * Revoked and expired keys do not count.
+   */
+  const hasManagedKeys = () => {
+    const now = Date.now();
+    for (const record of apiKeys.values()) {
+      if (keyStatus(record, now) === 'active') return true;
+    }
+    return false;
+  };
+
+  /**
+   * List every key (without hashes), newest first
+   */
+  const listApiKeys = () => {
+    return Array.from(apiKeys.values())
+      .map(toPublicRecord)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  };
+
+  const getApiKey = (id) => {
+    const record = apiKeys.get(id);
+    return record ? toPublicRecord(record) : null;
+  };
+
+  /**
+   * Revoke a key immediately
+   * @returns {object|null} updated record, or null if the key does not exist
+   */
+  const revokeApiKey = (id, revokedBy = 'system') => {
+    const record = apiKeys.get(id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      record.revokedBy = revokedBy;
+      persist(record, `revocation of API key ${id}`);
+      logger.warn(`API key ${id} (${record.name}) revoked by ${revokedBy}`);
+    }
+    return toPublicRecord(record);
+  };
+
+  /**
+   * Replace a key with a new one carrying the same name and scopes
+   * The old key keeps working for the grace period (0 revokes it right away).
+   * @returns {{ key: string, record: object, previous: object }}
+   */
+  const rotateApiKey = (id, { gracePeriodMs = config.defaultGracePeriodMs, expiresInMs, rotatedBy = 'system' } = {}) => {
+    const old = apiKeys.get(id);
+    if (!old) {
+      throw new Error(`Unknown API key: ${id}`);
+    }
+    if (keyStatus(old) !== 'active') {
+      throw new Error(`API key ${id} is ${keyStatus(old)} and cannot be rotated`);
+    }
+    if (gracePeriodMs > config.maxGracePeriodMs) {
+      throw new Error(`Grace period cannot exceed ${config.maxGracePeriodMs}ms`);
+    }
+
+    const issued = issueApiKey({
+      name: old.name,
+      scopes: old.scopes,
+      expiresInMs,
+      createdBy: rotatedBy,
+      rotatedFrom: id
+    });
+
+    old.replacedBy = issued.record.id;
+    if (gracePeriodMs === 0) {
+      old.revokedAt = new Date().toISOString();
+      old.revokedBy = rotatedBy;
+    } else {
+      const graceEnd = Date.now() + gracePeriodMs;
+      if (Date.parse(old.expiresAt) > graceEnd) {
+        old.expiresAt = new Date(graceEnd).toISOString();
+      }
+    }
+    persist(old, `rotation of API key ${id}`);
+    logger.info(`API key ${id} (${old.name}) rotated to ${issued.record.id} by ${rotatedBy}, old key valid until ${old.revokedAt || old.expiresAt}`);
+
+    return { ...issued, previous: toPublicRecord(old) };
+  };
+
+  /**
+   * Close the store once pending writes have landed
+   */
+  const close = () => store.close();
+
+  return {
+    initialize,
+    issueApiKey,
+    verifyApiKey,
+    hasManagedKeys,
+    listApiKeys,
+    getApiKey,
+    revokeApiKey,
+    rotateApiKey,
+    config,
+    close
+  };
+};
+
+module.exports = {
+  createApiKeyManager,
+  createApiKeyStore,
+  isApiKey,
+  apiKeyPrefix,
+  API_KEY_CONFIG
+};
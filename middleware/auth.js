@@ -1,66 +1,312 @@
+const crypto = require('crypto');
 const { errorResponse } = require('../utils/responseHelper');
 const logger = require('../utils/logger');
+const { getClientIP } = require('../utils/clientIp');
+const { JwtVerifier, JwtError, loadKeys } = require('../utils/jwt');
+const { isApiKey, apiKeyPrefix, createApiKeyManager } = require('./apiKeys');
+const { AuditLog } = require('../utils/auditLog');
+const MemoryAuditStore = require('../stores/memoryAuditStore');
+const metrics = require('../utils/metrics');
 
-// Simple API key for admin access (in production, use JWT or OAuth)
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'admin-secret-key-2024';
+// Scopes understood by the admin API
+const ADMIN_SCOPES = [
+  'blacklist:read',
+  'blacklist:write',
+  'ratelimit:read',
+  'ratelimit:write',
+  'stats:read',
+  'keys:read',
+  'keys:write',
+  'audit:read',
+  'metrics:read'
+];
+
+// Scopes granted by each role ("*" grants every scope)
+const ROLE_SCOPES = {
+  admin: ['*'],
+  operator: ['blacklist:read', 'blacklist:write', 'ratelimit:read', 'ratelimit:write', 'stats:read', 'metrics:read'],
+  viewer: ['blacklist:read', 'ratelimit:read', 'stats:read', 'metrics:read']
+};
+
+// reason: missing_credentials, invalid_credentials, locked_out or insufficient_scope
+const authFailures = metrics.counter({
+  name: 'security_auth_failures_total',
+  help: 'Rejected admin requests by reason',
+  labelNames: ['reason']
+});
 
 /**
- * Admin authentication middleware
- * Checks for valid API key in Authorization header
+ * Read admin authentication settings from the environment
+ *   JWT_SECRET                 HS256 shared secret
+ *   JWT_PUBLIC_KEY_FILES       comma-separated PEM public keys (RS*, ES*)
+ *   JWT_JWKS_FILE              JSON Web Key Set file
+ *   JWT_ALGORITHMS             accepted algorithms (default: whatever the keys support)
+ *   JWT_ISSUER / JWT_AUDIENCE  expected iss / aud (comma-separated)
+ *   JWT_CLOCK_TOLERANCE        allowed clock skew in seconds (default 30)
+ *   ADMIN_API_KEY              optional static key with the admin role (legacy)
  */
-const requireAdmin = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
-    return res.status(401).json(errorResponse('Authorization header required', 401));
-  }
-  
-  // Expected format: "Bearer your-api-key"
-  const token = authHeader.split(' ')[1];
-  
-  if (!token) {
-    return res.status(401).json(errorResponse('Invalid authorization format', 401));
-  }
-  
-  if (token !== ADMIN_API_KEY) {
-    logger.warn(`Invalid admin API key attempt from IP: ${req.ip}`);
-    return res.status(403).json(errorResponse('Invalid API key', 403));
+const adminAuthConfigFromEnv = (env = process.env) => {
+  const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+  return {
+    secret: env.JWT_SECRET,
+    publicKeyFiles: list(env.JWT_PUBLIC_KEY_FILES),
+    jwksFile: env.JWT_JWKS_FILE,
+    algorithms: list(env.JWT_ALGORITHMS),
+    issuer: list(env.JWT_ISSUER),
+    audience: list(env.JWT_AUDIENCE),
+    clockToleranceSec: env.JWT_CLOCK_TOLERANCE !== undefined ? Number(env.JWT_CLOCK_TOLERANCE) : 30,
+    apiKey: env.ADMIN_API_KEY
+  };
+};
+
+/**
+ * Scopes granted by a token: explicit `scope` ("a b") or `scp` (array) claims plus role scopes
+ */
+const grantedScopes = (claims) => {
+  const scopes = new Set();
+  const explicit = typeof claims.scope === 'string' ? claims.scope.split(' ') : claims.scp;
+  if (Array.isArray(explicit)) {
+    explicit.filter(Boolean).forEach(scope => scopes.add(scope));
   }
-  
-  // Add admin flag to request object
-  req.isAdmin = true;
-  logger.info(`Admin access granted to IP: ${req.ip}`);
-  
-  next();
+  // Own properties only: a role named "constructor" or "__proto__" grants nothing
+  [].concat(claims.roles || []).forEach(role => {
+    if (Object.prototype.hasOwnProperty.call(ROLE_SCOPES, role)) {
+      ROLE_SCOPES[role].forEach(scope => scopes.add(scope));
+    }
+  });
+  return Array.from(scopes);
 };
 
 /**
- * Optional: Basic rate limiting for admin routes
+ * Whether an authenticated admin holds a scope
  */
-const adminRateLimit = (() => {
-  const adminRequests = new Map();
-  const ADMIN_RATE_LIMIT = 50; // requests per hour
-  const ADMIN_WINDOW = 60 * 60 * 1000; // 1 hour in ms
-  
-  return (req, res, next) => {
-    const ip = req.ip;
-    const now = Date.now();
-    const windowStart = now - ADMIN_WINDOW;
-    
-    let ipData = adminRequests.get(ip) || [];
-    ipData = ipData.filter(timestamp => timestamp > windowStart);
-    
-    if (ipData.length >= ADMIN_RATE_LIMIT) {
-      return res.status(429).json(errorResponse('Admin rate limit exceeded', 429));
+const hasScope = (user, scope) => user.scopes.includes('*') || user.scopes.includes(scope);
+
+/**
+ * Admin authentication factory
+ *
+ * Each instance has its own key sources (JWT keys, legacy static key and the
+ * managed keys of `apiKeys`). Failed attempts go to `authLockout` and
+ * `banPolicy` when given; authentication events are recorded in `auditLog`.
+ *
+ * @param {object} [options] - key sources as returned by adminAuthConfigFromEnv, plus:
+ * @param {object} [options.apiKeys] - manager created with createApiKeyManager (default: empty)
+ * @param {object} [options.authLockout] - lockout created with createAuthLockout
+ * @param {object} [options.banPolicy] - ban policy created with createBanPolicy
+ * @param {object} [options.auditLog] - audit log (default: a new in-memory one)
+ * @returns {object} { requireAdmin, requireScope, configureAdminAuth }
+ */
+const createAdminAuth = ({
+  apiKeys = createApiKeyManager(),
+  authLockout = null,
+  banPolicy = null,
+  auditLog = new AuditLog(new MemoryAuditStore()),
+  ...authOptions
+} = {}) => {
+  // Active verifier and legacy key; replaced by configureAdminAuth
+  let verifier = null;
+  let staticApiKey = null;
+
+  /**
+   * (Re)configure admin authentication
+   * Without any key source (JWT keys, static key or managed keys), admin routes
+   * answer 503 instead of falling back to a default secret.
+   */
+  const configureAdminAuth = (options = {}) => {
+    const { secret, publicKeyFiles, jwksFile, apiKey, ...verifyOptions } = options;
+    const keys = loadKeys({ secret, publicKeyFiles, jwksFile });
+
+    verifier = keys.length > 0 ? new JwtVerifier({ keys, ...verifyOptions }) : null;
+    staticApiKey = apiKey ? Buffer.from(apiKey) : null;
+
+    if (verifier) {
+      logger.info(`Admin JWT authentication enabled (${verifier.algorithms.join(', ')})`);
+    }
+    if (staticApiKey) {
+      logger.warn('ADMIN_API_KEY is set; the static admin key grants full access, prefer JWTs');
+    }
+    if (!verifier && !staticApiKey) {
+      logger.warn('No JWT keys or ADMIN_API_KEY configured; admin routes only accept managed API keys');
+    }
+  };
+
+  /**
+   * Constant-time comparison with the legacy static key
+   */
+  const matchesStaticKey = (token) => {
+    if (!staticApiKey) return false;
+    const candidate = Buffer.from(token);
+    return candidate.length === staticApiKey.length && crypto.timingSafeEqual(candidate, staticApiKey);
+  };
+
+  /**
+   * Check a bearer token against managed keys, the legacy static key and JWTs
+   * @returns {{ user: object, apiKey?: object } | { failure: string, guessing: boolean }}
+   *   `failure` is only logged; `guessing` is false for stale but genuine credentials
+   */
+  const authenticate = (token, clientIP) => {
+    if (isApiKey(token)) {
+      const key = apiKeys.verifyApiKey(token, clientIP);
+      if (!key) return { failure: 'unknown, expired or revoked API key', guessing: true };
+      return {
+        user: { id: `key:${key.id}`, roles: [], scopes: key.scopes, authMethod: 'api-key' },
+        apiKey: { id: key.id, name: key.name }
+      };
+    }
+
+    if (matchesStaticKey(token)) {
+      return { user: { id: 'static-admin-key', roles: ['admin'], scopes: ['*'], authMethod: 'static-key' } };
+    }
+
+    if (!verifier) return { failure: 'not a recognised key', guessing: true };
+
+    let claims;
+    try {
+      claims = verifier.verify(token);
+    } catch (error) {
+      if (!(error instanceof JwtError)) throw error;
+      // An expired token is a stale session, not a guessing attempt
+      return { failure: `JWT rejected: ${error.message}`, guessing: error.code !== 'expired' };
     }
-    
-    ipData.push(now);
-    adminRequests.set(ip, ipData);
+
+    return {
+      user: {
+        id: claims.sub || 'unknown',
+        roles: [].concat(claims.roles || []),
+        scopes: grantedScopes(claims),
+        authMethod: 'jwt'
+      }
+    };
+  };
+
+  /**
+   * Generic 401 for every kind of bad credential, so responses never reveal
+   * whether a key was well-formed, unknown, expired or wrongly signed
+   */
+  const rejectCredentials = (res) => {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json(errorResponse('Invalid credentials', 401));
+  };
+
+  /**
+   * Admin authentication middleware
+   * Accepts "Authorization: Bearer <jwt | managed API key>" (or the legacy static key)
+   * and sets req.user = { id, roles, scopes, authMethod }; managed keys also set
+   * req.apiKey = { id, name }. Authorization per route is up to requireScope.
+   * Repeated failures lock the IP (and the targeted key) out, see authLockout.js.
+   */
+  const requireAdmin = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader) {
+      authFailures.inc({ reason: 'missing_credentials' });
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json(errorResponse('Authorization header required', 401));
+    }
+
+    if (!verifier && !staticApiKey && !apiKeys.hasManagedKeys()) {
+      return res.status(503).json(errorResponse('Admin authentication is not configured', 503));
+    }
+
+    // Expected format: "Bearer <token>"
+    const [scheme, token] = authHeader.split(' ');
+    const clientIP = getClientIP(req);
+
+    // Refuse locked-out attempts before looking at the credentials, valid or not.
+    // They do not extend the lockout, but still count toward a ban.
+    const lockout = authLockout ? authLockout.checkLockout(clientIP, token) : { locked: false };
+    if (lockout.locked) {
+      const retryAfter = Math.ceil(lockout.retryAfterMs / 1000);
+      logger.warn(`Admin authentication attempt from IP: ${clientIP} refused, ${lockout.subject} is locked out`);
+      authFailures.inc({ reason: 'locked_out' });
+      if (banPolicy) banPolicy.recordOffence(clientIP, 'invalidAdminKey', `${req.method} ${req.originalUrl} (locked out)`);
+      auditLog.record({ req, action: 'auth.locked_out', result: 'denied', resource: lockout.subject, details: { retryAfter } });
+      res.set('Retry-After', retryAfter);
+      return res.status(429).json(errorResponse('Too many failed authentication attempts, try again later', 429, {
+        retryAfter: retryAfter
+      }));
+    }
+
+    const result = scheme === 'Bearer' && token
+      ? authenticate(token, clientIP)
+      : { failure: 'malformed authorization header', guessing: true };
+
+    if (result.failure) {
+      logger.warn(`Admin authentication failed from IP: ${clientIP} (${result.failure})`);
+      authFailures.inc({ reason: 'invalid_credentials' });
+      auditLog.record({
+        req,
+        action: 'auth.failure',
+        result: 'failure',
+        resource: apiKeyPrefix(token) ? `key:${apiKeyPrefix(token)}` : null,
+        details: { reason: result.failure, path: `${req.method} ${req.originalUrl}` }
+      });
+      if (result.guessing) {
+        if (authLockout) authLockout.recordAuthFailure(clientIP, token, result.failure);
+        if (banPolicy) banPolicy.recordOffence(clientIP, 'invalidAdminKey', `${req.method} ${req.originalUrl}`);
+      }
+      return rejectCredentials(res);
+    }
+
+    if (authLockout) authLockout.recordAuthSuccess(clientIP, token);
+    req.user = result.user;
+    if (result.apiKey) req.apiKey = result.apiKey;
+
+    // Add admin flag to request object
+    req.isAdmin = true;
+    const keyName = result.apiKey ? ` (${result.apiKey.name})` : '';
+    logger.info(`Admin access granted to ${req.user.id}${keyName} from IP: ${clientIP}`);
+
     next();
   };
-})();
+
+  /**
+   * Require every listed scope (use after requireAdmin)
+   * @example router.post('/blacklist', requireScope('blacklist:write'), handler)
+   */
+  const requireScope = (...scopes) => {
+    const unknown = scopes.filter(scope => !ADMIN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope: ${unknown.join(', ')}`);
+    }
+
+    return (req, res, next) => {
+      const missing = req.user ? scopes.filter(scope => !hasScope(req.user, scope)) : scopes;
+
+      if (missing.length > 0) {
+        logger.warn(`Admin ${req.user ? req.user.id : 'anonymous'} lacks scope ${missing.join(', ')} for ${req.method} ${req.originalUrl}`);
+        authFailures.inc({ reason: 'insufficient_scope' });
+        auditLog.record({
+          req,
+          action: 'auth.insufficient_scope',
+          result: 'denied',
+          resource: `${req.method} ${req.originalUrl}`,
+          details: { required: scopes, missing }
+        });
+        res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scopes.join(' ')}"`);
+        return res.status(403).json(errorResponse('Insufficient scope', 403, {
+          required: scopes,
+          missing: missing
+        }));
+      }
+
+      next();
+    };
+  };
+
+  configureAdminAuth(authOptions);
+
+  return {
+    requireAdmin,
+    requireScope,
+    configureAdminAuth
+  };
+};
 
 module.exports = {
-  requireAdmin,
-  adminRateLimit
-};
\ No newline at end of file
+  createAdminAuth,
+  hasScope,
+  adminAuthConfigFromEnv,
+  ADMIN_SCOPES,
+  ROLE_SCOPES
+};
@@ -0,0 +1,214 @@
+// middleware/authLockout.js - Progressive lockout after failed admin authentication
+const logger = require('../utils/logger');
+const { normalizeIP } = require('../utils/ipAddress');
+const { apiKeyPrefix } = require('./apiKeys');
+
+// Configuration defaults (override per instance with createAuthLockout(options))
+// The first `freeAttempts` failures in a streak cost nothing. Every failure
+// after that locks the subject out for `baseLockoutMs`, multiplied by
+// `lockoutMultiplier` per extra failure, up to `maxLockoutMs`. A streak is
+// forgotten after `resetAfterMs` without failures. Continued failures also count
+// as `invalidAdminKey` offences, which end in a temporary ban (see banPolicy.js).
+const AUTH_LOCKOUT_CONFIG = {
+  enabled: true,
+  freeAttempts: 3,
+  baseLockoutMs: 1000,               // first lockout: 1 second
+  lockoutMultiplier: 2,              // each further failure doubles it
+  maxLockoutMs: 15 * 60 * 1000,      // never longer than 15 minutes
+  resetAfterMs: 30 * 60 * 1000       // quiet period that ends a streak
+};
+
+/**
+ * Subjects an attempt is tracked under: the client IP and, for managed keys,
+ * the key id from that IP. The key id is the public part of the key, so a
+ * streak on the id alone would let anyone lock the real holder out.
+ */
+const subjectsFor = (ip, token) => {
+  const address = normalizeIP(ip) || ip;
+  const subjects = [`ip:${address}`];
+  const keyId = apiKeyPrefix(token);
+  if (keyId) subjects.push(`key:${keyId}@${address}`);
+  return subjects;
+};
+
+/**
+ * Auth lockout factory
+ *
+ * Each instance keeps its own failure streaks and lockouts.
+ *
+ * @param {object} [overrides] - overrides of AUTH_LOCKOUT_CONFIG
+ * @returns {object} { checkLockout, recordAuthFailure, recordAuthSuccess, getAuthLockoutStats,
+ *   clearLockout, clearAllLockouts, configureAuthLockout, config, close }
+ */
+const createAuthLockout = (overrides = {}) => {
+  const config = { ...AUTH_LOCKOUT_CONFIG };
+
+  // Failure streaks per subject: "ip:<address>" or "key:<managed key id>@<address>"
+  // Structure: { subject: { failures, firstFailureAt, lastFailureAt, lockedUntil, lastReason } }
+  const streaks = new Map();
+
+  /**
+   * Update lockout settings
+   */
+  const configureAuthLockout = (overrides = {}) => {
+    Object.assign(config, overrides);
+    return config;
+  };
+
+  configureAuthLockout(overrides);
+
+  const lockoutDuration = (failures) => {
+    const { freeAttempts, baseLockoutMs, lockoutMultiplier, maxLockoutMs } = config;
+    if (failures <= freeAttempts) return 0;
+    return Math.min(baseLockoutMs * Math.pow(lockoutMultiplier, failures - freeAttempts - 1), maxLockoutMs);
+  };
+
+  /**
+   * Check whether an attempt must be refused before looking at the credentials
+   * @returns {{ locked: boolean, retryAfterMs?: number, subject?: string }}
+   */
+  const checkLockout = (ip, token, now = Date.now()) => {
+    if (!config.enabled) return { locked: false };
+
+    let longest = null;
+    for (const subject of subjectsFor(ip, token)) {
+      const streak = streaks.get(subject);
+      if (streak && streak.lockedUntil > now && (!longest || streak.lockedUntil > longest.lockedUntil)) {
+        longest = { subject, lockedUntil: streak.lockedUntil };
+      }
+    }
+
+    if (!longest) return { locked: false };
+    return { locked: true, retryAfterMs: longest.lockedUntil - now, subject: longest.subject };
+  };
+
+  /**
+   * Record a failed attempt for every subject it is tracked under
+   * @returns {{ lockedUntil: number|null }} the latest lockout now in force
+   */
+  const recordAuthFailure = (ip, token, reason, now = Date.now()) => {
+    if (!config.enabled) return { lockedUntil: null };
+
+    let lockedUntil = null;
+    for (const subject of subjectsFor(ip, token)) {
+      let streak = streaks.get(subject);
+      if (!streak || now - streak.lastFailureAt >= config.resetAfterMs) {
+        streak = { failures: 0, firstFailureAt: now, lastFailureAt: now, lockedUntil: 0, lastReason: null };
+        streaks.set(subject, streak);
+      }
+
+      streak.failures++;
+      streak.lastFailureAt = now;
+      streak.lastReason = reason;
+
+      const duration = lockoutDuration(streak.failures);
+      if (duration > 0) {
+        streak.lockedUntil = Math.max(streak.lockedUntil, now + duration);
+        lockedUntil = Math.max(lockedUntil || 0, streak.lockedUntil);
+        logger.warn(`Admin authentication locked for ${subject} for ${Math.ceil(duration / 1000)}s after ${streak.failures} failures`);
+      }
+    }
+
+    return { lockedUntil };
+  };
+
+  /**
+   * A successful login ends the streaks of its subjects
+   */
+  const recordAuthSuccess = (ip, token) => {
+    subjectsFor(ip, token).forEach(subject => streaks.delete(subject));
+  };
+
+  /**
+   * Drop streaks that have gone quiet
+   */
+  const cleanupStreaks = () => {
+    const now = Date.now();
+    for (const [subject, streak] of streaks.entries()) {
+      if (streak.lockedUntil <= now && now - streak.lastFailureAt >= config.resetAfterMs) {
+        streaks.delete(subject);
+      }
+    }
+  };
+
+  const cleanupTimer = setInterval(cleanupStreaks, 60 * 1000);
+  cleanupTimer.unref();
+
+  /**
+   * Current failure streaks and lockouts (for admin routes)
+   */
+  const getAuthLockoutStats = () => {
+    const now = Date.now();
+    const subjects = Array.from(streaks.entries()).map(([subject, streak]) => ({
+      subject,
+      failures: streak.failures,
+      firstFailureAt: new Date(streak.firstFailureAt).toISOString(),
+      lastFailureAt: new Date(streak.lastFailureAt).toISOString(),
+      lastReason: streak.lastReason,
+      locked: streak.lockedUntil > now,
+      lockedUntil: streak.lockedUntil > now ? new Date(streak.lockedUntil).toISOString() : null
+    }));
+
+    return {
+      enabled: config.enabled,
+      tracked: subjects.length,
+      activeLockouts: subjects.filter(entry => entry.locked).length,
+      subjects: subjects.sort((a, b) => b.failures - a.failures)
+    };
+  };
+
+  /**
+   * Clear the streak for one subject (admin function). Clearing an IP also
+   * clears the key streaks from that IP.
+   * @param {string} subject - "ip:<address>", "key:<key id>@<address>" or a bare IP address
+   * @returns {boolean} whether anything was cleared
+   */
+  const clearLockout = (subject) => {
+    if (subject.startsWith('key:')) {
+      return streaks.delete(subject);
+    }
+    const ip = subject.startsWith('ip:') ? subject.slice(3) : subject;
+    const address = normalizeIP(ip) || ip;
+    let cleared = streaks.delete(`ip:${address}`);
+    for (const key of Array.from(streaks.keys())) {
+      if (key.startsWith('key:') && key.endsWith(`@${address}`)) {
+        cleared = streaks.delete(key) || cleared;
+      }
+    }
+    return cleared;
+  };
+
+  /**
+   * Clear every streak (admin function)
+   * @returns {number} number of subjects cleared
+   */
+  const clearAllLockouts = () => {
+    const count = streaks.size;
+    streaks.clear();
+    return count;
+  };
+
+  /**
+   * Stop the periodic cleanup
+   */
+  const close = () => {
+    clearInterval(cleanupTimer);
+  };
+
+  return {
+    checkLockout,
+    recordAuthFailure,
+    recordAuthSuccess,
+    getAuthLockoutStats,
+    clearLockout,
+    clearAllLockouts,
+    configureAuthLockout,
+    config,
+    close
+  };
+};
+
+module.exports = {
+  createAuthLockout,
+  AUTH_LOCKOUT_CONFIG
+};
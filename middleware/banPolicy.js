@@ -0,0 +1,223 @@
+// middleware/banPolicy.js - Automatic ban escalation for repeat offenders
+const logger = require('../utils/logger');
+const { AuditLog } = require('../utils/auditLog');
+const MemoryAuditStore = require('../stores/memoryAuditStore');
+const { normalizeIP } = require('../utils/ipAddress');
+
+// Configuration defaults (override per instance with createBanPolicy(options))
+// An IP that commits `maxOffences` offences of one type within `windowMs`
+// is banned. Each ban within `banHistoryMs` of a previous one is multiplied
+// by `banMultiplier`, up to `maxBanMs`.
+const BAN_POLICY_CONFIG = {
+  enabled: true,
+  offences: {
+    rateLimit: { maxOffences: 20, windowMs: 10 * 60 * 1000 },        // 429 responses
+    invalidAdminKey: { maxOffences: 10, windowMs: 15 * 60 * 1000 },  // rejected admin credentials (after lockouts, see authLockout.js)
+    sanitizerRejection: { maxOffences: 10, windowMs: 10 * 60 * 1000 }, // requests with dangerous keys
+    wafBlock: { maxOffences: 5, windowMs: 10 * 60 * 1000 }             // requests blocked by WAF rules
+  },
+  baseBanMs: 15 * 60 * 1000,          // first automatic ban: 15 minutes
+  banMultiplier: 2,                   // each repeat ban doubles
+  maxBanMs: 24 * 60 * 60 * 1000,      // never longer than a day
+  banHistoryMs: 7 * 24 * 60 * 60 * 1000 // how long past bans count toward escalation
+};
+
+/**
+ * Ban policy factory
+ *
+ * Each instance keeps its own offence counts and ban history, and bans through
+ * the given IP blacklist. Automatic bans are recorded in `auditLog`.
+ *
+ * @param {object} options - overrides of BAN_POLICY_CONFIG, plus:
+ * @param {object} options.ipBlacklist - blacklist created with createIPBlacklist
+ * @param {object} [options.auditLog] - audit log (default: a new in-memory one)
+ * @returns {object} { recordOffence, configureBanPolicy, getBanPolicyStats, resetOffences, config, close }
+ */
+const createBanPolicy = ({ ipBlacklist, auditLog = new AuditLog(new MemoryAuditStore()), ...overrides } = {}) => {
+  if (!ipBlacklist) {
+    throw new Error('createBanPolicy requires an ipBlacklist');
+  }
+  const config = { ...BAN_POLICY_CONFIG, offences: { ...BAN_POLICY_CONFIG.offences } };
+
+  // Recent offences per IP
+  // Structure: { ip: { type: [{ timestamp, detail }] } }
+  const offenceStore = new Map();
+
+  // Automatic ban history per IP
+  // Structure: { ip: { count: number, lastBanAt: timestamp } }
+  const banHistory = new Map();
+
+  /**
+   * Update policy settings
+   * Offence thresholds are merged per type, so one type can be tuned alone.
+   */
+  const configureBanPolicy = (overrides = {}) => {
+    const { offences, ...rest } = overrides;
+    Object.assign(config, rest);
+
+    for (const [type, threshold] of Object.entries(offences || {})) {
+      config.offences[type] = { ...config.offences[type], ...threshold };
+    }
+
+    return config;
+  };
+
+  configureBanPolicy(overrides);
+
+  /**
+   * Work out how long the next ban for an IP should last
+   */
+  const getBanDuration = (ip, now) => {
+    const history = banHistory.get(ip);
+    const previousBans = history && now - history.lastBanAt < config.banHistoryMs ? history.count : 0;
+
+    const duration = config.baseBanMs * Math.pow(config.banMultiplier, previousBans);
+    return { duration: Math.min(duration, config.maxBanMs), level: previousBans + 1 };
+  };
+
+  /**
+   * Record an offence for an IP and ban it if it crossed the threshold
+   * @param {string} ip - client IP address
+   * @param {string} type - offence type, a key of the offences setting
+   * @param {string} [detail] - short description kept with the offence for the ban log
+   * @returns {{ banned: boolean, durationMs?: number }}
+   */
+  const recordOffence = (ip, type, detail = null) => {
+    const threshold = config.offences[type];
+    if (!config.enabled || !threshold) {
+      return { banned: false };
+    }
+
+    const clientIP = normalizeIP(ip);
+    if (!clientIP || ipBlacklist.isWhitelisted(clientIP) || ipBlacklist.isBlacklisted(clientIP)) {
+      return { banned: false };
+    }
+
+    const now = Date.now();
+    const ipOffences = offenceStore.get(clientIP) || {};
+    const recent = (ipOffences[type] || []).filter(offence => offence.timestamp > now - threshold.windowMs);
+    recent.push({ timestamp: now, detail });
+    ipOffences[type] = recent;
+    offenceStore.set(clientIP, ipOffences);
+
+    if (recent.length < threshold.maxOffences) {
+      return { banned: false };
+    }
+
+    const { duration, level } = getBanDuration(clientIP, now);
+    const reason = `Automatic ban: ${recent.length} ${type} offences within ${Math.round(threshold.windowMs / 1000)}s`;
+
+    try {
+      ipBlacklist.addToBlacklist(clientIP, { durationMs: duration, reason, createdBy: 'ban-policy' });
+    } catch (error) {
+      logger.error(`Automatic ban of ${clientIP} failed: ${error.message}`);
+      return { banned: false };
+    }
+
+    banHistory.set(clientIP, { count: level, lastBanAt: now });
+    offenceStore.delete(clientIP);
+    auditLog.record({
+      actor: { id: 'ban-policy' },
+      action: 'blacklist.auto_ban',
+      resource: clientIP,
+      details: { type, level, durationMs: duration, offences: recent.length }
+    });
+
+    logger.warn(`Automatically banned IP ${clientIP} for ${Math.round(duration / 1000)}s (ban #${level})`, {
+      type,
+      offences: recent.map(offence => ({
+        at: new Date(offence.timestamp).toISOString(),
+        detail: offence.detail
+      }))
+    });
+
+    return { banned: true, durationMs: duration };
+  };
+
+  /**
+   * Drop offences and ban history that can no longer affect a decision
+   */
+  const cleanupOffences = () => {
+    const now = Date.now();
+
+    for (const [ip, ipOffences] of offenceStore.entries()) {
+      for (const [type, offences] of Object.entries(ipOffences)) {
+        const windowMs = config.offences[type]?.windowMs || 0;
+        const recent = offences.filter(offence => offence.timestamp > now - windowMs);
+        if (recent.length > 0) {
+          ipOffences[type] = recent;
+        } else {
+          delete ipOffences[type];
+        }
+      }
+      if (Object.keys(ipOffences).length === 0) {
+        offenceStore.delete(ip);
+      }
+    }
+
+    for (const [ip, history] of banHistory.entries()) {
+      if (now - history.lastBanAt >= config.banHistoryMs) {
+        banHistory.delete(ip);
+      }
+    }
+  };
+
+  const cleanupTimer = setInterval(cleanupOffences, 60 * 1000);
+  cleanupTimer.unref();
+
+  /**
+   * Get ban policy stats (for admin routes)
+   */
+  const getBanPolicyStats = () => {
+    const offenders = [];
+    for (const [ip, ipOffences] of offenceStore.entries()) {
+      const counts = {};
+      for (const [type, offences] of Object.entries(ipOffences)) {
+        counts[type] = offences.length;
+      }
+      offenders.push({ ip, offences: counts });
+    }
+
+    return {
+      enabled: config.enabled,
+      trackedIPs: offenceStore.size,
+      offenders: offenders,
+      repeatOffenders: Array.from(banHistory.entries()).map(([ip, history]) => ({
+        ip,
+        automaticBans: history.count,
+        lastBanAt: new Date(history.lastBanAt).toISOString()
+      }))
+    };
+  };
+
+  /**
+   * Forget offences and ban history for an IP (admin function)
+   */
+  const resetOffences = (ip) => {
+    const clientIP = normalizeIP(ip) || ip;
+    const hadOffences = offenceStore.delete(clientIP);
+    const hadHistory = banHistory.delete(clientIP);
+    return hadOffences || hadHistory;
+  };
+
+  /**
+   * Stop the periodic cleanup
+   */
+  const close = () => {
+    clearInterval(cleanupTimer);
+  };
+
+  return {
+    recordOffence,
+    configureBanPolicy,
+    getBanPolicyStats,
+    resetOffences,
+    config,
+    close
+  };
+};
+
+module.exports = {
+  createBanPolicy,
+  BAN_POLICY_CONFIG
+};
@@ -0,0 +1,186 @@
+// middleware/cors.js - CORS policy with origin allowlists and per-route overrides
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { getClientIP } = require('../utils/clientIp');
+const { errorResponse } = require('../utils/responseHelper');
+
+// Used when the policy document does not set a value
+const CORS_DEFAULTS = {
+  origins: [],                  // exact origins, "*.example.com" style patterns, or "*" for any
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Request-Id'],
+  exposedHeaders: [],
+  credentials: false,
+  maxAge: 600                   // seconds a browser may cache a preflight answer
+};
+
+const POLICY_FIELDS = Object.keys(CORS_DEFAULTS);
+
+const rejectedOrigins = metrics.counter({
+  name: 'security_cors_rejected_origins_total',
+  help: 'Cross-origin requests from origins the policy does not allow',
+  labelNames: ['preflight']
+});
+
+/**
+ * Build a matcher for one allowlist entry
+ * "https://app.example.com" matches exactly; "*" in the host stands for one or
+ * more DNS labels ("https://*.example.com") and in the port for any port
+ * ("http://localhost:*"). Scheme and the rest of the host always match literally.
+ */
+const compileOrigin = (entry) => {
+  if (entry === '*') return () => true;
+  const match = String(entry).toLowerCase().match(/^(https?):\/\/([a-z0-9.*-]+)(?::(\d+|\*))?$/);
+  if (!match) {
+    throw new Error(`Invalid CORS origin: ${entry} (expected scheme://host[:port])`);
+  }
+  const [, scheme, host, port] = match;
+  if (!host.includes('*') && port !== '*') {
+    const exact = port ? `${scheme}://${host}:${port}` : `${scheme}://${host}`;
+    return (origin) => origin === exact;
+  }
+
+  const hostPattern = host.split('*').map(part => part.replace(/\./g, '\\.')).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  const portPattern = port === '*' ? '(?::\\d{1,5})?' : port ? `:${port}` : '';
+  const pattern = new RegExp(`^${scheme}://${hostPattern}${portPattern}$`);
+  return (origin) => pattern.test(origin);
+};
+
+/**
+ * Merge a policy over its base and check it
+ * `*` together with credentials is refused: browsers ignore it, and reflecting
+ * every origin instead would hand any site the user's cookies.
+ */
+const compilePolicy = (policy, base, name) => {
+  const unknown = Object.keys(policy).filter(field => !POLICY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`CORS policy ${name}: unsupported field ${unknown.join(', ')}`);
+  }
+  const merged = { ...base, ...policy };
+  if (!Array.isArray(merged.origins)) {
+    throw new Error(`CORS policy ${name}: origins must be an array`);
+  }
+  const anyOrigin = merged.origins.includes('*');
+  if (anyOrigin && merged.credentials) {
+    throw new Error(`CORS policy ${name}: "*" cannot be combined with credentials`);
+  }
+  return {
+    ...merged,
+    name,
+    anyOrigin,
+    methods: merged.methods.map(method => method.toUpperCase()),
+    matchers: merged.origins.map(compileOrigin)
+  };
+};
+
+/**
+ * Path as routing sees it: case-insensitive, duplicate and trailing slashes dropped
+ * (Express routes /API/Admin/ to the /api/admin router, so its policy must apply too)
+ */
+const normalizePath = (requestPath) => requestPath.toLowerCase().replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+
+/**
+ * Compile a policy document: { default: {...}, routes: { "/api/public": {...} } }
+ * Route policies override the default field by field and apply to their path
+ * and everything below it; the longest matching prefix wins, ignoring case.
+ */
+const compileCorsConfig = (config = {}) => {
+  const defaultPolicy = compilePolicy(config.default || {}, CORS_DEFAULTS, 'default');
+  const { name, anyOrigin, matchers, ...defaultFields } = defaultPolicy;
+
+  const routes = Object.entries(config.routes || {})
+    .map(([prefix, policy]) => ({ prefix: normalizePath(prefix), policy: compilePolicy(policy, defaultFields, prefix) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  return { defaultPolicy, routes };
+};
+
+const isAllowed = (policy, origin) => policy.matchers.some(matches => matches(origin));
+
+// Origin of the request itself, which never needs CORS headers
+const isSameOrigin = (req, origin) => {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * CORS middleware factory
+ *
+ * Allowed origins get Access-Control-Allow-Origin (the origin itself, or "*"
+ * for open policies without credentials) and the exposed headers; preflights
+ * are answered with 204, the allowed methods and headers and a max age.
+ * Same-origin requests and requests without an Origin pass untouched. Other
+ * origins are logged: their preflights get 403, simple requests run without
+ * CORS headers so the browser withholds the response.
+ *
+ * @param {object} [config] - policy document: { default, routes } (default: no origins allowed)
+ * @returns {function} Express middleware; policyFor(path) shows which policy
+ *   applies, update(config) replaces the policy document
+ */
+const createCorsPolicy = (config = {}) => {
+  let { defaultPolicy, routes } = compileCorsConfig(config);
+
+  const policyFor = (requestPath) => {
+    const normalized = normalizePath(requestPath);
+    const route = routes.find(({ prefix }) => normalized === prefix || normalized.startsWith(`${prefix}/`));
+    return route ? route.policy : defaultPolicy;
+  };
+
+  const middleware = (req, res, next) => {
+    const origin = req.headers.origin && req.headers.origin.toLowerCase();
+    if (!origin || isSameOrigin(req, origin)) {
+      return next();
+    }
+
+    const policy = policyFor(req.path);
+    const preflight = req.method === 'OPTIONS' && req.headers['access-control-request-method'] !== undefined;
+    res.vary('Origin');
+
+    if (!isAllowed(policy, origin)) {
+      rejectedOrigins.inc({ preflight: String(preflight) });
+      logger.warn(`CORS origin not allowed: ${origin} for ${req.method} ${req.originalUrl} from IP: ${getClientIP(req)} (policy ${policy.name})`);
+      if (preflight) {
+        return res.status(403).json(errorResponse('Origin not allowed', 403));
+      }
+      return next();
+    }
+
+    res.set('Access-Control-Allow-Origin', policy.anyOrigin && !policy.credentials ? '*' : origin);
+    if (policy.credentials) {
+      res.set('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (preflight) {
+      res.set({
+        'Access-Control-Allow-Methods': policy.methods.join(', '),
+        'Access-Control-Allow-Headers': policy.allowedHeaders.join(', '),
+        'Access-Control-Max-Age': String(policy.maxAge)
+      });
+      return res.status(204).end();
+    }
+
+    if (policy.exposedHeaders.length > 0) {
+      res.set('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+    }
+    next();
+  };
+
+  // Compiles before swapping, so an invalid document leaves the current policy in place
+  const update = (nextConfig) => {
+    ({ defaultPolicy, routes } = compileCorsConfig(nextConfig));
+    logger.info(`CORS policy updated: ${routes.length} route overrides`);
+  };
+
+  middleware.policyFor = policyFor;
+  middleware.update = update;
+  return middleware;
+};
+
+module.exports = {
+  createCorsPolicy,
+  compileCorsConfig,
+  CORS_DEFAULTS
+};
@@ -0,0 +1,320 @@
+// middleware/csrf.js - CSRF protection (synchronizer tokens or signed double-submit cookies)
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getClientIP } = require('../utils/clientIp');
+
+// Configuration defaults (override per instance with createCsrfProtection(options))
+const CSRF_CONFIG = {
+  mode: 'double-submit',           // 'double-submit' (stateless) or 'synchronizer' (server-side tokens)
+  cookieName: '_csrf',
+  sessionCookieName: '_csrf_sid',  // synchronizer mode only
+  ignoreMethods: ['GET', 'HEAD', 'OPTIONS'],
+  maxAgeMs: 24 * 60 * 60 * 1000,   // a token is never accepted after this
+  rotateAfterMs: 60 * 60 * 1000,   // older tokens still work once, but a new one is issued
+  rotateOnUse: false,              // issue a new token after every accepted request
+  checkOrigin: true,               // compare Origin / Referer with the allowed origins
+  requireOrigin: false,            // refuse requests that carry neither header
+  trustedOrigins: [],              // besides the request's own origin, e.g. ['https://app.example.com']
+  sessionKey: null,                // (req) => id of the user's session that tokens are bound to
+  maxSessions: 10000,              // synchronizer mode: tokens kept at most (least recently used dropped first)
+  maxSessionsPerClient: 100        // synchronizer mode: tokens kept per client IP (its least recently used dropped first)
+};
+
+// Where a submitted token is looked for, in order
+const TOKEN_HEADERS = ['x-csrf-token', 'x-xsrf-token', 'csrf-token'];
+
+/**
+ * HMAC key from CSRF_SECRET; without it a random per-process key is used, so
+ * tokens do not survive a restart and are not shared between instances
+ */
+const loadSecret = () => {
+  if (process.env.CSRF_SECRET) {
+    return process.env.CSRF_SECRET;
+  }
+  logger.warn('CSRF_SECRET is not set; using a random key, CSRF tokens will not survive a restart');
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * The error app.js already handles: code EBADCSRFTOKEN, status 403
+ */
+const csrfError = (reason) => {
+  const error = new Error(`invalid csrf token: ${reason}`);
+  error.code = 'EBADCSRFTOKEN';
+  error.status = 403;
+  return error;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Signed tokens: "<random>.<issued at, base36>.<HMAC-SHA256 of both and the binding>"
+ * The signature makes the issue time trustworthy. It does not stop a token from
+ * being planted (e.g. through a cookie set by a sibling subdomain): anyone can
+ * fetch a validly signed token and its cookie. Only a binding to the user's
+ * session (`sessionKey`) does, as a planted token then fails for any other session.
+ */
+class CsrfTokens {
+  constructor(secret) {
+    this.secret = secret;
+  }
+
+  sign(payload, binding = '') {
+    return crypto.createHmac('sha256', this.secret).update(payload).update('\0').update(binding).digest('base64url');
+  }
+
+  create(binding = '', now = Date.now()) {
+    const payload = `${crypto.randomBytes(18).toString('base64url')}.${now.toString(36)}`;
+    return `${payload}.${this.sign(payload, binding)}`;
+  }
+
+  /**
+   * @returns {number|null} issue time of a token signed for this binding, or null
+   */
+  verify(token, binding = '') {
+    if (typeof token !== 'string') return null;
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    const payload = `${parts[0]}.${parts[1]}`;
+    if (!safeEqual(parts[2], this.sign(payload, binding))) return null;
+    const issuedAt = parseInt(parts[1], 36);
+    return Number.isFinite(issuedAt) ? issuedAt : null;
+  }
+}
+
+/**
+ * Origin (scheme://host[:port]) of a URL, or null
+ */
+const originOf = (value) => {
+  try {
+    return new URL(value).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * CSRF middleware factory
+ *
+ * Safe methods only get a token; every other request must send the token back
+ * in a header (X-CSRF-Token, X-XSRF-Token or CSRF-Token) or as `_csrf` in the body.
+ *
+ * double-submit: the token lives in an httpOnly cookie and must match the submitted copy.
+ * synchronizer:  the token is kept server-side per browser session (identified by a
+ *                random cookie) and must match the submitted copy.
+ * Either way the token's HMAC and age are checked, and Origin / Referer must be the
+ * request's own origin or a trusted one. Failures call next() with an
+ * EBADCSRFTOKEN error (403 in app.js).
+ *
+ * Without `sessionKey` a token is valid for whoever holds it, so an attacker
+ * able to set cookies for the site (a sibling subdomain, a MITM on plain http)
+ * can plant a token they fetched themselves together with its cookie. Apps
+ * with logins should pass `sessionKey` to bind tokens to the session.
+ *
+ * Sets req.csrfToken() (returns the current token, issuing one if needed); a
+ * rotated token is also sent in the X-CSRF-Token response header.
+ * Requires cookie-parser.
+ *
+ * @param {object} [options] - see CSRF_CONFIG
+ * @param {string} [options.secret] - HMAC key (default CSRF_SECRET)
+ * @returns {function} Express middleware, with close() to stop the synchronizer sweep
+ */
+const createCsrfProtection = (options = {}) => {
+  const config = { ...CSRF_CONFIG, ...options };
+  if (!['double-submit', 'synchronizer'].includes(config.mode)) {
+    throw new Error(`Unknown CSRF mode: ${config.mode}`);
+  }
+  const tokens = new CsrfTokens(config.secret || loadSecret());
+  const trustedOrigins = new Set(config.trustedOrigins.map(originOf).filter(Boolean));
+
+  // synchronizer mode: { sessionId: { token, issuedAt, client } }, least recently used first,
+  // and the session ids of each client IP in the same order
+  const sessions = new Map();
+  const clientSessions = new Map();
+
+  const removeSession = (id) => {
+    const entry = sessions.get(id);
+    if (!entry) return;
+    sessions.delete(id);
+    const own = clientSessions.get(entry.client);
+    own.delete(id);
+    if (own.size === 0) clientSessions.delete(entry.client);
+  };
+
+  // Move a session to the most recently used end of both orders
+  const touchSession = (id, entry) => {
+    sessions.delete(id);
+    sessions.set(id, entry);
+    const own = clientSessions.get(entry.client);
+    own.delete(id);
+    own.add(id);
+  };
+
+  let sweepTimer = null;
+  if (config.mode === 'synchronizer') {
+    sweepTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [sessionId, entry] of sessions.entries()) {
+        if (now - entry.issuedAt > config.maxAgeMs) removeSession(sessionId);
+      }
+    }, 60 * 1000);
+    sweepTimer.unref();
+  }
+
+  const binding = (req) => (config.sessionKey ? String(config.sessionKey(req) || '') : '');
+
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/',
+    maxAge: config.maxAgeMs
+  };
+
+  const sessionId = (req, res) => {
+    let id = req.cookies && req.cookies[config.sessionCookieName];
+    if (!id || !/^[A-Za-z0-9_-]{32}$/.test(id)) {
+      id = crypto.randomBytes(24).toString('base64url');
+      res.cookie(config.sessionCookieName, id, cookieOptions);
+      if (req.cookies) req.cookies[config.sessionCookieName] = id;
+    }
+    return id;
+  };
+
+  // Token the server currently holds for this client
+  const storedToken = (req, res) => {
+    if (config.mode === 'synchronizer') {
+      const id = sessionId(req, res);
+      const entry = sessions.get(id);
+      if (!entry) return null;
+      touchSession(id, entry);
+      return entry.token;
+    }
+    return (req.cookies && req.cookies[config.cookieName]) || null;
+  };
+
+  const issueToken = (req, res) => {
+    const token = tokens.create(binding(req));
+    if (config.mode === 'synchronizer') {
+      const id = sessionId(req, res);
+      const client = getClientIP(req);
+      removeSession(id);
+      // A client opening sessions first pushes out its own least recently used
+      // ones, so it cannot evict everyone else's tokens
+      const own = clientSessions.get(client) || new Set();
+      if (own.size >= config.maxSessionsPerClient) {
+        removeSession(own.values().next().value);
+      }
+      if (sessions.size >= config.maxSessions) {
+        removeSession(sessions.keys().next().value);
+      }
+      sessions.set(id, { token, issuedAt: Date.now(), client });
+      clientSessions.set(client, own.add(id));
+    } else {
+      res.cookie(config.cookieName, token, cookieOptions);
+    }
+    req.csrfTokenValue = token;
+    return token;
+  };
+
+  // Token that is valid right now for this client, if any
+  const currentToken = (req, res) => {
+    if (req.csrfTokenValue) return req.csrfTokenValue;
+    const stored = storedToken(req, res);
+    const issuedAt = tokens.verify(stored, binding(req));
+    return issuedAt !== null && Date.now() - issuedAt <= config.maxAgeMs ? stored : null;
+  };
+
+  const checkOrigin = (req) => {
+    const source = req.headers.origin || req.headers.referer;
+    if (!source) {
+      return config.requireOrigin ? 'missing Origin and Referer' : null;
+    }
+    const origin = originOf(source);
+    if (!origin) {
+      return `malformed origin ${source}`;
+    }
+    // Own origin is compared by host only: behind a TLS-terminating proxy the request arrives as plain http
+    if (new URL(origin).host === req.headers.host || trustedOrigins.has(origin)) {
+      return null;
+    }
+    return `untrusted origin ${origin}`;
+  };
+
+  const submittedToken = (req) => {
+    for (const header of TOKEN_HEADERS) {
+      if (req.headers[header]) return req.headers[header];
+    }
+    return req.body && typeof req.body._csrf === 'string' ? req.body._csrf : null;
+  };
+
+  const middleware = (req, res, next) => {
+    req.csrfToken = () => currentToken(req, res) || issueToken(req, res);
+
+    if (config.ignoreMethods.includes(req.method)) {
+      return next();
+    }
+
+    const reject = (reason) => {
+      logger.warn(`CSRF check failed for ${req.method} ${req.originalUrl} from IP: ${getClientIP(req)} (${reason})`);
+      next(csrfError(reason));
+    };
+
+    if (config.checkOrigin) {
+      const problem = checkOrigin(req);
+      if (problem) return reject(problem);
+    }
+
+    const submitted = submittedToken(req);
+    if (!submitted) return reject('token missing');
+
+    const stored = storedToken(req, res);
+    if (!stored || !safeEqual(submitted, stored)) return reject('token mismatch');
+
+    const issuedAt = tokens.verify(stored, binding(req));
+    if (issuedAt === null) return reject('bad signature');
+
+    const age = Date.now() - issuedAt;
+    if (age > config.maxAgeMs) return reject('token expired');
+
+    if (config.rotateOnUse || age > config.rotateAfterMs) {
+      res.set('X-CSRF-Token', issueToken(req, res));
+    }
+
+    next();
+  };
+
+  /**
+   * Stop the synchronizer sweep and drop the stored tokens
+   */
+  middleware.close = () => {
+    clearInterval(sweepTimer);
+    sessions.clear();
+    clientSessions.clear();
+  };
+
+  return middleware;
+};
+
+/**
+ * CSRF options from the environment
+ *   CSRF_MODE             double-submit (default) or synchronizer
+ *   CSRF_TRUSTED_ORIGINS  comma-separated origins allowed to post besides the request's own
+ *   CSRF_SECRET           HMAC key (read when the protection is created if not given here)
+ */
+const csrfConfigFromEnv = (env = process.env) => ({
+  mode: env.CSRF_MODE || CSRF_CONFIG.mode,
+  trustedOrigins: (env.CSRF_TRUSTED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  ...(env.CSRF_SECRET ? { secret: env.CSRF_SECRET } : {})
+});
+
+module.exports = {
+  createCsrfProtection,
+  csrfConfigFromEnv,
+  CsrfTokens,
+  CSRF_CONFIG
+};
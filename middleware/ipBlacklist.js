@@ -1,144 +1,435 @@
 // middleware/ipBlacklist.js - IP Blacklisting Middleware
+const path = require('path');
 const logger = require('../utils/logger');
 const { errorResponse } = require('../utils/responseHelper');
+const { parseCIDR } = require('../utils/ipAddress');
+const { getClientIP } = require('../utils/clientIp');
+const metrics = require('../utils/metrics');
+const CidrTrie = require('../utils/cidrTrie');
+const MemoryIPListStore = require('../stores/memoryIPListStore');
+const FileIPListStore = require('../stores/fileIPListStore');
 
-// In-memory blacklist storage
-// In production, this would be stored in database or Redis
-const blacklistedIPs = new Set([
-  '192.168.1.100',  // Example banned IPs
-  '10.0.0.5',
-  '127.0.0.2'       // Example for testing (not localhost)
-]);
-
-// Whitelist for admin IPs (optional - for safety)
-const whitelistedIPs = new Set([
-  '127.0.0.1',      // localhost
-  '::1',            // IPv6 localhost
-  '::ffff:127.0.0.1' // IPv4-mapped IPv6 localhost
-]);
+// createdBy of seed entries; only these are removed when a seed is dropped
+const SEED_CREATOR = 'config';
+
+// How often expired temporary bans are swept from the list
+const EXPIRY_SWEEP_INTERVAL = 60 * 1000;
+
+// Blacklists that have not been closed, for the entry gauge
+const instances = new Set();
+
+const blockedRequests = metrics.counter({
+  name: 'security_blacklist_blocked_requests_total',
+  help: 'Requests refused because the client IP is blacklisted'
+});
+
+metrics.gauge({
+  name: 'security_ip_list_entries',
+  help: 'Entries (addresses and ranges) in the IP blacklist and whitelist',
+  labelNames: ['list'],
+  collect: (gauge) => {
+    let blacklisted = 0;
+    let whitelisted = 0;
+    instances.forEach(instance => {
+      blacklisted += instance.getBlacklistStats().totalBlacklisted;
+      whitelisted += instance.getBlacklistStats().whitelistedIPs.length;
+    });
+    gauge.set({ list: 'blacklist' }, blacklisted);
+    gauge.set({ list: 'whitelist' }, whitelisted);
+  }
+});
 
 /**
- * IP Blacklist middleware
- * Blocks requests from blacklisted IP addresses
+ * Create the IP list store selected by the environment
+ * IP_LIST_STORE=memory keeps lists in memory only; the default is a JSON file
+ * (IP_LIST_FILE, default data/ip-lists.json)
  */
-const ipBlacklist = (req, res, next) => {
-  // Get client IP address
-  const clientIP = getClientIP(req);
-  
-  // Check whitelist first (admin safety)
-  if (whitelistedIPs.has(clientIP)) {
-    return next();
+const createIPListStore = (env = process.env) => {
+  if (env.IP_LIST_STORE === 'memory') {
+    return new MemoryIPListStore();
   }
-  
-  // Check if IP is blacklisted
-  if (blacklistedIPs.has(clientIP)) {
-    logger.warn(`Blocked request from blacklisted IP: ${clientIP}`);
-    
-    // Return 403 Forbidden without revealing why
-    return res.status(403).json(errorResponse('Access denied', 403));
-  }
-  
-  // IP is not blacklisted, continue
-  next();
+  return new FileIPListStore(env.IP_LIST_FILE || path.join(__dirname, '../data/ip-lists.json'));
 };
 
 /**
- * Extract client IP from request
- * Handles various proxy scenarios
+ * Build a list record from an entry and its metadata
+ * Timestamps are stored as ISO strings; expiresAt is null for permanent bans
  */
-const getClientIP = (req) => {
-  return (
-    req.ip ||
-    req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-    req.headers['x-real-ip'] ||
-    req.connection?.remoteAddress ||
-    req.socket?.remoteAddress ||
-    req.connection?.socket?.remoteAddress ||
-    '0.0.0.0'
-  );
+const createRecord = (ip, { durationMs, reason, createdBy } = {}) => {
+  const now = Date.now();
+  return {
+    ip,
+    reason: reason || null,
+    createdBy: createdBy || 'system',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: durationMs ? new Date(now + durationMs).toISOString() : null
+  };
 };
 
 /**
- * Add IP to blacklist
+ * Check whether a record is a temporary ban that has run out
  */
-const addToBlacklist = (ip) => {
-  if (!ip || typeof ip !== 'string') {
-    throw new Error('Invalid IP address');
-  }
-  
-  // Basic IP validation (simple regex)
-  const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-  const ipv6Regex = /^[0-9a-fA-F:]+$/;
-  
-  if (!ipv4Regex.test(ip) && !ipv6Regex.test(ip)) {
-    throw new Error('Invalid IP address format');
-  }
-  
-  // Don't allow blacklisting whitelisted IPs
-  if (whitelistedIPs.has(ip)) {
-    throw new Error('Cannot blacklist whitelisted IP');
-  }
-  
-  const wasAdded = !blacklistedIPs.has(ip);
-  blacklistedIPs.add(ip);
-  
-  logger.info(`IP ${ip} ${wasAdded ? 'added to' : 'already in'} blacklist`);
-  return wasAdded;
+const isExpired = (record, now = Date.now()) => {
+  return Boolean(record.expiresAt) && Date.parse(record.expiresAt) <= now;
 };
 
 /**
- * Remove IP from blacklist
+ * Parse and canonicalize an IP address or CIDR range
+ * Throws on anything that is not a valid IPv4/IPv6 address or range
  */
-const removeFromBlacklist = (ip) => {
+const parseEntry = (ip) => {
   if (!ip || typeof ip !== 'string') {
     throw new Error('Invalid IP address');
   }
-  
-  const wasRemoved = blacklistedIPs.delete(ip);
-  logger.info(`IP ${ip} ${wasRemoved ? 'removed from' : 'not found in'} blacklist`);
-  return wasRemoved;
-};
 
-/**
- * Get all blacklisted IPs
- */
-const getBlacklistedIPs = () => {
-  return Array.from(blacklistedIPs).sort();
-};
+  const parsed = parseCIDR(ip);
+  if (!parsed) {
+    throw new Error('Invalid IP address format');
+  }
 
-/**
- * Check if IP is blacklisted
- */
-const isBlacklisted = (ip) => {
-  return blacklistedIPs.has(ip);
+  return parsed.cidr;
 };
 
+const seedRecord = (ip) => createRecord(parseEntry(ip), { reason: 'Config seed', createdBy: SEED_CREATOR });
+
 /**
- * Get blacklist statistics
+ * IP blacklist factory
+ *
+ * Each instance owns its lists: a blacklist and a whitelist of single IPs or
+ * CIDR ranges, kept in prefix tries for fast matching, and the store that
+ * persists them (the source of truth across restarts; the tries mirror it).
+ * Seed entries are written to the store the first time it is used, and
+ * applySeeds() adds new seeds and removes dropped ones. The whitelist protects
+ * admin IPs; IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are normalized to
+ * IPv4 before matching.
+ *
+ * @param {object} [options]
+ * @param {object} [options.store] - IP list store (default: in memory)
+ * @param {object} [options.seeds] - { blacklist: [...], whitelist: [...] }
+ * @returns {function} Express middleware that blocks blacklisted IPs, with the
+ *   list functions below as properties
  */
-const getBlacklistStats = () => {
-  return {
-    totalBlacklisted: blacklistedIPs.size,
-    blacklistedIPs: getBlacklistedIPs(),
-    whitelistedIPs: Array.from(whitelistedIPs)
+const createIPBlacklist = ({ store = new MemoryIPListStore(), seeds = {} } = {}) => {
+  const blacklistedIPs = new CidrTrie();
+  const whitelistedIPs = new CidrTrie();
+  let currentSeeds = { blacklist: seeds.blacklist || [], whitelist: seeds.whitelist || [] };
+
+  /**
+   * Write a change through to the store
+   * Lookups never wait on storage; failures are logged
+   */
+  const persist = (operation, description) => {
+    operation().catch(error => {
+      logger.error(`Failed to persist ${description}: ${error.message}`);
+    });
   };
-};
 
-/**
- * Clear all blacklisted IPs (admin function)
- */
-const clearBlacklist = () => {
-  const count = blacklistedIPs.size;
-  blacklistedIPs.clear();
-  logger.info(`Cleared ${count} IPs from blacklist`);
-  return count;
+  // Serve the seeds until the store has been loaded
+  currentSeeds.blacklist.forEach(ip => blacklistedIPs.add(parseEntry(ip), seedRecord(ip)));
+  currentSeeds.whitelist.forEach(ip => whitelistedIPs.add(parseEntry(ip), seedRecord(ip)));
+
+  /**
+   * Load blacklist and whitelist from the store (call once at startup)
+   * Seeds the lists if the store is empty.
+   */
+  const initialize = async () => {
+    let data = await store.load();
+
+    if (!data) {
+      data = {
+        blacklist: currentSeeds.blacklist.map(seedRecord),
+        whitelist: currentSeeds.whitelist.map(seedRecord)
+      };
+      for (const record of data.blacklist) await store.add('blacklist', record);
+      for (const record of data.whitelist) await store.add('whitelist', record);
+    }
+
+    const fill = (trie, records, listName) => {
+      trie.clear();
+      records.forEach(record => {
+        const parsed = parseCIDR(record.ip);
+        if (parsed) {
+          trie.add(parsed.cidr, { ...createRecord(parsed.cidr), ...record, ip: parsed.cidr });
+        } else {
+          logger.warn(`Skipping invalid ${listName} entry from store: ${record.ip}`);
+        }
+      });
+    };
+
+    fill(blacklistedIPs, data.blacklist, 'blacklist');
+    fill(whitelistedIPs, data.whitelist, 'whitelist');
+    sweepExpiredBans();
+    logger.info(`IP lists ready: ${blacklistedIPs.size} blacklisted, ${whitelistedIPs.size} whitelisted`);
+  };
+
+  /**
+   * Drop an expired temporary ban from the trie and the store
+   */
+  const expireBan = (record) => {
+    blacklistedIPs.delete(record.ip);
+    persist(() => store.remove('blacklist', record.ip), `expiry of ${record.ip}`);
+    logger.info(`Temporary ban for ${record.ip} expired`);
+  };
+
+  /**
+   * Find the active ban covering an IP
+   * Expired bans are removed on sight, then the lookup is retried so a
+   * broader range behind an expired narrower one still applies.
+   */
+  const findActiveBan = (ip) => {
+    let match = blacklistedIPs.lookup(ip);
+    while (match && isExpired(match.value)) {
+      expireBan(match.value);
+      match = blacklistedIPs.lookup(ip);
+    }
+    return match ? match.value : null;
+  };
+
+  /**
+   * IP Blacklist middleware
+   * Blocks requests from blacklisted IP addresses
+   */
+  const ipBlacklist = (req, res, next) => {
+    // Get client IP address
+    const clientIP = getClientIP(req);
+
+    // Check whitelist first (admin safety)
+    if (whitelistedIPs.contains(clientIP)) {
+      return next();
+    }
+
+    // Check if IP is blacklisted (exact address or any covering range)
+    const ban = findActiveBan(clientIP);
+    if (ban) {
+      logger.warn(`Blocked request from blacklisted IP: ${clientIP} (matched ${ban.ip})`);
+      blockedRequests.inc();
+
+      // Return 403 Forbidden without revealing why
+      return res.status(403).json(errorResponse('Access denied', 403));
+    }
+
+    // IP is not blacklisted, continue
+    next();
+  };
+
+  /**
+   * Add IP or CIDR range to blacklist
+   * Re-adding an existing entry replaces its metadata (e.g. to extend a ban).
+   * @param {string} ip - address or CIDR range
+   * @param {object} [options]
+   * @param {number} [options.durationMs] - ban length; omit for a permanent ban
+   * @param {string} [options.reason] - why the entry was added
+   * @param {string} [options.createdBy] - who added it
+   * @returns {boolean} true if the entry is new
+   */
+  const addToBlacklist = (ip, options = {}) => {
+    const entry = parseEntry(ip);
+    const { durationMs } = options;
+
+    if (durationMs !== undefined && durationMs !== null &&
+        (!Number.isFinite(durationMs) || durationMs <= 0)) {
+      throw new Error('Ban duration must be a positive number of milliseconds');
+    }
+
+    // Don't allow blacklisting whitelisted IPs (or ranges entirely inside the whitelist)
+    if (whitelistedIPs.findCovering(entry)) {
+      throw new Error('Cannot blacklist whitelisted IP');
+    }
+
+    const existing = blacklistedIPs.get(entry);
+    const wasAdded = !existing || isExpired(existing);
+    const record = createRecord(entry, options);
+    blacklistedIPs.add(entry, record);
+    persist(() => store.add('blacklist', record), `blacklist entry ${entry}`);
+
+    const duration = record.expiresAt ? `until ${record.expiresAt}` : 'permanently';
+    logger.info(`IP ${entry} ${wasAdded ? 'added to' : 'updated in'} blacklist ${duration}`, {
+      reason: record.reason,
+      createdBy: record.createdBy
+    });
+    return wasAdded;
+  };
+
+  /**
+   * Remove IP or CIDR range from blacklist
+   */
+  const removeFromBlacklist = (ip) => {
+    const entry = parseEntry(ip);
+
+    const wasRemoved = blacklistedIPs.delete(entry);
+    if (wasRemoved) {
+      persist(() => store.remove('blacklist', entry), `blacklist removal of ${entry}`);
+    }
+    logger.info(`IP ${entry} ${wasRemoved ? 'removed from' : 'not found in'} blacklist`);
+    return wasRemoved;
+  };
+
+  /**
+   * Remove every expired temporary ban
+   * @returns {number} number of bans removed
+   */
+  const sweepExpiredBans = () => {
+    const now = Date.now();
+    const expired = Array.from(blacklistedIPs.values()).filter(record => isExpired(record, now));
+    expired.forEach(expireBan);
+    return expired.length;
+  };
+
+  const sweepTimer = setInterval(sweepExpiredBans, EXPIRY_SWEEP_INTERVAL);
+  sweepTimer.unref();
+
+  /**
+   * Add IP or CIDR range to whitelist
+   */
+  const addToWhitelist = (ip, options = {}) => {
+    const entry = parseEntry(ip);
+
+    const wasAdded = !whitelistedIPs.has(entry);
+    if (wasAdded) {
+      const record = createRecord(entry, { reason: options.reason, createdBy: options.createdBy });
+      whitelistedIPs.add(entry, record);
+      persist(() => store.add('whitelist', record), `whitelist entry ${entry}`);
+    }
+
+    logger.info(`IP ${entry} ${wasAdded ? 'added to' : 'already in'} whitelist`);
+    return wasAdded;
+  };
+
+  /**
+   * Remove IP or CIDR range from whitelist
+   */
+  const removeFromWhitelist = (ip) => {
+    const entry = parseEntry(ip);
+
+    const wasRemoved = whitelistedIPs.delete(entry);
+    if (wasRemoved) {
+      persist(() => store.remove('whitelist', entry), `whitelist removal of ${entry}`);
+    }
+    logger.info(`IP ${entry} ${wasRemoved ? 'removed from' : 'not found in'} whitelist`);
+    return wasRemoved;
+  };
+
+  /**
+   * Get active blacklist entries with their metadata
+   */
+  const getBlacklistEntries = () => {
+    const now = Date.now();
+    return Array.from(blacklistedIPs.values())
+      .filter(record => !isExpired(record, now))
+      .sort((a, b) => a.ip.localeCompare(b.ip));
+  };
+
+  /**
+   * Get all blacklisted IPs and ranges
+   */
+  const getBlacklistedIPs = () => {
+    return getBlacklistEntries().map(record => record.ip);
+  };
+
+  /**
+   * Get the record stored for an exact IP or CIDR entry
+   */
+  const getBlacklistEntry = (ip) => {
+    const record = blacklistedIPs.get(parseEntry(ip));
+    return record && !isExpired(record) ? record : null;
+  };
+
+  /**
+   * Get blacklist statistics
+   */
+  const getBlacklistStats = () => {
+    const entries = getBlacklistEntries();
+    return {
+      totalBlacklisted: entries.length,
+      temporaryBans: entries.filter(record => record.expiresAt).length,
+      blacklistedIPs: entries.map(record => record.ip),
+      entries: entries,
+      whitelistedIPs: Array.from(whitelistedIPs.keys())
+    };
+  };
+
+  /**
+   * Clear all blacklisted IPs (admin function)
+   */
+  const clearBlacklist = () => {
+    const count = blacklistedIPs.size;
+    blacklistedIPs.clear();
+    persist(() => store.clear('blacklist'), 'blacklist clear');
+    logger.info(`Cleared ${count} IPs from blacklist`);
+    return count;
+  };
+
+  /**
+   * Replace the seed lists (config reload)
+   * Seeds that were added are added to their list; seeds that were dropped are
+   * removed, unless the entry has since been added by someone else. Entries an
+   * admin removed stay removed as long as the seed list does not change.
+   * @param {object} seeds - { blacklist: [...], whitelist: [...] }
+   */
+  const applySeeds = (nextSeeds) => {
+    const canonical = (list) => new Set(list.map(parseEntry));
+    const lists = [
+      { name: 'whitelist', trie: whitelistedIPs, add: addToWhitelist, remove: removeFromWhitelist },
+      { name: 'blacklist', trie: blacklistedIPs, add: addToBlacklist, remove: removeFromBlacklist }
+    ];
+
+    // Whitelist first, so a blacklist seed is not refused by a whitelist entry that is going away
+    lists.forEach(({ name, trie, add, remove }) => {
+      const current = canonical(nextSeeds[name] || []);
+      const before = canonical(currentSeeds[name]);
+
+      before.forEach(entry => {
+        const record = trie.get(entry);
+        if (!current.has(entry) && record && record.createdBy === SEED_CREATOR) {
+          remove(entry);
+        }
+      });
+      current.forEach(entry => {
+        if (before.has(entry) || trie.has(entry)) return;
+        try {
+          add(entry, { reason: 'Config seed', createdBy: SEED_CREATOR });
+        } catch (error) {
+          logger.warn(`Skipping ${name} seed ${entry}: ${error.message}`);
+        }
+      });
+    });
+    currentSeeds = { blacklist: nextSeeds.blacklist || [], whitelist: nextSeeds.whitelist || [] };
+  };
+
+  /**
+   * Stop the expiry sweep and close the store once pending writes have landed
+   */
+  const close = async () => {
+    clearInterval(sweepTimer);
+    instances.delete(ipBlacklist);
+    await store.close();
+  };
+
+  Object.assign(ipBlacklist, {
+    initialize,
+    addToBlacklist,
+    removeFromBlacklist,
+    getBlacklistedIPs,
+    getBlacklistEntries,
+    getBlacklistEntry,
+    // Active ban covering an IP, with its metadata
+    getBan: findActiveBan,
+    // Matches single addresses against stored ranges; IPv4-mapped IPv6 is normalized
+    isBlacklisted: (ip) => findActiveBan(ip) !== null,
+    addToWhitelist,
+    removeFromWhitelist,
+    isWhitelisted: (ip) => whitelistedIPs.contains(ip),
+    getBlacklistStats,
+    clearBlacklist,
+    sweepExpiredBans,
+    applySeeds,
+    close
+  });
+  instances.add(ipBlacklist);
+  return ipBlacklist;
 };
 
-module.exports = ipBlacklist;
-module.exports.addToBlacklist = addToBlacklist;
-module.exports.removeFromBlacklist = removeFromBlacklist;
-module.exports.getBlacklistedIPs = getBlacklistedIPs;
-module.exports.isBlacklisted = isBlacklisted;
-module.exports.getBlacklistStats = getBlacklistStats;
-module.exports.clearBlacklist = clearBlacklist;
-module.exports.getClientIP = getClientIP;
\ No newline at end of file
+module.exports = {
+  createIPBlacklist,
+  createIPListStore
+};
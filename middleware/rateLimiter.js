@@ -1,148 +1,386 @@
 // middleware/rateLimiter.js - Custom Rate Limiting Middleware
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 const { errorResponse } = require('../utils/responseHelper');
+const MemoryRateLimitStore = require('../stores/memoryRateLimitStore');
+const RedisRateLimitStore = require('../stores/redisRateLimitStore');
+const RespClient = require('../utils/respClient');
+const { getClientIP } = require('../utils/clientIp');
+const metrics = require('../utils/metrics');
 
-// In-memory store for rate limiting
-// Structure: { ip: { count: number, resetTime: timestamp, requests: [timestamps] } }
-const rateStore = new Map();
-
-// Configuration
-const RATE_LIMIT_CONFIG = {
-  windowMs: 10 * 60 * 1000, // 1 minutes in milliseconds
-  maxRequests: 1000,          // Max requests per window
-  message: 'Too many requests from this IP, please try again later',
-  skipSuccessfulRequests: false,
-  skipFailedRequests: false
+// Settings that can change on a running limiter (see updateRateLimiter)
+const TUNABLE_SETTINGS = [
+  'windowMs', 'maxRequests', 'algorithm', 'message',
+  'skipSuccessfulRequests', 'skipFailedRequests', 'standardHeaders', 'legacyHeaders'
+];
+
+// Limiters of every registry that has not been closed, for the store gauge
+// Structure: Set of Map { name: { config, store } }
+const registries = new Set();
+
+const limitedRequests = metrics.counter({
+  name: 'security_rate_limited_requests_total',
+  help: 'Requests rejected with 429 by a rate limit policy',
+  labelNames: ['policy']
+});
+
+// Counting a store's keys walks all of them (on Redis a SCAN plus a read per
+// key), so scrapes reuse a count for this long
+const STORE_KEYS_CACHE_MS = 30 * 1000;
+
+// Structure: WeakMap { store: { at, count: Promise<number> } }
+const storeKeyCounts = new WeakMap();
+
+const countStoreKeys = (store) => {
+  const cached = storeKeyCounts.get(store);
+  if (cached && Date.now() - cached.at < STORE_KEYS_CACHE_MS) {
+    return cached.count;
+  }
+  const count = store.stats(0).then(({ totalKeys }) => totalKeys);
+  storeKeyCounts.set(store, { at: Date.now(), count });
+  count.catch(() => storeKeyCounts.delete(store));
+  return count;
 };
 
+metrics.gauge({
+  name: 'security_rate_limit_store_keys',
+  help: 'Clients tracked by each rate limit policy store, as last counted (the count is cached for up to 30 seconds)',
+  labelNames: ['policy'],
+  collect: async (gauge) => {
+    const totals = new Map();
+    for (const limiters of registries) {
+      for (const [name, { store }] of limiters.entries()) {
+        const totalKeys = await countStoreKeys(store);
+        totals.set(name, (totals.get(name) || 0) + totalKeys);
+      }
+    }
+    totals.forEach((totalKeys, name) => gauge.set({ policy: name }, totalKeys));
+  }
+});
+
 /**
- * Custom rate limiter middleware
- * Implements sliding window log algorithm for accurate rate limiting
+ * Rate limit store factory selected by the environment
+ * RATE_LIMIT_STORE=redis shares counters through REDIS_URL (one connection for
+ * every policy, prefixed with RATE_LIMIT_PREFIX); the default is process memory.
+ * @returns {function} (policyName) => store
  */
-const rateLimiter = (req, res, next) => {
-  const clientIP = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-  const now = Date.now();
-  const windowStart = now - RATE_LIMIT_CONFIG.windowMs;
-  
-  // Get or create rate limit data for this IP
-  let clientData = rateStore.get(clientIP);
-  
-  if (!clientData) {
-    clientData = {
-      requests: [],
-      count: 0,
-      resetTime: now + RATE_LIMIT_CONFIG.windowMs
-    };
-    rateStore.set(clientIP, clientData);
+const rateLimitStoresFromEnv = (env = process.env) => {
+  if (env.RATE_LIMIT_STORE !== 'redis') {
+    return () => new MemoryRateLimitStore();
   }
-  
-  // Remove old requests outside the current window (sliding window)
-  clientData.requests = clientData.requests.filter(timestamp => timestamp > windowStart);
-  clientData.count = clientData.requests.length;
-  
-  // Check if limit exceeded
-  if (clientData.count >= RATE_LIMIT_CONFIG.maxRequests) {
-    const resetTime = Math.ceil((windowStart + RATE_LIMIT_CONFIG.windowMs - now) / 1000);
-    
-    logger.warn(`Rate limit exceeded for IP: ${clientIP}`);
-    
-    // Set rate limit headers
-    res.set({
-      'X-RateLimit-Limit': RATE_LIMIT_CONFIG.maxRequests,
-      'X-RateLimit-Remaining': 0,
-      'X-RateLimit-Reset': new Date(windowStart + RATE_LIMIT_CONFIG.windowMs).toISOString(),
-      'Retry-After': resetTime
-    });
-    
-    return res.status(429).json(errorResponse(RATE_LIMIT_CONFIG.message, 429, {
-      retryAfter: resetTime,
-      limit: RATE_LIMIT_CONFIG.maxRequests,
-      windowMs: RATE_LIMIT_CONFIG.windowMs
-    }));
-  }
-  
-  // Add current request timestamp
-  clientData.requests.push(now);
-  clientData.count = clientData.requests.length;
-  
-  // Set rate limit headers for successful requests
-  const remaining = Math.max(0, RATE_LIMIT_CONFIG.maxRequests - clientData.count);
-  res.set({
-    'X-RateLimit-Limit': RATE_LIMIT_CONFIG.maxRequests,
-    'X-RateLimit-Remaining': remaining,
-    'X-RateLimit-Reset': new Date(windowStart + RATE_LIMIT_CONFIG.windowMs).toISOString()
-  });
-  
-  // Clean up old entries periodically (every 100 requests)
-  if (Math.random() < 0.01) {
-    cleanupOldEntries();
-  }
-  
-  next();
+  let client = null;
+  return (name) => {
+    client = client || RespClient.fromUrl(env.REDIS_URL || 'redis://127.0.0.1:6379');
+    return new RedisRateLimitStore({ client, prefix: `${env.RATE_LIMIT_PREFIX || 'rl:'}${name}:` });
+  };
 };
 
 /**
- * Cleanup old entries from rate store to prevent memory leaks
+ * Short, non-reversible fingerprint of a credential so raw keys never end up in stats
  */
-const cleanupOldEntries = () => {
-  const now = Date.now();
-  const cutoff = now - RATE_LIMIT_CONFIG.windowMs;
-  
-  let cleanedCount = 0;
-  for (const [ip, data] of rateStore.entries()) {
-    // Remove IPs with no recent requests
-    if (data.requests.length === 0 || Math.max(...data.requests) < cutoff) {
-      rateStore.delete(ip);
-      cleanedCount++;
-    }
-  }
-  
-  if (cleanedCount > 0) {
-    logger.info(`Cleaned up ${cleanedCount} old rate limit entries`);
+const fingerprint = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+/**
+ * Built-in key generators
+ * Each returns the string that requests are counted under.
+ */
+const keyGenerators = {
+  // Client IP address
+  ip: (req) => getClientIP(req),
+
+  // Bearer token or X-API-Key header, falling back to the IP for anonymous requests
+  apiKey: (req) => {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : req.headers['x-api-key'];
+    return token ? `key:${fingerprint(token)}` : getClientIP(req);
+  },
+
+  // Authenticated user ID (req.user.id), falling back to the IP
+  userId: (req) => (req.user && req.user.id ? `user:${req.user.id}` : getClientIP(req)),
+
+  // Route plus IP, so each endpoint gets its own budget per client
+  // Routing ignores case and a trailing slash, so the key does too: the matched
+  // route pattern when there is one, the normalized path otherwise
+  routeAndIp: (req) => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : `${req.baseUrl}${req.path}`;
+    const normalized = route.toLowerCase().replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+    return `${req.method} ${normalized}|${getClientIP(req)}`;
   }
 };
 
 /**
- * Get current rate limit stats (for admin routes)
+ * Set rate limit headers on a response
+ * Standard headers follow the IETF RateLimit header fields draft:
+ *   RateLimit: limit=1000, remaining=999, reset=600
+ *   RateLimit-Policy: 1000;w=600
+ * Legacy X-RateLimit-Reset is the reset time in Unix epoch seconds.
  */
-const getRateLimitStats = () => {
-  const stats = {
-    totalIPs: rateStore.size,
-    activeConnections: 0,
-    topIPs: []
-  };
-  
-  const ipStats = [];
-  for (const [ip, data] of rateStore.entries()) {
-    if (data.count > 0) {
-      stats.activeConnections++;
-      ipStats.push({ ip, count: data.count, lastRequest: Math.max(...data.requests) });
-    }
+const setRateLimitHeaders = (res, config, { remaining, resetTime }) => {
+  const resetSeconds = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+
+  if (config.standardHeaders) {
+    res.set({
+      'RateLimit': `limit=${config.maxRequests}, remaining=${remaining}, reset=${resetSeconds}`,
+      'RateLimit-Policy': `${config.maxRequests};w=${Math.ceil(config.windowMs / 1000)}`
+    });
+  }
+
+  if (config.legacyHeaders) {
+    res.set({
+      'X-RateLimit-Limit': config.maxRequests,
+      'X-RateLimit-Remaining': remaining,
+      'X-RateLimit-Reset': Math.ceil(resetTime / 1000)
+    });
+  }
+};
+
+const checkLimits = ({ name, windowMs, maxRequests }) => {
+  if (!Number.isFinite(windowMs) || windowMs <= 0 || !Number.isInteger(maxRequests) || maxRequests <= 0) {
+    throw new Error(`Rate limiter "${name}" needs a positive windowMs and maxRequests`);
   }
-  
-  // Sort by request count and get top 10
-  stats.topIPs = ipStats
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10)
-    .map(item => ({
-      ip: item.ip,
-      requests: item.count,
-      lastRequestTime: new Date(item.lastRequest).toISOString()
-    }));
-  
-  return stats;
 };
 
 /**
- * Reset rate limit for specific IP (admin function)
+ * Rate limit registry factory
+ *
+ * A registry owns a set of named limiters and their stores: policy names are
+ * unique within it, and stats, resets and runtime updates cover its limiters.
+ * Offences (429 responses) are reported to `banPolicy` when one is given.
+ *
+ * @param {object} [options]
+ * @param {function} [options.createStore] - (policyName) => store (default: in memory)
+ * @param {object} [options.banPolicy] - ban policy created with createBanPolicy
+ * @returns {object} { createRateLimiter, updateRateLimiter, getPolicyNames, getRateLimitStats,
+ *   resetRateLimit, close }
  */
-const resetRateLimit = (ip) => {
-  const deleted = rateStore.delete(ip);
-  logger.info(`Rate limit reset for IP: ${ip}, existed: ${deleted}`);
-  return deleted;
+const createRateLimitRegistry = ({ createStore = () => new MemoryRateLimitStore(), banPolicy = null } = {}) => {
+  // Every limiter created by createRateLimiter, by policy name
+  // Structure: { name: { config, store } }
+  const limiters = new Map();
+  registries.add(limiters);
+
+  /**
+   * Rate limiter factory
+   * @param {object} options
+   * @param {string} options.name - policy name, unique; used in stats, logs and store keys
+   * @param {number} options.windowMs - window length in milliseconds
+   * @param {number} options.maxRequests - requests allowed per window
+   * @param {string} [options.algorithm] - 'sliding-window' (default), 'fixed-window' or 'token-bucket'
+   * @param {string} [options.message] - message for 429 responses
+   * @param {function} [options.keyGenerator] - (req) => key; defaults to keyGenerators.ip
+   * @param {function} [options.skip] - (req) => boolean; true skips limiting for the request
+   * @param {boolean} [options.skipSuccessfulRequests] - take back hits whose response status is < 400
+   * @param {boolean} [options.skipFailedRequests] - take back hits whose response status is >= 400
+   * @param {boolean} [options.standardHeaders] - send IETF RateLimit / RateLimit-Policy headers
+   * @param {boolean} [options.legacyHeaders] - send X-RateLimit-* headers (default true)
+   * @param {object} [options.store] - rate limit store; defaults to one from the registry's createStore
+   * @returns {function} Express middleware
+   */
+  const createRateLimiter = (options) => {
+    const config = {
+      algorithm: 'sliding-window',
+      message: 'Too many requests, please try again later',
+      keyGenerator: keyGenerators.ip,
+      skip: null,
+      skipSuccessfulRequests: false,
+      skipFailedRequests: false,
+      standardHeaders: false,
+      legacyHeaders: true,
+      ...options
+    };
+
+    if (!config.name) {
+      throw new Error('Rate limiter requires a name');
+    }
+    if (limiters.has(config.name)) {
+      throw new Error(`Rate limiter "${config.name}" already exists`);
+    }
+    checkLimits(config);
+
+    const store = config.store || createStore(config.name);
+    store.init(config);
+    limiters.set(config.name, { config, store });
+    limitedRequests.inc({ policy: config.name }, 0);
+
+    // config is read per request: updateRateLimiter changes it in place
+    const rateLimit = async (req, res, next) => {
+      if (config.skip && config.skip(req)) {
+        return next();
+      }
+
+      const key = config.keyGenerator(req);
+
+      let result;
+      try {
+        result = await store.increment(key);
+      } catch (error) {
+        // Fail open: an unreachable store should not take the whole API down
+        logger.error(`Rate limit store error for policy "${config.name}", allowing request: ${error.message}`);
+        return next();
+      }
+
+      const { count, resetTime } = result;
+
+      // Take the hit back once the final status is known, if that kind of response is skipped
+      if (config.skipSuccessfulRequests || config.skipFailedRequests) {
+        let settled = false;
+        const settle = (failed) => {
+          if (settled) return;
+          settled = true;
+          if (failed ? config.skipFailedRequests : config.skipSuccessfulRequests) {
+            store.decrement(key).catch(error => {
+              logger.error(`Rate limit store error for policy "${config.name}" while skipping request: ${error.message}`);
+            });
+          }
+        };
+        res.on('finish', () => settle(res.statusCode >= 400));
+        // Connection closed before the response was sent
+        res.on('close', () => settle(true));
+      }
+
+      // Check if limit exceeded
+      if (count > config.maxRequests) {
+        const retryAfter = Math.max(1, Math.ceil((resetTime - Date.now()) / 1000));
+        const clientIP = getClientIP(req);
+
+        logger.warn(`Rate limit "${config.name}" exceeded for IP: ${clientIP}`);
+        if (banPolicy) banPolicy.recordOffence(clientIP, 'rateLimit', `${config.name}: ${req.method} ${req.originalUrl}`);
+        limitedRequests.inc({ policy: config.name });
+
+        // Set rate limit headers
+        setRateLimitHeaders(res, config, { remaining: 0, resetTime });
+        res.set('Retry-After', retryAfter);
+
+        return res.status(429).json(errorResponse(config.message, 429, {
+          retryAfter: retryAfter,
+          limit: config.maxRequests,
+          windowMs: config.windowMs,
+          policy: config.name
+        }));
+      }
+
+      // Set rate limit headers for successful requests
+      // When several limiters apply, the one that runs last sets the headers
+      const remaining = Math.max(0, config.maxRequests - count);
+      setRateLimitHeaders(res, config, { remaining, resetTime });
+
+      next();
+    };
+
+    // Express 4 ignores rejected promises: a throwing skip or keyGenerator goes to the error handler
+    return (req, res, next) => {
+      rateLimit(req, res, next).catch(next);
+    };
+  };
+
+  /**
+   * Change the limits of a running limiter
+   * Counters are kept, except when the algorithm changes (their state is not
+   * comparable); requests already counted stay counted under the new limits.
+   * @param {string} name - policy name
+   * @param {object} changes - any of windowMs, maxRequests, algorithm, message, skip* and *Headers
+   */
+  const updateRateLimiter = (name, changes) => {
+    const limiter = limiters.get(name);
+    if (!limiter) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    const unknown = Object.keys(changes).filter(setting => !TUNABLE_SETTINGS.includes(setting));
+    if (unknown.length > 0) {
+      throw new Error(`Rate limiter "${name}" cannot change ${unknown.join(', ')} at runtime`);
+    }
+    checkLimits({ ...limiter.config, ...changes });
+
+    Object.assign(limiter.config, changes);
+    limiter.store.init(limiter.config);
+    logger.info(`Rate limiter "${name}" updated: ${limiter.config.maxRequests} per ${limiter.config.windowMs}ms (${limiter.config.algorithm})`);
+  };
+
+  /**
+   * Get current rate limit stats (for admin routes)
+   * Top-level fields describe the global policy; `policies` covers every limiter
+   */
+  const getRateLimitStats = async () => {
+    const policies = {};
+
+    for (const [name, { config, store }] of limiters.entries()) {
+      const storeStats = await store.stats(10);
+      policies[name] = {
+        windowMs: config.windowMs,
+        maxRequests: config.maxRequests,
+        algorithm: config.algorithm,
+        totalKeys: storeStats.totalKeys,
+        activeKeys: storeStats.activeKeys,
+        topKeys: storeStats.topKeys.map(item => ({
+          key: item.key,
+          requests: item.count,
+          lastRequestTime: new Date(item.lastRequest).toISOString()
+        }))
+      };
+    }
+
+    const global = policies.global || { totalKeys: 0, activeKeys: 0, topKeys: [] };
+    return {
+      totalIPs: global.totalKeys,
+      activeConnections: global.activeKeys,
+      topIPs: global.topKeys.map(item => ({
+        ip: item.key,
+        requests: item.requests,
+        lastRequestTime: item.lastRequestTime
+      })),
+      policies: policies
+    };
+  };
+
+  /**
+   * Reset rate limit for a key (admin function)
+   * @param {string} key - usually an IP; for other key generators, the key shown in stats
+   * @param {string} [policyName] - only reset this policy; defaults to every policy
+   */
+  const resetRateLimit = async (key, policyName = null) => {
+    if (policyName && !limiters.has(policyName)) {
+      throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    const names = policyName ? [policyName] : Array.from(limiters.keys());
+    let deleted = false;
+    for (const name of names) {
+      if (await limiters.get(name).store.reset(key)) {
+        deleted = true;
+      }
+    }
+
+    logger.info(`Rate limit reset for key: ${key} (${policyName || 'all policies'}), existed: ${deleted}`);
+    return deleted;
+  };
+
+  /**
+   * Names of the policies created so far
+   */
+  const getPolicyNames = () => Array.from(limiters.keys());
+
+  /**
+   * Shut down every limiter's store
+   */
+  const close = async () => {
+    registries.delete(limiters);
+    for (const { store } of limiters.values()) {
+      await store.shutdown();
+    }
+  };
+
+  return {
+    createRateLimiter,
+    updateRateLimiter,
+    getPolicyNames,
+    getRateLimitStats,
+    resetRateLimit,
+    close
+  };
 };
 
-module.exports = rateLimiter;
-module.exports.getRateLimitStats = getRateLimitStats;
-module.exports.resetRateLimit = resetRateLimit;
-module.exports.RATE_LIMIT_CONFIG = RATE_LIMIT_CONFIG;
\ No newline at end of file
+module.exports = {
+  createRateLimitRegistry,
+  rateLimitStoresFromEnv,
+  keyGenerators
+};
@@ -0,0 +1,39 @@
+// middleware/requestId.js - Request correlation ids
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+// Configuration
+const REQUEST_ID_CONFIG = {
+  header: process.env.REQUEST_ID_HEADER || 'X-Request-Id',
+  // Reuse ids sent by clients or upstream proxies; set to false to always generate one
+  trustIncoming: process.env.REQUEST_ID_TRUST_INCOMING !== 'false',
+  // Letters, digits and - _ . : only, so an id can never inject into logs or headers
+  pattern: /^[A-Za-z0-9._:-]{1,128}$/
+};
+
+/**
+ * Incoming id if it is acceptable, otherwise a new UUID
+ */
+const resolveRequestId = (req) => {
+  const incoming = req.headers[REQUEST_ID_CONFIG.header.toLowerCase()];
+  if (REQUEST_ID_CONFIG.trustIncoming && typeof incoming === 'string' && REQUEST_ID_CONFIG.pattern.test(incoming)) {
+    return incoming;
+  }
+  return crypto.randomUUID();
+};
+
+/**
+ * Request id middleware (register before everything else)
+ * Sets req.id and the response header, and runs the rest of the request inside
+ * a context so that logger lines and response bodies carry the id automatically.
+ */
+const requestId = (req, res, next) => {
+  const id = resolveRequestId(req);
+  req.id = id;
+  res.set(REQUEST_ID_CONFIG.header, id);
+  runWithContext({ requestId: id }, next);
+};
+
+module.exports = requestId;
+module.exports.resolveRequestId = resolveRequestId;
+module.exports.REQUEST_ID_CONFIG = REQUEST_ID_CONFIG;
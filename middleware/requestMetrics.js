@@ -0,0 +1,46 @@
+// middleware/requestMetrics.js - Request latency histogram
+const metrics = require('../utils/metrics');
+
+const requestDuration = metrics.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving a request to finishing its response',
+  labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * Full route pattern, e.g. "/api/admin/keys/:id/rotate"
+ * Raw paths are never used as labels so ids and probes cannot create unbounded series.
+ */
+const routePattern = (baseUrl, route) => {
+  if (route.path === '/' && baseUrl) return baseUrl;
+  return `${baseUrl}${route.path}`;
+};
+
+/**
+ * Record the latency of every request (register early, before blocking middleware)
+ * The route label is taken when Express matches a route, because req.baseUrl is
+ * restored when an error leaves the router. Requests that match no route are
+ * labelled "unmatched"; requests whose connection closes early are not observed.
+ */
+const requestMetrics = (req, res, next) => {
+  const stopTimer = requestDuration.startTimer();
+  let route = null;
+  let label = 'unmatched';
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) label = routePattern(req.baseUrl, value);
+    }
+  });
+
+  res.once('finish', () => {
+    stopTimer({ method: req.method, route: label, status: res.statusCode });
+  });
+  next();
+};
+
+module.exports = requestMetrics;
@@ -2,222 +2,452 @@
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const logger = require('../utils/logger');
+const { getClientIP } = require('../utils/clientIp');
+const { formats } = require('../utils/schema');
+const { validateRequest } = require('./validation');
+const { errorResponse, validationErrorResponse } = require('../utils/responseHelper');
+const metrics = require('../utils/metrics');
+
+const removedKeysTotal = metrics.counter({
+  name: 'security_sanitizer_removed_keys_total',
+  help: 'Dangerous keys ($ operators, dotted or encoded names) stripped from requests',
+  labelNames: ['source']
+});
+
+// Structural limits per request, checked before any value is processed
+// Anything over a limit is refused (413, or 400 for nesting) instead of being
+// walked: deep or huge input would otherwise block the event loop or overflow the stack.
+// These are the defaults; createSanitizer({ limits }) overrides them per instance.
+const SANITIZE_LIMITS = Object.freeze({
+  maxDepth: 32,              // nested objects/arrays
+  maxKeys: 10000,            // object keys plus array items, over body, query and params together
+  maxArrayLength: 1000,      // items in one array
+  maxStringLength: 100000    // characters in one string (keys included)
+});
+
+// Keys that reach Object.prototype or a constructor when merged into another object
+const POLLUTION_KEYS = ['__proto__', 'constructor', 'prototype'];
 
 /**
- * Custom NoSQL injection sanitizer
- * Removes dangerous characters and operators from input
+ * Raised when input breaks a structural limit; `status` is the HTTP status to answer with
  */
-const customMongoSanitize = (payload) => {
-  if (payload && typeof payload === 'object') {
-    for (const key in payload) {
-      if (payload.hasOwnProperty(key)) {
-        // Remove keys starting with $ (MongoDB operators)
-        if (key.startsWith('$')) {
-          delete payload[key];
-          continue;
-        }
-        
-        // Remove keys containing dots (can access nested properties)
-        if (key.includes('.')) {
-          delete payload[key];
-          continue;
-        }
-        
-        // Recursively sanitize nested objects
-        if (typeof payload[key] === 'object' && payload[key] !== null) {
-          payload[key] = customMongoSanitize(payload[key]);
-        }
-        
-        // Sanitize string values
-        if (typeof payload[key] === 'string') {
-          payload[key] = sanitizeString(payload[key]);
-        }
-      }
-    }
+class SanitizeLimitError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = 'SanitizeLimitError';
+    this.status = status;
+    this.details = details;
   }
-  return payload;
+}
+
+// Sanitization modes
+//   encode  strip markup, then HTML-encode what is left (default)
+//   strip   remove every tag (with its attributes) and script URLs, keep the text
+//   reject  answer 400 if a value contains markup or a key is dangerous
+//   raw     leave values and keys untouched
+//   report  leave everything untouched, but log what "encode" would have changed
+const SANITIZE_MODES = ['encode', 'strip', 'reject', 'raw', 'report'];
+
+// Elements whose content is code or raw text, removed with their content (closed or not)
+const RAW_TEXT_ELEMENTS = /<(script|style|template|noscript|iframe|object|xmp)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+
+// Anything that can start a tag, comment or declaration, up to its end or the end of the string
+const TAG = /<[/!?]?[a-z][^>]*(?:>|$)|<!--[\s\S]*?(?:-->|$)|<[!?][^>]*(?:>|$)/gi;
+
+// Browsers drop whitespace and control characters inside a URL scheme
+const schemePattern = (scheme) => new RegExp(`${scheme.split('').join('[\\u0000-\\u0020]*')}[\\u0000-\\u0020]*:`, 'gi');
+const SCRIPT_SCHEMES = [schemePattern('javascript'), schemePattern('vbscript')];
+
+// Named entities that can spell out a script URL
+const NAMED_ENTITIES = { amp: '&', colon: ':', Tab: '\t', NewLine: '\n', lpar: '(', rpar: ')', sol: '/', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+/**
+ * Decode numeric and the NAMED_ENTITIES character references (the ";" is optional, as in browsers)
+ */
+const decodeEntities = (str) => {
+  return str.replace(/&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|([a-z]+));?/gi, (match, dec, hex, name) => {
+    if (name) return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : match;
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
 };
 
+const hasScriptScheme = (str) => SCRIPT_SCHEMES.some(pattern => {
+  pattern.lastIndex = 0;
+  return pattern.test(str);
+});
+
 /**
- * Custom XSS sanitizer for strings
- * Removes/encodes dangerous HTML and JavaScript
+ * Remove all markup: raw-text elements with their content, every other tag with
+ * its attributes, comments, and javascript: / vbscript: schemes, also when they
+ * are entity-encoded or split by whitespace. Repeats until nothing changes, so
+ * removing one piece cannot join the rest into new markup.
+ * The result is text, not HTML: still encode it where it is put into a page.
  */
-const sanitizeString = (str) => {
-  if (typeof str !== 'string') return str;
-  
-  // Remove script tags and event handlers
-  str = str.replace(/<script[^>]*>.*?<\/script>/gi, '');
-  str = str.replace(/on\w+\s*=\s*["'][^"']*["']/gi, '');
-  str = str.replace(/javascript:/gi, '');
-  
-  // Encode HTML entities
-  str = str
+const stripMarkup = (str) => {
+  let previous;
+  let current = str;
+  do {
+    previous = current;
+    current = current.replace(RAW_TEXT_ELEMENTS, '').replace(TAG, '');
+    // Entities are only decoded when they hide a script URL
+    const decoded = decodeEntities(current);
+    const target = hasScriptScheme(decoded) ? decoded : current;
+    current = SCRIPT_SCHEMES.reduce((text, pattern) => text.replace(pattern, ''), target);
+  } while (current !== previous);
+  return current;
+};
+
+/**
+ * Encode HTML entities
+ */
+const encodeHtml = (str) => {
+  return str
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#x27;')
     .replace(/\//g, '&#x2F;');
-  
-  return str;
 };
 
 /**
- * Deep sanitization function
- * Recursively sanitizes all nested objects and arrays
+ * Custom XSS sanitizer for strings
+ * Removes/encodes dangerous HTML and JavaScript
  */
-const deepSanitize = (obj) => {
-  if (obj === null || obj === undefined) {
-    return obj;
+const sanitizeString = (str) => {
+  if (typeof str !== 'string') return str;
+  return encodeHtml(stripMarkup(str));
+};
+
+/**
+ * Whether a string carries markup: tags, event handlers or javascript: URLs
+ */
+const containsMarkup = (str) => /[<>]/.test(str) || stripMarkup(str) !== str;
+
+/**
+ * Keys that are dropped: MongoDB operators ($), dotted paths and names that change when encoded
+ */
+const isDangerousKey = (key) => key.startsWith('$') || key.includes('.') || sanitizeString(key) !== key;
+
+/**
+ * Compile { 'body.links.*.url': 'raw' } into matchers; "*" matches one key or array index
+ */
+const compileFieldPolicies = (fields) => {
+  return Object.entries(fields).map(([pattern, mode]) => {
+    if (!SANITIZE_MODES.includes(mode)) {
+      throw new Error(`Unknown sanitize mode for ${pattern}: ${mode}`);
+    }
+    const segments = pattern.split('.');
+    return { segments, mode, wildcards: segments.filter(segment => segment === '*').length };
+  });
+};
+
+/**
+ * Mode set for exactly this path, preferring the pattern with the fewest wildcards
+ */
+const fieldMode = (fieldPolicies, segments) => {
+  let best = null;
+  for (const policy of fieldPolicies) {
+    if (policy.segments.length !== segments.length) continue;
+    const matches = policy.segments.every((segment, i) => segment === '*' || segment === String(segments[i]));
+    if (matches && (!best || policy.wildcards < best.wildcards)) best = policy;
   }
-  
-  if (Array.isArray(obj)) {
-    return obj.map(item => deepSanitize(item));
+  return best ? best.mode : null;
+};
+
+/**
+ * Count keys and array items toward maxKeys
+ */
+const countNodes = (found, count, path) => {
+  found.nodes += count;
+  if (found.nodes > found.limits.maxKeys) {
+    throw new SanitizeLimitError('Request has too many fields', 413, { field: path, limit: found.limits.maxKeys });
   }
-  
-  if (typeof obj === 'object') {
+};
+
+const checkStringLength = (str, path, limits) => {
+  if (str.length > limits.maxStringLength) {
+    throw new SanitizeLimitError('Request value too long', 413, { field: path, limit: limits.maxStringLength });
+  }
+};
+
+/**
+ * Walk a value, applying the mode in force at each path
+ * A field's mode covers its whole subtree unless a deeper field sets another;
+ * "raw" still walks the subtree for limits and pollution keys.
+ * Findings go to `found`: { rejected: [{ field, message }], removedKeys: [], reported: [], quiet },
+ * which also carries the `limits` in force and the running `nodes` count.
+ */
+const applyPolicy = (value, segments, mode, fieldPolicies, found) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const path = segments.join('.');
+  const { limits } = found;
+  if (segments.length - 1 > limits.maxDepth) {
+    throw new SanitizeLimitError('Request nested too deeply', 400, { field: path, limit: limits.maxDepth });
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length > limits.maxArrayLength) {
+      throw new SanitizeLimitError('Request array too long', 413, { field: path, limit: limits.maxArrayLength });
+    }
+    countNodes(found, value.length, path);
+    return value.map((item, index) => {
+      const itemSegments = [...segments, index];
+      return applyPolicy(item, itemSegments, fieldMode(fieldPolicies, itemSegments) || mode, fieldPolicies, found);
+    });
+  }
+
+  if (typeof value === 'object') {
+    const keys = Object.keys(value);
+    countNodes(found, keys.length, path);
     const sanitized = {};
-    for (const [key, value] of Object.entries(obj)) {
-      // Sanitize the key itself
-      const cleanKey = sanitizeString(key);
-      
-      // Skip dangerous keys
-      if (cleanKey.startsWith('$') || cleanKey.includes('.') || cleanKey !== key) {
-        logger.warn(`Removed dangerous key: ${key}`);
+    for (const key of keys) {
+      const keySegments = [...segments, key];
+      const keyMode = fieldMode(fieldPolicies, keySegments) || mode;
+      checkStringLength(key, `${path}.${key}`, limits);
+
+      // Pollution keys are removed in every mode, raw and report included
+      if (POLLUTION_KEYS.includes(key)) {
+        if (keyMode === 'reject') {
+          found.rejected.push({ field: `${path}.${key}`, message: 'is not an allowed key' });
+        } else if (!found.quiet) {
+          logger.warn(`Removed prototype pollution key: ${path}.${key}`);
+        }
+        found.removedKeys.push(key);
         continue;
       }
-      
-      // Recursively sanitize the value
-      sanitized[cleanKey] = deepSanitize(value);
+
+      if (keyMode !== 'raw' && isDangerousKey(key)) {
+        if (keyMode === 'report') {
+          found.reported.push(`${path}.${key} (key)`);
+        } else if (keyMode === 'reject') {
+          found.rejected.push({ field: `${path}.${key}`, message: 'is not an allowed key' });
+          found.removedKeys.push(key);
+          continue;
+        } else {
+          if (!found.quiet) logger.warn(`Removed dangerous key: ${key}`);
+          found.removedKeys.push(key);
+          continue;
+        }
+      }
+
+      sanitized[key] = applyPolicy(value[key], keySegments, keyMode, fieldPolicies, found);
     }
     return sanitized;
   }
-  
-  if (typeof obj === 'string') {
-    return sanitizeString(obj);
+
+  if (typeof value === 'string') {
+    checkStringLength(value, path, limits);
+    switch (mode) {
+      case 'raw':
+        return value;
+      case 'strip':
+        return stripMarkup(value);
+      case 'reject':
+        if (containsMarkup(value)) {
+          found.rejected.push({ field: path, message: 'must not contain markup or scripts' });
+        }
+        return value;
+      case 'report':
+        if (sanitizeString(value) !== value) {
+          found.reported.push(path);
+        }
+        return value;
+      default:
+        return sanitizeString(value);
+    }
   }
-  
-  return obj;
+
+  return value;
 };
 
 /**
- * Main sanitization middleware
+ * Deep sanitization function
+ * Recursively sanitizes all nested objects and arrays (the "encode" mode)
+ * @param {*} obj - value to sanitize
+ * @param {string[]} [removedKeys] - collects the dangerous keys that were dropped
+ * @throws {SanitizeLimitError} when the value breaks SANITIZE_LIMITS
  */
-const sanitizer = (req, res, next) => {
-  try {
-    // Log original request for debugging (in development)
-    if (process.env.NODE_ENV === 'development') {
-      logger.debug('Original request body:', JSON.stringify(req.body, null, 2));
-    }
-    
-    // Sanitize request body
-    if (req.body && Object.keys(req.body).length > 0) {
-      req.body = deepSanitize(req.body);
-    }
-    
-    // Sanitize query parameters
-    if (req.query && Object.keys(req.query).length > 0) {
-      req.query = deepSanitize(req.query);
-    }
-    
-    // Sanitize URL parameters
-    if (req.params && Object.keys(req.params).length > 0) {
-      req.params = deepSanitize(req.params);
-    }
-    
-    // Sanitize specific headers (if needed)
-    const headersToSanitize = ['user-agent', 'referer', 'x-forwarded-for'];
-    headersToSanitize.forEach(header => {
-      if (req.headers[header]) {
-        req.headers[header] = sanitizeString(req.headers[header]);
+const deepSanitize = (obj, removedKeys = []) => {
+  const found = { rejected: [], removedKeys, reported: [], limits: SANITIZE_LIMITS, nodes: 0 };
+  return applyPolicy(obj, ['value'], 'encode', [], found);
+};
+
+/**
+ * Sanitization middleware factory
+ *
+ * The security stack applies the default policy to every request. A router or
+ * route can apply its own policy afterwards: it starts again from the original
+ * input (kept on req.unsanitized), so nothing is encoded twice.
+ *
+ * @example
+ * router.post('/notes', createSanitizer({
+ *   mode: 'reject',
+ *   fields: { 'body.markdown': 'strip', 'body.links.*': 'raw' }
+ * }), handler)
+ * @param {object} [policy]
+ * @param {string} [policy.mode] - default mode for body, query and params (default 'encode')
+ * @param {object} [policy.fields] - modes for paths like 'body.url', 'query.q' or 'body.items.*.url'
+ * @param {object} [policy.limits] - overrides for SANITIZE_LIMITS in this instance
+ * @param {object} [policy.banPolicy] - ban policy that dangerous keys are reported to
+ * @returns {function} Express middleware
+ */
+const createSanitizer = ({ mode = 'encode', fields = {}, limits = {}, banPolicy = null } = {}) => {
+  if (!SANITIZE_MODES.includes(mode)) {
+    throw new Error(`Unknown sanitize mode: ${mode}`);
+  }
+  const fieldPolicies = compileFieldPolicies(fields);
+  const instanceLimits = { ...SANITIZE_LIMITS, ...limits };
+
+  return (req, res, next) => {
+    try {
+      const firstPass = !req.unsanitized;
+      if (firstPass) {
+        req.unsanitized = {};
       }
-    });
-    
-    // Log sanitized request for debugging (in development)
-    if (process.env.NODE_ENV === 'development') {
-      logger.debug('Sanitized request body:', JSON.stringify(req.body, null, 2));
+      
+      // Log original request for debugging (in development)
+      if (process.env.NODE_ENV === 'development') {
+        logger.debug('Original request body:', JSON.stringify(req.unsanitized.body || req.body, null, 2));
+      }
+
+      const rejected = [];
+      const reported = [];
+      const offences = [];
+      const budget = { limits: instanceLimits, nodes: 0 };
+
+      // Sanitize body, query and URL parameters, counting removed keys per source
+      ['body', 'query', 'params'].forEach(source => {
+        // Keep the original the first time a part has content (params only exist inside routers)
+        const newlySeen = !req.unsanitized[source] && req[source] && Object.keys(req[source]).length > 0;
+        if (newlySeen) {
+          req.unsanitized[source] = req[source];
+        }
+        const original = req.unsanitized[source];
+        if (!original) return;
+
+        const found = { rejected, removedKeys: [], reported, quiet: !newlySeen, limits: budget.limits, nodes: budget.nodes };
+        const sourceMode = fieldMode(fieldPolicies, [source]) || mode;
+        req[source] = applyPolicy(original, [source], sourceMode, fieldPolicies, found);
+        budget.nodes = found.nodes;
+
+        // Dangerous keys are counted once per request, by the first policy that sees them
+        if (newlySeen && found.removedKeys.length > 0) {
+          removedKeysTotal.inc({ source }, found.removedKeys.length);
+          offences.push(...found.removedKeys);
+        }
+      });
+
+      // Requests carrying operator or encoded keys count toward an automatic ban
+      if (offences.length > 0 && banPolicy) {
+        banPolicy.recordOffence(getClientIP(req), 'sanitizerRejection', `removed keys: ${offences.slice(0, 5).join(', ')}`);
+      }
+
+      if (reported.length > 0) {
+        logger.warn(`Sanitizer (report only) would change ${req.method} ${req.originalUrl}: ${reported.slice(0, 20).join(', ')}`);
+      }
+
+      if (rejected.length > 0) {
+        logger.warn(`Sanitizer rejected ${req.method} ${req.originalUrl}: ${rejected.map(error => error.field).join(', ')}`);
+        return res.status(400).json(validationErrorResponse(rejected));
+      }
+
+      // Sanitize specific headers (if needed), once per request
+      // Forwarding headers are left alone: client IP resolution (utils/clientIp.js) parses them as addresses
+      if (firstPass && mode !== 'raw' && mode !== 'report') {
+        const headersToSanitize = ['user-agent', 'referer'];
+        headersToSanitize.forEach(header => {
+          if (req.headers[header]) {
+            req.headers[header] = sanitizeString(req.headers[header]);
+          }
+        });
+      }
+      
+      // Log sanitized request for debugging (in development)
+      if (process.env.NODE_ENV === 'development') {
+        logger.debug('Sanitized request body:', JSON.stringify(req.body, null, 2));
+      }
+
+      next();
+    } catch (error) {
+      if (error instanceof SanitizeLimitError) {
+        logger.warn(`Sanitizer refused ${req.method} ${req.originalUrl}: ${error.message} at ${error.details.field} (limit ${error.details.limit})`);
+        return res.status(error.status).json(errorResponse(error.message, error.status, error.details));
+      }
+      logger.error('Error in sanitization middleware:', error);
+      next(error);
     }
-    
-    next();
-  } catch (error) {
-    logger.error('Error in sanitization middleware:', error);
-    next(error);
-  }
+  };
+};
+
+// Formats accepted by the legacy createValidator rules
+const LEGACY_FORMATS = {
+  email: 'email',
+  phoneNumber: 'phone',
+  alphanumeric: 'alphanumeric',
+  name: 'name'
 };
 
 /**
  * Validation functions for common input types
  */
 const validators = {
-  email: (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  },
-  
-  phoneNumber: (phone) => {
-    const phoneRegex = /^\+?[\d\s\-\(\)]{10,}$/;
-    return phoneRegex.test(phone);
-  },
-  
-  alphanumeric: (str) => {
-    const alphanumericRegex = /^[a-zA-Z0-9]+$/;
-    return alphanumericRegex.test(str);
-  },
-  
-  name: (name) => {
-    const nameRegex = /^[a-zA-Z\s]{2,50}$/;
-    return nameRegex.test(name);
-  }
+  email: formats.email,
+  phoneNumber: formats.phone,
+  alphanumeric: formats.alphanumeric,
+  name: formats.name
 };
 
 /**
  * Input validation middleware factory
- * Creates middleware to validate specific fields
+ * @deprecated Use validateRequest from middleware/validation.js; this builds an
+ * equivalent body schema from { field: { required, type, minLength, maxLength } }.
+ * Unlike before, non-string values are rejected instead of crashing the check.
  */
 const createValidator = (validationRules) => {
-  return (req, res, next) => {
-    const errors = [];
-    
-    for (const [field, rules] of Object.entries(validationRules)) {
-      const value = req.body[field];
-      
-      if (rules.required && (!value || value.trim() === '')) {
-        errors.push(`${field} is required`);
-        continue;
-      }
-      
-      if (value && rules.type && !validators[rules.type](value)) {
-        errors.push(`${field} has invalid format`);
-      }
-      
-      if (value && rules.minLength && value.length < rules.minLength) {
-        errors.push(`${field} must be at least ${rules.minLength} characters`);
-      }
-      
-      if (value && rules.maxLength && value.length > rules.maxLength) {
-        errors.push(`${field} must be no more than ${rules.maxLength} characters`);
+  const properties = {};
+  const required = [];
+  
+  for (const [field, rules] of Object.entries(validationRules)) {
+    const property = { type: 'string' };
+    if (rules.type) {
+      if (!LEGACY_FORMATS[rules.type]) {
+        throw new Error(`Unknown validator type: ${rules.type}`);
       }
+      property.format = LEGACY_FORMATS[rules.type];
     }
-    
-    if (errors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors
-      });
+    if (rules.minLength) property.minLength = rules.minLength;
+    if (rules.maxLength) property.maxLength = rules.maxLength;
+    if (rules.required) {
+      // Blank strings do not count as present
+      property.pattern = '\\S';
+      required.push(field);
     }
-    
-    next();
-  };
+    properties[field] = property;
+  }
+  
+  return validateRequest({
+    body: { type: 'object', properties, required, additionalProperties: true }
+  });
 };
 
 // Export middleware and utility functions
-module.exports = sanitizer;
-module.exports.deepSanitize = deepSanitize;
-module.exports.sanitizeString = sanitizeString;
-module.exports.validators = validators;
-module.exports.createValidator = createValidator;
-
-// Also export third-party sanitizers for use in routes
-module.exports.mongoSanitize = mongoSanitize();
-module.exports.xssClean = xss();
\ No newline at end of file
+module.exports = {
+  deepSanitize,
+  sanitizeString,
+  stripMarkup,
+  createSanitizer,
+  SANITIZE_MODES,
+  SANITIZE_LIMITS,
+  SanitizeLimitError,
+  validators,
+  createValidator,
+
+  // Also export third-party sanitizers for use in routes
+  mongoSanitize: mongoSanitize(),
+  xssClean: xss()
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+// middleware/validation.js - Schema validation for body, query, params and headers
+const logger = require('../utils/logger');
+const { compileSchema, validate } = require('../utils/schema');
+const { validationErrorResponse } = require('../utils/responseHelper');
+
+// How each part of the request is checked
+// Query strings, route params and headers arrive as strings and are coerced to
+// the schema's types; headers always allow fields the schema does not list.
+const REQUEST_PARTS = {
+  params: { coerceStrings: true, additionalProperties: false },
+  query: { coerceStrings: true, additionalProperties: false },
+  headers: { coerceStrings: true, additionalProperties: true },
+  body: { coerceStrings: false, additionalProperties: false }
+};
+
+/**
+ * Request validation middleware factory
+ * Each schema describes one part of the request (see utils/schema.js for the
+ * supported JSON Schema subset). Validated values, with defaults and coerced
+ * types, replace req.body, req.query and req.params; headers are only checked.
+ * Any failure answers 400 with every error as { field, message }, e.g.
+ * { field: 'body.items[2].quantity', message: 'must be integer' }.
+ * @example
+ * router.get('/audit', validateRequest({
+ *   query: { type: 'object', properties: { page: { type: 'integer', minimum: 1, default: 1 } } }
+ * }), handler)
+ * @param {object} schemas - { body, query, params, headers }
+ * @returns {function} Express middleware
+ */
+const validateRequest = (schemas) => {
+  const unknown = Object.keys(schemas).filter(part => !REQUEST_PARTS[part]);
+  if (unknown.length > 0) {
+    throw new Error(`Cannot validate request part: ${unknown.join(', ')}`);
+  }
+
+  const compiled = Object.entries(schemas).map(([part, schema]) => [part, compileSchema(schema, part)]);
+
+  return (req, res, next) => {
+    const errors = [];
+    const results = {};
+
+    for (const [part, schema] of compiled) {
+      const input = req[part] === undefined ? {} : req[part];
+      const result = validate(schema, input, { path: part, ...REQUEST_PARTS[part] });
+      errors.push(...result.errors);
+      results[part] = result.value;
+    }
+
+    if (errors.length > 0) {
+      logger.warn(`Validation failed for ${req.method} ${req.originalUrl}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+      return res.status(400).json(validationErrorResponse(errors));
+    }
+
+    ['body', 'query', 'params'].forEach(part => {
+      if (results[part] !== undefined) req[part] = results[part];
+    });
+    next();
+  };
+};
+
+module.exports = {
+  validateRequest
+};
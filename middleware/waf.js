@@ -0,0 +1,125 @@
+// middleware/waf.js - Rule-based attack detection with anomaly scoring
+const path = require('path');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { loadRules, compileRules, evaluateRules, DEFAULT_RULES_FILE } = require('../utils/wafRules');
+const { SANITIZE_LIMITS } = require('./sanitizer');
+const { getClientIP } = require('../utils/clientIp');
+const { errorResponse } = require('../utils/responseHelper');
+
+// Configuration defaults (override per instance with createWaf(options))
+const WAF_CONFIG = {
+  mode: 'block',      // 'block', 'detect' (log matches only) or 'off'
+  threshold: 5,       // block when the summed rule scores reach this
+  rulesFile: DEFAULT_RULES_FILE,
+  maxInspectedLength: 1024 * 1024, // characters inspected per request, over all fields
+  truncatedScore: 3   // added when a request is too large to inspect in full; below the
+                      // threshold, so it only blocks together with a rule match
+};
+
+const WAF_MODES = ['block', 'detect', 'off'];
+
+const ruleMatches = metrics.counter({
+  name: 'security_waf_rule_matches_total',
+  help: 'Requests matched by each WAF rule',
+  labelNames: ['rule']
+});
+
+const anomalousRequests = metrics.counter({
+  name: 'security_waf_anomalous_requests_total',
+  help: 'Requests whose WAF score reached the threshold, by what was done about them',
+  labelNames: ['action']
+});
+
+/**
+ * WAF middleware factory
+ *
+ * Every rule that matches adds its score; a request reaching `threshold` is
+ * answered with 403 in block mode and counts toward an automatic ban. In
+ * detect mode the matched rule ids are only logged, to try rules out before
+ * enforcing them. Requests too large to inspect in full (more fields than the
+ * sanitizer allows, or over maxInspectedLength characters) match the
+ * "inspection-limit" pseudo rule with truncatedScore. The result is kept on
+ * req.waf ({ score, matches, truncated }).
+ * Register before the sanitizer: rules must see the input as it was sent.
+ *
+ * @param {object} [options] - see WAF_CONFIG
+ * @param {object[]} [options.rules] - rule definitions, instead of rulesFile
+ * @param {object} [options.limits] - structural limits of the sanitizer that runs
+ *   after this WAF (overrides of SANITIZE_LIMITS), so inspection covers what it accepts
+ * @param {object} [options.banPolicy] - ban policy that blocked requests are reported to
+ * @returns {function} Express middleware
+ */
+const createWaf = ({ banPolicy = null, limits = {}, ...options } = {}) => {
+  const config = { ...WAF_CONFIG, ...options };
+  const inspectionLimits = { ...SANITIZE_LIMITS, ...limits };
+  if (!WAF_MODES.includes(config.mode)) {
+    throw new Error(`Unknown WAF mode: ${config.mode}`);
+  }
+  if (config.mode === 'off') {
+    return (req, res, next) => next();
+  }
+
+  const rules = config.rules ? compileRules(config.rules) : loadRules(config.rulesFile);
+  logger.info(`WAF loaded ${rules.length} rules (mode: ${config.mode}, threshold: ${config.threshold})`);
+
+  return (req, res, next) => {
+    // Every key and value the sanitizer would accept is inspected: maxKeys counts
+    // a key and its value as one, inspection counts them apart
+    const result = evaluateRules(rules, req, {
+      maxDepth: inspectionLimits.maxDepth,
+      maxFields: 2 * inspectionLimits.maxKeys,
+      maxValueLength: inspectionLimits.maxStringLength,
+      maxTotalLength: config.maxInspectedLength,
+      truncatedScore: config.truncatedScore
+    });
+    req.waf = result;
+    if (result.matches.length === 0) {
+      return next();
+    }
+
+    result.matches.forEach(match => ruleMatches.inc({ rule: match.id }));
+    const ip = getClientIP(req);
+    const summary = result.matches.map(match => `${match.id} @ ${match.field}`).join(', ');
+
+    if (result.score < config.threshold) {
+      logger.info(`WAF score ${result.score}/${config.threshold} for ${req.method} ${req.originalUrl} from IP: ${ip} (${summary})`);
+      return next();
+    }
+
+    if (config.mode === 'detect') {
+      anomalousRequests.inc({ action: 'logged' });
+      logger.warn(`WAF would block ${req.method} ${req.originalUrl} from IP: ${ip}, score ${result.score} (${summary})`);
+      return next();
+    }
+
+    anomalousRequests.inc({ action: 'blocked' });
+    logger.warn(`WAF blocked ${req.method} ${req.originalUrl} from IP: ${ip}, score ${result.score} (${summary})`);
+    if (banPolicy) banPolicy.recordOffence(ip, 'wafBlock', result.matches.map(match => match.id).join(', '));
+    return res.status(403).json(errorResponse('Request blocked by security rules', 403));
+  };
+};
+
+/**
+ * WAF options from the environment
+ *   WAF_MODE        block (default), detect or off
+ *   WAF_THRESHOLD   anomaly score that blocks a request (default 5)
+ *   WAF_RULES_FILE  rules file (default rules/waf-rules.json)
+ *   WAF_MAX_INSPECTED_LENGTH  characters inspected per request (default 1 MiB)
+ *   WAF_TRUNCATED_SCORE       score of a request inspected only in part (default 3; set it
+ *                             to the threshold to block every such request)
+ */
+const wafConfigFromEnv = (env = process.env) => ({
+  mode: env.WAF_MODE || WAF_CONFIG.mode,
+  threshold: env.WAF_THRESHOLD ? Number(env.WAF_THRESHOLD) : WAF_CONFIG.threshold,
+  rulesFile: env.WAF_RULES_FILE ? path.resolve(env.WAF_RULES_FILE) : WAF_CONFIG.rulesFile,
+  maxInspectedLength: env.WAF_MAX_INSPECTED_LENGTH ? Number(env.WAF_MAX_INSPECTED_LENGTH) : WAF_CONFIG.maxInspectedLength,
+  truncatedScore: env.WAF_TRUNCATED_SCORE ? Number(env.WAF_TRUNCATED_SCORE) : WAF_CONFIG.truncatedScore
+});
+
+module.exports = {
+  createWaf,
+  wafConfigFromEnv,
+  WAF_CONFIG,
+  WAF_MODES
+};
@@ -1,18 +1,43 @@
+// rate-limit_test.js - Send more requests than the global limit allows and count the 429s
+//
+//   npm run test:rate-limit
+//
+// The limit, window and port come from the configuration (config/config.yaml, RATE_LIMIT_MAX,
+// PORT), so the script keeps matching the running server. /health is used because it is
+// covered by the global limit only (/api/public has a policy of its own).
 const http = require('http');
+const config = require('./utils/config');
 
-const NUM_REQUESTS = 1100;
-const URL = 'http://localhost:60005/api/public';
+const { maxRequests, windowMs } = config.get('rateLimit.global');
+const NUM_REQUESTS = maxRequests + 100;
+const URL = `http://localhost:${config.get('server.port')}/health`;
+
+const statuses = {};
+let done = 0;
+
+function finish() {
+  if (++done < NUM_REQUESTS) return;
+  console.log(`\n${NUM_REQUESTS} requests to ${URL} (global limit ${maxRequests} per ${windowMs / 1000}s):`);
+  Object.keys(statuses).sort().forEach(status => console.log(`  ${status}: ${statuses[status]}`));
+  if (!statuses[429]) {
+    console.log('No request was rate limited; is the server running with this configuration?');
+    process.exitCode = 1;
+  }
+}
 
 function sendRequest(i) {
   http.get(URL, (res) => {
-    let data = '';
-
-    res.on('data', chunk => data += chunk);
+    res.resume();
     res.on('end', () => {
-      console.log(`Response ${i}:`, data);
+      statuses[res.statusCode] = (statuses[res.statusCode] || 0) + 1;
+      if (res.statusCode === 429 && statuses[429] === 1) {
+        console.log(`First 429 at request ${i}, RateLimit: ${res.headers.ratelimit}`);
+      }
+      finish();
     });
   }).on('error', (err) => {
-    console.error(`Error ${i}:`, err.message);
+    statuses[err.code || 'error'] = (statuses[err.code || 'error'] || 0) + 1;
+    finish();
   });
 }
 
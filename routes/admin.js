@@ -1,106 +1,350 @@
 const express = require('express');
-const { successResponse, errorResponse } = require('../utils/responseHelper');
-const { requireAdmin } = require('../middleware/auth');
-const { 
-  addToBlacklist, 
-  removeFromBlacklist, 
-  getBlacklistStats 
-} = require('../middleware/ipBlacklist');
-const { 
-  getRateLimitStats, 
-  resetRateLimit 
-} = require('../middleware/rateLimiter');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHelper');
+const { hasScope, ADMIN_SCOPES } = require('../middleware/auth');
+const { createSanitizer } = require('../middleware/sanitizer');
+const { getClientIP } = require('../utils/clientIp');
 const logger = require('../utils/logger');
 
-const router = express.Router();
+/**
+ * Admin API router factory
+ * Every route acts on the components of one security stack (see securityStack.js).
+ * @param {object} components
+ * @param {object} components.auth - admin auth created with createAdminAuth
+ * @param {object} components.ipBlacklist - created with createIPBlacklist
+ * @param {object} components.rateLimits - registry created with createRateLimitRegistry
+ * @param {object} components.banPolicy - created with createBanPolicy
+ * @param {object} components.apiKeys - created with createApiKeyManager
+ * @param {object} components.authLockout - created with createAuthLockout
+ * @param {object} components.auditLog - audit log admin actions are recorded in
+ * @param {function} [components.adminRateLimit] - limiter for every admin request (the "admin" policy)
+ * @returns {express.Router}
+ */
+const createAdminRouter = ({ auth, ipBlacklist, rateLimits, banPolicy, apiKeys, authLockout, auditLog, adminRateLimit = null }) => {
+  const router = express.Router();
 
-// Apply admin authentication to all routes
-router.use(requireAdmin);
+  // Limit before authenticating, so failed attempts use up the budget too
+  if (adminRateLimit) {
+    router.use(adminRateLimit);
+  }
 
-// GET /api/admin/blacklist - View blacklisted IPs
-router.get('/blacklist', (req, res) => {
-  const stats = getBlacklistStats();
-  res.json(successResponse('Blacklist retrieved', stats));
-});
+  // Apply admin authentication to all routes; each route then checks its scope
+  router.use(auth.requireAdmin);
 
-// POST /api/admin/blacklist - Add IP to blacklist
-router.post('/blacklist', (req, res) => {
-  const { ip } = req.body;
-  
-  if (!ip) {
-    return res.status(400).json(errorResponse('IP address is required', 400));
-  }
-  
-  try {
-    const wasAdded = addToBlacklist(ip);
-    const message = wasAdded ? 'IP added to blacklist' : 'IP already blacklisted';
-    
-    res.json(successResponse(message, {
-      ip: ip,
-      wasAdded: wasAdded,
+  // GET /api/admin/blacklist - View blacklisted IPs
+  router.get('/blacklist', auth.requireScope('blacklist:read'), (req, res) => {
+    const stats = ipBlacklist.getBlacklistStats();
+    res.json(successResponse('Blacklist retrieved', stats));
+  });
+
+  // POST /api/admin/blacklist - Add IP or CIDR range to blacklist
+  // Optional fields: durationMs (temporary ban length) and reason
+  // The address is parsed strictly, so it is taken raw (HTML-encoding would break the "/" of a range)
+  router.post('/blacklist', auth.requireScope('blacklist:write'), createSanitizer({ fields: { 'body.ip': 'raw' } }), (req, res) => {
+    const { durationMs, reason } = req.body;
+    
+    if (!req.body.ip) {
+      return res.status(400).json(errorResponse('IP address is required', 400));
+    }
+    
+    if (durationMs !== undefined && (typeof durationMs !== 'number' || !Number.isInteger(durationMs) || durationMs <= 0)) {
+      return res.status(400).json(errorResponse('durationMs must be a positive integer', 400));
+    }
+    
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return res.status(400).json(errorResponse('reason must be a string of at most 200 characters', 400));
+    }
+    
+    const ip = String(req.body.ip);
+    
+    try {
+      const wasAdded = ipBlacklist.addToBlacklist(ip, {
+        durationMs,
+        reason,
+        createdBy: `${req.user.id}@${getClientIP(req)}`
+      });
+      const message = wasAdded ? 'IP added to blacklist' : 'IP already blacklisted, ban updated';
+      auditLog.record({
+        req,
+        action: 'blacklist.add',
+        resource: ip,
+        details: { wasAdded, durationMs: durationMs || null, reason: reason || null }
+      });
+      
+      res.json(successResponse(message, {
+        ip: ip,
+        wasAdded: wasAdded,
+        entry: ipBlacklist.getBlacklistEntry(ip),
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      auditLog.record({ req, action: 'blacklist.add', result: 'failure', resource: ip, details: { error: error.message } });
+      res.status(400).json(errorResponse(error.message, 400));
+    }
+  });
+
+  // DELETE /api/admin/blacklist/:ip - Remove IP from blacklist
+  router.delete('/blacklist/:ip', auth.requireScope('blacklist:write'), (req, res) => {
+    const { ip } = req.params;
+    
+    try {
+      const wasRemoved = ipBlacklist.removeFromBlacklist(ip);
+      const message = wasRemoved ? 'IP removed from blacklist' : 'IP not found in blacklist';
+      auditLog.record({ req, action: 'blacklist.remove', resource: ip, details: { wasRemoved } });
+      
+      res.json(successResponse(message, {
+        ip: ip,
+        wasRemoved: wasRemoved,
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      auditLog.record({ req, action: 'blacklist.remove', result: 'failure', resource: ip, details: { error: error.message } });
+      res.status(400).json(errorResponse(error.message, 400));
+    }
+  });
+
+  // GET /api/admin/rate-limit-status - View rate limiting stats
+  router.get('/rate-limit-status', auth.requireScope('ratelimit:read'), async (req, res, next) => {
+    try {
+      const stats = await rateLimits.getRateLimitStats();
+      res.json(successResponse('Rate limit stats retrieved', stats));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST /api/admin/rate-limit/reset/:ip - Reset rate limit for specific IP
+  // Optional ?policy=<name> limits the reset to one policy
+  router.post('/rate-limit/reset/:ip', auth.requireScope('ratelimit:write'), async (req, res, next) => {
+    const { ip } = req.params;
+    const policy = req.query.policy || null;
+    
+    try {
+      const wasReset = await rateLimits.resetRateLimit(ip, policy);
+      const message = wasReset ? 'Rate limit reset for IP' : 'No rate limit data found for IP';
+      auditLog.record({ req, action: 'ratelimit.reset', resource: ip, details: { policy: policy || 'all', wasReset } });
+      
+      res.json(successResponse(message, {
+        ip: ip,
+        policy: policy || 'all',
+        wasReset: wasReset,
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      auditLog.record({ req, action: 'ratelimit.reset', result: 'failure', resource: ip, details: { policy, error: error.message } });
+      if (error.message.startsWith('Unknown rate limit policy')) {
+        return res.status(400).json(errorResponse(error.message, 400));
+      }
+      next(error);
+    }
+  });
+
+  // GET /api/admin/lockouts - View failed admin authentication streaks and lockouts
+  router.get('/lockouts', auth.requireScope('blacklist:read'), (req, res) => {
+    res.json(successResponse('Authentication lockouts retrieved', authLockout.getAuthLockoutStats()));
+  });
+
+  // DELETE /api/admin/lockouts - Clear every lockout
+  router.delete('/lockouts', auth.requireScope('blacklist:write'), (req, res) => {
+    const cleared = authLockout.clearAllLockouts();
+    logger.info(`All authentication lockouts cleared by ${req.user.id} (${cleared} subjects)`);
+    auditLog.record({ req, action: 'lockout.clear_all', details: { cleared } });
+    
+    res.json(successResponse('All lockouts cleared', {
+      cleared: cleared,
       timestamp: new Date().toISOString()
     }));
-  } catch (error) {
-    res.status(400).json(errorResponse(error.message, 400));
-  }
-});
-
-// DELETE /api/admin/blacklist/:ip - Remove IP from blacklist
-router.delete('/blacklist/:ip', (req, res) => {
-  const { ip } = req.params;
-  
-  try {
-    const wasRemoved = removeFromBlacklist(ip);
-    const message = wasRemoved ? 'IP removed from blacklist' : 'IP not found in blacklist';
-    
-    res.json(successResponse(message, {
-      ip: ip,
-      wasRemoved: wasRemoved,
+  });
+
+  // DELETE /api/admin/lockouts/:subject - Clear one lockout
+  // Subject is "ip:<address>", "key:<key id>@<address>" or a bare IP address
+  router.delete('/lockouts/:subject', auth.requireScope('blacklist:write'), (req, res) => {
+    const { subject } = req.params;
+    const wasCleared = authLockout.clearLockout(subject);
+    logger.info(`Authentication lockout for ${subject} cleared by ${req.user.id}, existed: ${wasCleared}`);
+    auditLog.record({ req, action: 'lockout.clear', resource: subject, details: { wasCleared } });
+    
+    res.json(successResponse(wasCleared ? 'Lockout cleared' : 'No lockout found', {
+      subject: subject,
+      wasCleared: wasCleared,
       timestamp: new Date().toISOString()
     }));
-  } catch (error) {
-    res.status(400).json(errorResponse(error.message, 400));
-  }
-});
-
-// GET /api/admin/rate-limit-status - View rate limiting stats
-router.get('/rate-limit-status', (req, res) => {
-  const stats = getRateLimitStats();
-  res.json(successResponse('Rate limit stats retrieved', stats));
-});
-
-// POST /api/admin/rate-limit/reset/:ip - Reset rate limit for specific IP
-router.post('/rate-limit/reset/:ip', (req, res) => {
-  const { ip } = req.params;
-  
-  const wasReset = resetRateLimit(ip);
-  const message = wasReset ? 'Rate limit reset for IP' : 'No rate limit data found for IP';
-  
-  res.json(successResponse(message, {
-    ip: ip,
-    wasReset: wasReset,
-    timestamp: new Date().toISOString()
-  }));
-});
-
-// GET /api/admin/stats - Overall system stats
-router.get('/stats', (req, res) => {
-  const blacklistStats = getBlacklistStats();
-  const rateLimitStats = getRateLimitStats();
-  
-  res.json(successResponse('System statistics', {
-    server: {
-      uptime: process.uptime(),
-      memoryUsage: process.memoryUsage(),
-      nodeVersion: process.version,
-      platform: process.platform
-    },
-    security: {
-      blacklist: blacklistStats,
-      rateLimit: rateLimitStats
-    },
-    timestamp: new Date().toISOString()
-  }));
-});
-
-module.exports = router;
\ No newline at end of file
+  });
+
+  // GET /api/admin/keys - List API keys (hashes are never returned)
+  router.get('/keys', auth.requireScope('keys:read'), (req, res) => {
+    const keys = apiKeys.listApiKeys();
+    res.json(successResponse('API keys retrieved', {
+      keys: keys,
+      total: keys.length,
+      active: keys.filter(key => key.status === 'active').length
+    }));
+  });
+
+  // POST /api/admin/keys - Issue an API key; the key itself is only returned here
+  // Body: { name, scopes: [...], expiresInMs? }
+  router.post('/keys', auth.requireScope('keys:write'), (req, res) => {
+    const { name, scopes, expiresInMs } = req.body;
+    
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return res.status(400).json(errorResponse('name must be a non-empty string of at most 100 characters', 400));
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => ADMIN_SCOPES.includes(scope))) {
+      return res.status(400).json(errorResponse('scopes must be a non-empty list of admin scopes', 400, {
+        allowed: ADMIN_SCOPES
+      }));
+    }
+    
+    if (expiresInMs !== undefined && (!Number.isInteger(expiresInMs) || expiresInMs <= 0)) {
+      return res.status(400).json(errorResponse('expiresInMs must be a positive integer', 400));
+    }
+    
+    // A key can never carry more access than the admin issuing it
+    const missing = scopes.filter(scope => !hasScope(req.user, scope));
+    if (missing.length > 0) {
+      auditLog.record({ req, action: 'apikey.issue', result: 'denied', details: { name, missing } });
+      return res.status(403).json(errorResponse('Cannot grant scopes you do not hold', 403, { missing }));
+    }
+    
+    try {
+      const { key, record } = apiKeys.issueApiKey({
+        name: name.trim(),
+        scopes,
+        expiresInMs,
+        createdBy: `${req.user.id}@${getClientIP(req)}`
+      });
+      auditLog.record({
+        req,
+        action: 'apikey.issue',
+        resource: record.id,
+        details: { name: record.name, scopes: record.scopes, expiresAt: record.expiresAt }
+      });
+      
+      res.status(201).json(successResponse('API key issued; store it now, it cannot be shown again', {
+        key: key,
+        record: record
+      }));
+    } catch (error) {
+      auditLog.record({ req, action: 'apikey.issue', result: 'failure', details: { name, error: error.message } });
+      res.status(400).json(errorResponse(error.message, 400));
+    }
+  });
+
+  // POST /api/admin/keys/:id/rotate - Issue a replacement key
+  // Body: { gracePeriodMs?, expiresInMs? }; the old key works until the grace period ends
+  router.post('/keys/:id/rotate', auth.requireScope('keys:write'), (req, res) => {
+    const { id } = req.params;
+    const { gracePeriodMs, expiresInMs } = req.body;
+    
+    const existing = apiKeys.getApiKey(id);
+    if (!existing) {
+      return res.status(404).json(errorResponse('API key not found', 404));
+    }
+    
+    if (gracePeriodMs !== undefined && (!Number.isInteger(gracePeriodMs) || gracePeriodMs < 0)) {
+      return res.status(400).json(errorResponse('gracePeriodMs must be a non-negative integer', 400));
+    }
+    
+    if (expiresInMs !== undefined && (!Number.isInteger(expiresInMs) || expiresInMs <= 0)) {
+      return res.status(400).json(errorResponse('expiresInMs must be a positive integer', 400));
+    }
+    
+    const missing = existing.scopes.filter(scope => !hasScope(req.user, scope));
+    if (missing.length > 0) {
+      auditLog.record({ req, action: 'apikey.rotate', result: 'denied', resource: id, details: { missing } });
+      return res.status(403).json(errorResponse('Cannot rotate a key with scopes you do not hold', 403, { missing }));
+    }
+    
+    try {
+      const rotated = apiKeys.rotateApiKey(id, {
+        gracePeriodMs,
+        expiresInMs,
+        rotatedBy: `${req.user.id}@${getClientIP(req)}`
+      });
+      auditLog.record({
+        req,
+        action: 'apikey.rotate',
+        resource: id,
+        details: { replacedBy: rotated.record.id, oldKeyValidUntil: rotated.previous.revokedAt || rotated.previous.expiresAt }
+      });
+      
+      res.status(201).json(successResponse('API key rotated; store the new key now, it cannot be shown again', rotated));
+    } catch (error) {
+      auditLog.record({ req, action: 'apikey.rotate', result: 'failure', resource: id, details: { error: error.message } });
+      res.status(400).json(errorResponse(error.message, 400));
+    }
+  });
+
+  // DELETE /api/admin/keys/:id - Revoke an API key immediately
+  router.delete('/keys/:id', auth.requireScope('keys:write'), (req, res) => {
+    const record = apiKeys.revokeApiKey(req.params.id, `${req.user.id}@${getClientIP(req)}`);
+    
+    if (!record) {
+      return res.status(404).json(errorResponse('API key not found', 404));
+    }
+    auditLog.record({ req, action: 'apikey.revoke', resource: record.id, details: { name: record.name } });
+    
+    res.json(successResponse('API key revoked', record));
+  });
+
+  // GET /api/admin/audit - Query the audit log, newest first
+  // Filters: action (exact or "blacklist.*"), actor, resource, result, ip, since, until (ISO 8601)
+  // Pagination: page (default 1), limit (default 50, max 200)
+  // resource is taken raw: it is only compared, and CIDR ranges contain "/"
+  router.get('/audit', auth.requireScope('audit:read'), createSanitizer({ fields: { 'query.resource': 'raw' } }), async (req, res, next) => {
+    const { action, actor, resource, result, ip, since, until } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json(errorResponse('page must be a positive integer and limit between 1 and 200', 400));
+    }
+    
+    if ([since, until].some(value => value !== undefined && Number.isNaN(Date.parse(value)))) {
+      return res.status(400).json(errorResponse('since and until must be ISO 8601 timestamps', 400));
+    }
+    
+    try {
+      const { entries, total } = await auditLog.query(
+        { action, actor, resource, result, ip, since, until },
+        { page, limit }
+      );
+      res.json(paginatedResponse('Audit log retrieved', entries, page, limit, total));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // GET /api/admin/stats - Overall system stats
+  router.get('/stats', auth.requireScope('stats:read'), async (req, res, next) => {
+    const blacklistStats = ipBlacklist.getBlacklistStats();
+    let rateLimitStats;
+    try {
+      rateLimitStats = await rateLimits.getRateLimitStats();
+    } catch (error) {
+      return next(error);
+    }
+    const banPolicyStats = banPolicy.getBanPolicyStats();
+    const authLockoutStats = authLockout.getAuthLockoutStats();
+    
+    res.json(successResponse('System statistics', {
+      server: {
+        uptime: process.uptime(),
+        memoryUsage: process.memoryUsage(),
+        nodeVersion: process.version,
+        platform: process.platform
+      },
+      security: {
+        blacklist: blacklistStats,
+        rateLimit: rateLimitStats,
+        banPolicy: banPolicyStats,
+        authLockout: authLockoutStats
+      },
+      timestamp: new Date().toISOString()
+    }));
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
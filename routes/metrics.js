@@ -0,0 +1,57 @@
+const express = require('express');
+const metrics = require('../utils/metrics');
+const CidrTrie = require('../utils/cidrTrie');
+const { parseCIDR } = require('../utils/ipAddress');
+const { getClientIP, PROXY_PRESETS } = require('../utils/clientIp');
+const logger = require('../utils/logger');
+
+/**
+ * Metrics router factory
+ * @param {object} options
+ * @param {object} options.auth - admin auth created with createAdminAuth
+ * @param {string} [options.allowedIPs] - scrapers allowed without credentials: comma-separated
+ *   addresses, CIDR ranges or presets (loopback, linklocal, private); default METRICS_ALLOWED_IPS
+ * @returns {express.Router}
+ */
+const createMetricsRouter = ({ auth, allowedIPs = process.env.METRICS_ALLOWED_IPS || '' }) => {
+  const router = express.Router();
+
+  const allowedScrapers = new CidrTrie();
+  allowedIPs.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    (PROXY_PRESETS[entry] || [entry]).forEach(range => {
+      if (!parseCIDR(range)) {
+        throw new Error(`Invalid METRICS_ALLOWED_IPS entry: ${entry}`);
+      }
+      allowedScrapers.add(range);
+    });
+  });
+
+  /**
+   * Allowlisted scrapers go straight through; everyone else needs metrics:read
+   */
+  const metricsAccess = (req, res, next) => {
+    if (allowedScrapers.contains(getClientIP(req))) {
+      return next();
+    }
+    auth.requireAdmin(req, res, (error) => {
+      if (error) return next(error);
+      auth.requireScope('metrics:read')(req, res, next);
+    });
+  };
+
+  // GET /metrics - Prometheus text exposition
+  router.get('/', metricsAccess, async (req, res, next) => {
+    try {
+      const body = await metrics.render();
+      res.set('Content-Type', metrics.CONTENT_TYPE);
+      res.send(body);
+    } catch (error) {
+      logger.error(`Failed to render metrics: ${error.message}`);
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createMetricsRouter;
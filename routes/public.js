@@ -1,29 +1,50 @@
 const express = require('express');
-const router = express.Router();
 const { successResponse } = require('../utils/responseHelper');
+const { getClientIP } = require('../utils/clientIp');
 
-// GET /api/public - Public endpoint accessible by anyone
-router.get('/', (req, res) => {
-  res.json(successResponse('Public endpoint accessed successfully', {
-    timestamp: new Date().toISOString(),
-    ip: req.ip,
-    userAgent: req.get('User-Agent')
-  }));
-});
+/**
+ * Public router factory
+ * @param {object} options
+ * @param {object} options.rateLimits - registry the "public" limiter is created in
+ * @param {object} options.limits - settings of the "public" policy (rateLimit.public)
+ * @returns {express.Router}
+ */
+const createPublicRouter = ({ rateLimits, limits }) => {
+  const router = express.Router();
 
-// GET /api/public/info - Another public endpoint
-router.get('/info', (req, res) => {
-  res.json(successResponse('Application information', {
-    name: 'Security Middleware Demo',
-    version: '1.0.0',
-    endpoints: [
-      'GET /api/public',
-      'GET /api/public/info',
-      'POST /api/submit',
-      'POST /api/contact',
-      'GET /api/admin/blacklist'
-    ]
-  }));
-});
+  // Generous limit for public endpoints (the global limiter skips this router)
+  const publicLimiter = rateLimits.createRateLimiter({
+    name: 'public',
+    ...limits
+  });
 
-module.exports = router;
\ No newline at end of file
+  router.use(publicLimiter);
+
+  // GET /api/public - Public endpoint accessible by anyone
+  router.get('/', (req, res) => {
+    res.json(successResponse('Public endpoint accessed successfully', {
+      timestamp: new Date().toISOString(),
+      ip: getClientIP(req),
+      userAgent: req.get('User-Agent')
+    }));
+  });
+
+  // GET /api/public/info - Another public endpoint
+  router.get('/info', (req, res) => {
+    res.json(successResponse('Application information', {
+      name: 'Security Middleware Demo',
+      version: '1.0.0',
+      endpoints: [
+        'GET /api/public',
+        'GET /api/public/info',
+        'POST /api/submit',
+        'POST /api/contact',
+        'GET /api/admin/blacklist'
+      ]
+    }));
+  });
+
+  return router;
+};
+
+module.exports = createPublicRouter;
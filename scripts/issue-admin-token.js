@@ -0,0 +1,56 @@
+// scripts/issue-admin-token.js - Mint an admin API token for local use
+//
+//   JWT_SECRET=... npm run token:admin -- --sub alice --roles viewer
+//   npm run token:admin -- --sub deploy-bot --scope "blacklist:read blacklist:write" \
+//     --key keys/signing.pem --alg ES256 --kid signing --expires 900
+//
+// Issuer and audience default to the first JWT_ISSUER / JWT_AUDIENCE entry so
+// the token passes the server's checks.
+const fs = require('fs');
+const { sign } = require('../utils/jwt');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+const first = (value) => (value ? value.split(',')[0].trim() : undefined);
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const algorithm = args.alg || 'HS256';
+  const key = args.key ? fs.readFileSync(args.key) : process.env.JWT_SECRET;
+
+  if (!key) {
+    throw new Error('Pass --key <private key file> or set JWT_SECRET');
+  }
+
+  const payload = { sub: args.sub || 'admin' };
+  if (args.roles) payload.roles = args.roles.split(',');
+  if (args.scope) payload.scope = args.scope;
+
+  const issuer = args.iss || first(process.env.JWT_ISSUER);
+  const audience = args.aud || first(process.env.JWT_AUDIENCE);
+  if (issuer) payload.iss = issuer;
+  if (audience) payload.aud = audience;
+
+  const token = sign(payload, key, {
+    algorithm,
+    keyId: args.kid,
+    expiresIn: Number(args.expires) || 3600
+  });
+  console.log(token);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,89 @@
+// scripts/rate-limit-benchmark.js - Compare rate limiting algorithms under synthetic load
+//
+//   npm run bench:rate-limit
+//   BENCH_IPS=100000 BENCH_HITS_PER_IP=10 npm run bench:rate-limit
+//
+// Every algorithm runs on the in-memory store with the global limiter
+// settings from the configuration. The old sliding window log (one timestamp per request) is
+// included as a baseline.
+const MemoryRateLimitStore = require('../stores/memoryRateLimitStore');
+const { ALGORITHMS } = require('../utils/rateLimitAlgorithms');
+const config = require('../utils/config');
+
+const DISTINCT_IPS = Number(process.env.BENCH_IPS) || 100000;
+const HITS_PER_IP = Number(process.env.BENCH_HITS_PER_IP) || 10;
+
+/**
+ * Previous implementation, kept here only for comparison
+ */
+class SlidingLogBaseline {
+  init({ windowMs }) {
+    this.windowMs = windowMs;
+    this.hits = new Map();
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    const requests = (this.hits.get(key) || []).filter(timestamp => timestamp > now - this.windowMs);
+    requests.push(now);
+    this.hits.set(key, requests);
+    return { count: requests.length, resetTime: requests[0] + this.windowMs };
+  }
+
+  async shutdown() {
+    this.hits.clear();
+  }
+}
+
+const ipFor = (i) => `10.${(i >> 16) & 255}.${(i >> 8) & 255}.${i & 255}`;
+
+const heapUsed = () => {
+  if (global.gc) global.gc();
+  return process.memoryUsage().heapUsed;
+};
+
+const run = async (name, store) => {
+  store.init({ ...config.get('rateLimit.global'), algorithm: name === 'sliding-log (baseline)' ? undefined : name });
+  const ips = Array.from({ length: DISTINCT_IPS }, (_, i) => ipFor(i));
+
+  const before = heapUsed();
+  const start = process.hrtime.bigint();
+  for (let round = 0; round < HITS_PER_IP; round++) {
+    for (const ip of ips) {
+      await store.increment(ip);
+    }
+  }
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  const retained = heapUsed() - before;
+
+  const totalHits = DISTINCT_IPS * HITS_PER_IP;
+  const result = {
+    algorithm: name,
+    'hits/sec': Math.round(totalHits / (elapsedMs / 1000)),
+    'total ms': Math.round(elapsedMs),
+    'heap MB': (retained / 1024 / 1024).toFixed(1),
+    'bytes/key': Math.round(retained / DISTINCT_IPS)
+  };
+
+  await store.shutdown();
+  return result;
+};
+
+const main = async () => {
+  if (!global.gc) {
+    console.log('Tip: run with node --expose-gc for accurate memory numbers\n');
+  }
+  console.log(`${DISTINCT_IPS} distinct IPs x ${HITS_PER_IP} hits, window ${config.get('rateLimit.global.windowMs')}ms, limit ${config.get('rateLimit.global.maxRequests')}\n`);
+
+  const results = [await run('sliding-log (baseline)', new SlidingLogBaseline())];
+  for (const algorithm of ALGORITHMS) {
+    results.push(await run(algorithm, new MemoryRateLimitStore()));
+  }
+
+  console.table(results);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
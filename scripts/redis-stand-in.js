@@ -0,0 +1,198 @@
+// scripts/redis-stand-in.js - Tiny in-memory Redis stand-in for local testing
+//
+// Speaks enough of the Redis protocol for stores/redisRateLimitStore.js, so
+// the shared store can be exercised without a real Redis server. There is no
+// Lua interpreter: EVAL only runs the store's own scripts, through JavaScript
+// ports of them (keep those in step when a script changes):
+//
+//   npm run redis:stand-in                     (listens on 127.0.0.1:6379)
+//   RATE_LIMIT_STORE=redis npm start           (in another terminal, every instance)
+//
+// Data lives in memory and is lost when the process exits.
+const net = require('net');
+const { parseReply } = require('../utils/respClient');
+const { TOKEN_BUCKET_SCRIPT, DECREMENT_SCRIPT } = require('../stores/redisRateLimitStore');
+
+const PORT = Number(process.env.REDIS_STAND_IN_PORT) || 6379;
+
+const encodeValue = (value) => {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeValue).join('')}`;
+  const str = String(value);
+  return `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+};
+
+const globToRegex = (pattern) => {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+};
+
+/**
+ * Create a stand-in server (not yet listening)
+ */
+const createRedisStandIn = () => {
+  // key -> Map<field, value> (only hashes are needed)
+  const data = new Map();
+  const expiries = new Map(); // key -> epoch ms
+
+  const getKey = (key) => {
+    const expiresAt = expiries.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.get(key);
+  };
+
+  const getHash = (key, create = false) => {
+    let hash = getKey(key);
+    if (!hash && create) {
+      hash = new Map();
+      data.set(key, hash);
+    }
+    return hash;
+  };
+
+  const commands = {
+    PING: () => 'PONG',
+    AUTH: () => 'OK',
+    SELECT: () => 'OK',
+    DEL: (...keys) => keys.filter(key => {
+      const existed = getKey(key) !== undefined;
+      data.delete(key);
+      expiries.delete(key);
+      return existed;
+    }).length,
+    HINCRBY: (key, field, increment) => {
+      const hash = getHash(key, true);
+      const value = Number(hash.get(field) || 0) + Number(increment);
+      hash.set(field, String(value));
+      return value;
+    },
+    HSET: (key, ...pairs) => {
+      const hash = getHash(key, true);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!hash.has(pairs[i])) added++;
+        hash.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    HGET: (key, field) => {
+      const value = getHash(key)?.get(field);
+      return value === undefined ? null : value;
+    },
+    HMGET: (key, ...fields) => fields.map(field => commands.HGET(key, field)),
+    PEXPIRE: (key, ms) => {
+      if (getKey(key) === undefined) return 0;
+      expiries.set(key, Date.now() + Number(ms));
+      return 1;
+    },
+    PTTL: (key) => {
+      if (getKey(key) === undefined) return -2;
+      const expiresAt = expiries.get(key);
+      return expiresAt === undefined ? -1 : expiresAt - Date.now();
+    },
+    EVAL: (script, numKeys, ...rest) => {
+      const port = SCRIPTS.get(script);
+      if (!port) {
+        throw new Error('ERR the stand-in only runs the scripts of stores/redisRateLimitStore.js');
+      }
+      const count = Number(numKeys);
+      return port(rest.slice(0, count), rest.slice(count));
+    },
+    SCAN: (cursor, ...args) => {
+      let pattern = null;
+      for (let i = 0; i < args.length; i += 2) {
+        if (args[i].toUpperCase() === 'MATCH') pattern = globToRegex(args[i + 1]);
+      }
+      const keys = Array.from(data.keys()).filter(key => getKey(key) !== undefined);
+      return ['0', pattern ? keys.filter(key => pattern.test(key)) : keys];
+    }
+  };
+
+  // JavaScript ports of the Lua scripts, run atomically like EVAL (the stand-in is single-threaded)
+  const SCRIPTS = new Map([
+    [TOKEN_BUCKET_SCRIPT, ([key], argv) => {
+      const [now, windowMs, max, delta] = argv.map(Number);
+      const rate = max / windowMs;
+      const [storedTokens, storedTs] = commands.HMGET(key, 'tokens', 'ts');
+      const ts = storedTs === null ? now : Number(storedTs);
+      let tokens = Math.min(max, (storedTokens === null ? max : Number(storedTokens)) + (now - ts) * rate);
+      if (delta < 0) {
+        tokens = Math.max(-1, tokens + delta);
+        commands.HSET(key, 't', now);
+      } else {
+        tokens = Math.min(max, tokens + delta);
+      }
+      commands.HSET(key, 'tokens', String(tokens), 'ts', now);
+      commands.PEXPIRE(key, Math.ceil((max - tokens) / rate) + 1000);
+      return String(tokens);
+    }],
+    [DECREMENT_SCRIPT, ([key]) => {
+      const count = Number(commands.HGET(key, 'c'));
+      return count > 0 ? commands.HINCRBY(key, 'c', -1) : 0;
+    }]
+  ]);
+
+  const execute = (args) => {
+    const name = String(args[0]).toUpperCase();
+    const handler = commands[name];
+    if (!handler) {
+      return new Error(`ERR unknown command '${args[0]}'`);
+    }
+    try {
+      return handler(...args.slice(1));
+    } catch (error) {
+      return error;
+    }
+  };
+
+  return net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let queued = null; // commands inside MULTI
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const args = parsed.value;
+        const name = String(args[0]).toUpperCase();
+
+        if (name === 'QUIT') {
+          socket.end(encodeValue('OK'));
+          return;
+        }
+        if (name === 'MULTI') {
+          queued = [];
+          socket.write(encodeValue('OK'));
+        } else if (name === 'EXEC') {
+          const results = (queued || []).map(execute);
+          queued = null;
+          socket.write(encodeValue(results));
+        } else if (name === 'DISCARD') {
+          queued = null;
+          socket.write(encodeValue('OK'));
+        } else if (queued) {
+          queued.push(args);
+          socket.write('+QUEUED\r\n');
+        } else {
+          socket.write(encodeValue(execute(args)));
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+};
+
+if (require.main === module) {
+  createRedisStandIn().listen(PORT, '127.0.0.1', () => {
+    console.log(`Redis stand-in listening on 127.0.0.1:${PORT}`);
+  });
+}
+
+module.exports = createRedisStandIn;
@@ -0,0 +1,90 @@
+// scripts/test-waf-rules.js - Run the WAF rules against request fixtures
+//
+//   npm run waf:test
+//   npm run waf:test -- path/to/rules.json path/to/fixtures.json
+//
+// Each fixture is { name, request: { method, path, query, body, headers, cookies },
+// matches: [rule ids], maxMs? } and passes when exactly the listed rules match,
+// within maxMs milliseconds if given. Add a fixture for every new rule, and one
+// for any false positive you fix.
+//
+// Large inputs are generated instead of written out: a value
+// { "$repeat": " ", "times": 100000, "prefix": "'", "suffix": "--" } becomes that
+// string, and "$fill": 5000 in an object adds 5000 filler keys (f0 ... f4999).
+// Exits with status 1 if a fixture fails or the rules do not compile.
+const fs = require('fs');
+const path = require('path');
+const { loadRules, evaluateRules, DEFAULT_RULES_FILE } = require('../utils/wafRules');
+
+/**
+ * Build the request a fixture describes, expanding $repeat and $fill
+ */
+const expand = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(expand);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value.$repeat !== undefined) {
+    return `${value.prefix || ''}${value.$repeat.repeat(value.times)}${value.suffix || ''}`;
+  }
+  const expanded = {};
+  for (let i = 0; i < (value.$fill || 0); i++) {
+    expanded[`f${i}`] = 'x';
+  }
+  Object.entries(value).filter(([key]) => key !== '$fill').forEach(([key, item]) => {
+    expanded[key] = expand(item);
+  });
+  return expanded;
+};
+
+const main = () => {
+  const rulesFile = path.resolve(process.argv[2] || DEFAULT_RULES_FILE);
+  const fixturesFile = path.resolve(process.argv[3] || path.join(__dirname, '../rules/waf-fixtures.json'));
+
+  const rules = loadRules(rulesFile);
+  const { fixtures } = JSON.parse(fs.readFileSync(fixturesFile, 'utf8'));
+
+  let failed = 0;
+  const covered = new Set();
+  fixtures.forEach(fixture => {
+    const request = expand(fixture.request);
+    const started = process.hrtime.bigint();
+    const { score, matches } = evaluateRules(rules, request);
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const actual = matches.map(match => match.id).sort();
+    const expected = [...fixture.matches].sort();
+    actual.forEach(id => covered.add(id));
+
+    const tooSlow = fixture.maxMs !== undefined && elapsedMs > fixture.maxMs;
+    if (JSON.stringify(actual) === JSON.stringify(expected) && !tooSlow) {
+      console.log(`  ok    ${fixture.name} (score ${score})`);
+      return;
+    }
+    failed++;
+    console.log(`  FAIL  ${fixture.name}`);
+    if (tooSlow) {
+      console.log(`        took ${elapsedMs.toFixed(0)} ms (limit ${fixture.maxMs} ms)`);
+    }
+    console.log(`        expected [${expected.join(', ')}]`);
+    console.log(`        matched  [${matches.map(match => `${match.id} @ ${match.field}`).join(', ')}]`);
+  });
+
+  const untested = rules.filter(rule => !covered.has(rule.id)).map(rule => rule.id);
+  if (untested.length > 0) {
+    console.log(`\nRules without a matching fixture: ${untested.join(', ')}`);
+  }
+
+  console.log(`\n${fixtures.length - failed}/${fixtures.length} fixtures passed (${rules.length} rules from ${rulesFile})`);
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
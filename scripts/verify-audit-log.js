@@ -0,0 +1,33 @@
+// scripts/verify-audit-log.js - Check the integrity of the audit log hash chain
+//
+//   npm run audit:verify
+//   npm run audit:verify -- path/to/audit-log.jsonl
+//
+// Exits with status 1 if any entry was changed, removed, reordered or
+// inserted. Keep the printed head hash somewhere else (a ticket, a second
+// system): it also lets you notice entries cut off the end of the log.
+const path = require('path');
+const { AuditLog, createAuditStore } = require('../utils/auditLog');
+const FileAuditStore = require('../stores/fileAuditStore');
+
+const main = async () => {
+  const file = process.argv[2];
+  const auditLog = new AuditLog(file ? new FileAuditStore(path.resolve(file)) : createAuditStore());
+
+  const result = await auditLog.verify();
+  await auditLog.close();
+
+  if (result.valid) {
+    console.log(`Audit log OK: ${result.entries} entries, head hash ${result.headHash}`);
+    return;
+  }
+
+  console.error(`Audit log BROKEN at entry ${result.brokenAt}: ${result.reason}`);
+  console.error(`Last trusted hash: ${result.headHash}`);
+  process.exitCode = 1;
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
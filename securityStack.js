@@ -0,0 +1,183 @@
+// securityStack.js - Composable security middleware stack
+const { createIPBlacklist, createIPListStore } = require('./middleware/ipBlacklist');
+const { createBanPolicy } = require('./middleware/banPolicy');
+const { createRateLimitRegistry, rateLimitStoresFromEnv } = require('./middleware/rateLimiter');
+const { createWaf } = require('./middleware/waf');
+const { createSanitizer } = require('./middleware/sanitizer');
+const { createCorsPolicy } = require('./middleware/cors');
+const { createCsrfProtection } = require('./middleware/csrf');
+const { createApiKeyManager, createApiKeyStore } = require('./middleware/apiKeys');
+const { createAuthLockout } = require('./middleware/authLockout');
+const { createAdminAuth } = require('./middleware/auth');
+const createAdminRouter = require('./routes/admin');
+const { AuditLog, createAuditStore } = require('./utils/auditLog');
+const { CONFIG_DEFAULTS } = require('./utils/config');
+const MemoryIPListStore = require('./stores/memoryIPListStore');
+const MemoryApiKeyStore = require('./stores/memoryApiKeyStore');
+const MemoryAuditStore = require('./stores/memoryAuditStore');
+const MemoryRateLimitStore = require('./stores/memoryRateLimitStore');
+
+/**
+ * Merge rate limit policies by name, so one setting of one policy can be overridden alone
+ */
+const mergePolicies = (defaults, overrides = {}) => {
+  const merged = {};
+  new Set([...Object.keys(defaults), ...Object.keys(overrides)]).forEach(name => {
+    merged[name] = { ...defaults[name], ...overrides[name] };
+  });
+  return merged;
+};
+
+/**
+ * Stores selected by the environment (IP_LIST_STORE, API_KEY_STORE,
+ * AUDIT_LOG_STORE, RATE_LIMIT_STORE and their file / Redis settings)
+ * @returns {object} { ipList, apiKey, audit, rateLimit } for createSecurityStack's `stores`
+ */
+const storesFromEnv = (env = process.env) => ({
+  ipList: createIPListStore(env),
+  apiKey: createApiKeyStore(env),
+  audit: createAuditStore(env),
+  rateLimit: rateLimitStoresFromEnv(env)
+});
+
+/**
+ * Security stack factory
+ *
+ * Builds one set of security components wired to each other: the IP
+ * blacklist, ban policy, rate limits, WAF, sanitizer, CORS policy, CSRF
+ * protection, managed API keys, auth lockout, admin auth and the admin router. Every instance owns its
+ * state, so several stacks can run side by side (one per app, or per test).
+ *
+ * The stack owns what it creates, including the stores passed in `stores`:
+ * close() stops its timers, waits for pending writes and closes those stores.
+ * An `auditLog` passed in stays the caller's to close.
+ *
+ * @example
+ * const stack = createSecurityStack({ auth: { secret: process.env.JWT_SECRET } });
+ * await stack.init();
+ * app.use(stack.cors, ...stack.middleware);
+ * app.use('/api/admin', stack.adminRouter);
+ *
+ * @param {object} [options]
+ * @param {object} [options.rateLimit] - policies by name, merged over the config defaults;
+ *   "global" is the limiter in `middleware`, "admin" is adminRateLimit (applied by adminRouter)
+ * @param {object} [options.ipLists] - seed entries: { blacklist: [...], whitelist: [...] } (default: none)
+ * @param {object} [options.cors] - CORS policy document: { default, routes } (default: the config defaults)
+ * @param {object} [options.auth] - admin key sources, see adminAuthConfigFromEnv
+ * @param {object} [options.waf] - see WAF_CONFIG
+ * @param {object} [options.sanitizer] - default sanitize policy: { mode, fields, limits }
+ * @param {object} [options.csrf] - see CSRF_CONFIG and csrfConfigFromEnv
+ * @param {object} [options.banPolicy] - overrides of BAN_POLICY_CONFIG
+ * @param {object} [options.authLockout] - overrides of AUTH_LOCKOUT_CONFIG
+ * @param {object} [options.apiKeys] - overrides of API_KEY_CONFIG
+ * @param {object} [options.stores] - { ipList, apiKey, audit, rateLimit: (policyName) => store }
+ *   (default: in memory; see storesFromEnv)
+ * @param {AuditLog} [options.auditLog] - audit log to share instead of one on stores.audit
+ * @returns {object} the components, plus `middleware` (blacklist, global rate limit, WAF and
+ *   sanitizer, in that order), init(), close() and reconfigure({ rateLimit, ipLists, cors })
+ */
+const createSecurityStack = (options = {}) => {
+  const stores = options.stores || {};
+  const settings = {
+    rateLimit: mergePolicies(CONFIG_DEFAULTS.rateLimit, options.rateLimit),
+    ipLists: { blacklist: [], whitelist: [], ...options.ipLists },
+    cors: options.cors || CONFIG_DEFAULTS.cors
+  };
+
+  const ownsAuditLog = !options.auditLog;
+  const auditLog = options.auditLog || new AuditLog(stores.audit || new MemoryAuditStore());
+
+  const ipBlacklist = createIPBlacklist({ store: stores.ipList || new MemoryIPListStore(), seeds: settings.ipLists });
+  const banPolicy = createBanPolicy({ ...options.banPolicy, ipBlacklist, auditLog });
+  const rateLimits = createRateLimitRegistry({
+    createStore: stores.rateLimit || (() => new MemoryRateLimitStore()),
+    banPolicy
+  });
+  const rateLimiter = rateLimits.createRateLimiter({ name: 'global', ...settings.rateLimit.global });
+  const adminRateLimit = rateLimits.createRateLimiter({ name: 'admin', ...settings.rateLimit.admin });
+  // The WAF inspects everything the sanitizer behind it accepts
+  const waf = createWaf({ limits: (options.sanitizer && options.sanitizer.limits) || {}, ...options.waf, banPolicy });
+  const sanitizer = createSanitizer({ ...options.sanitizer, banPolicy });
+  const cors = createCorsPolicy(settings.cors);
+  const csrfProtection = createCsrfProtection(options.csrf);
+
+  const apiKeys = createApiKeyManager({ ...options.apiKeys, store: stores.apiKey || new MemoryApiKeyStore() });
+  const authLockout = createAuthLockout(options.authLockout);
+  const auth = createAdminAuth({ ...options.auth, apiKeys, authLockout, banPolicy, auditLog });
+  const adminRouter = createAdminRouter({ auth, ipBlacklist, rateLimits, banPolicy, apiKeys, authLockout, auditLog, adminRateLimit });
+
+  /**
+   * Load persisted IP lists, API keys and the audit chain head (call once before serving)
+   */
+  const init = () => Promise.all([ipBlacklist.initialize(), apiKeys.initialize(), auditLog.init()]);
+
+  /**
+   * Apply changed settings to the running components (e.g. on config reload)
+   * Rate limit policies that have not been created yet are ignored.
+   * @param {object} sections - any of rateLimit, ipLists and cors, complete as in options
+   */
+  const reconfigure = ({ rateLimit, ipLists, cors: corsConfig } = {}) => {
+    if (rateLimit) {
+      const policies = rateLimits.getPolicyNames();
+      for (const [name, policy] of Object.entries(rateLimit)) {
+        const current = settings.rateLimit[name] || {};
+        if (policies.includes(name) && Object.keys(policy).some(setting => policy[setting] !== current[setting])) {
+          rateLimits.updateRateLimiter(name, policy);
+        }
+      }
+      settings.rateLimit = mergePolicies(settings.rateLimit, rateLimit);
+    }
+    if (ipLists) {
+      ipBlacklist.applySeeds(ipLists);
+      settings.ipLists = ipLists;
+    }
+    if (corsConfig) {
+      cors.update(corsConfig);
+      settings.cors = corsConfig;
+    }
+  };
+
+  /**
+   * Stop timers, then close every store this stack owns once its pending writes are done
+   * (the audit log last: the other components may still be recording)
+   */
+  const close = async () => {
+    banPolicy.close();
+    csrfProtection.close();
+    authLockout.close();
+    await ipBlacklist.close();
+    await apiKeys.close();
+    await rateLimits.close();
+    if (ownsAuditLog) {
+      await auditLog.close();
+    }
+  };
+
+  return {
+    ipBlacklist,
+    banPolicy,
+    rateLimits,
+    rateLimiter,
+    adminRateLimit,
+    waf,
+    sanitizer,
+    cors,
+    csrfProtection,
+    apiKeys,
+    authLockout,
+    auth,
+    auditLog,
+    adminRouter,
+    settings,
+    // Order matters: block known IPs, then limit, then score the raw input, then sanitize it
+    middleware: [ipBlacklist, rateLimiter, waf, sanitizer],
+    init,
+    reconfigure,
+    close
+  };
+};
+
+module.exports = {
+  createSecurityStack,
+  storesFromEnv
+};
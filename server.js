@@ -0,0 +1,50 @@
+// server.js - Server entry point: load the configuration, start the app, reload and shut down
+const config = require('./utils/config');
+const logger = require('./utils/logger');
+
+// Configuration first: invalid or (in production) unsafe settings stop the server here
+config.load();
+
+const createApp = require('./app');
+
+const app = createApp();
+const stack = app.locals.securityStack;
+const { port: PORT } = config.get('server');
+
+/**
+ * Stop accepting connections, then release the stack and flush the application log
+ */
+const shutdown = (signal, server) => {
+  logger.info(`${signal} received, shutting down`);
+  config.unwatch();
+  server.close(async () => {
+    await stack.close();
+    await logger.close();
+    process.exit(0);
+  });
+  // Do not wait forever on keep-alive connections
+  setTimeout(() => {
+    logger.close().finally(() => process.exit(0));
+  }, 10 * 1000).unref();
+};
+
+// Start once persisted IP lists, API keys and the audit chain head are loaded
+stack.init()
+  .then(() => {
+    const server = app.listen(PORT, () => {
+      logger.info(`🚀 Server running on port ${PORT}`);
+      logger.info(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+
+    // Rate limits, IP list seeds and CORS reload on SIGHUP or when the config file changes
+    config.onChange('rateLimit', rateLimit => stack.reconfigure({ rateLimit }));
+    config.onChange('ipLists', ipLists => stack.reconfigure({ ipLists }));
+    config.onChange('cors', cors => stack.reconfigure({ cors }));
+    config.watch();
+
+    ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => shutdown(signal, server)));
+  })
+  .catch((error) => {
+    logger.error(`Failed to load persisted state: ${error.message}`);
+    logger.close().finally(() => process.exit(1));
+  });
@@ -0,0 +1,69 @@
+// stores/fileApiKeyStore.js - JSON file backed API key storage
+const logger = require('../utils/logger');
+const { writeFileAtomic, readJsonFile } = require('../utils/atomicFile');
+
+/**
+ * API key store persisted to a single JSON file
+ *
+ * Same interface as MemoryApiKeyStore. Every change rewrites the whole file
+ * atomically, with writes queued in the order the changes were made.
+ */
+class FileApiKeyStore {
+  constructor(filename) {
+    if (!filename) {
+      throw new Error('FileApiKeyStore requires a filename');
+    }
+    this.filename = filename;
+    this.keys = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    const data = await readJsonFile(this.filename);
+    if (!data) {
+      this.keys = null;
+      return null;
+    }
+
+    if (!Array.isArray(data.keys)) {
+      throw new Error(`Malformed API key file: ${this.filename}`);
+    }
+
+    this.keys = new Map(data.keys.map(record => [record.id, record]));
+    logger.info(`Loaded ${data.keys.length} API keys from ${this.filename}`);
+    return Array.from(this.keys.values());
+  }
+
+  /**
+   * Queue a snapshot write of the current keys
+   */
+  persist() {
+    const snapshot = JSON.stringify({
+      keys: Array.from(this.keys.values()),
+      updatedAt: new Date().toISOString()
+    }, null, 2);
+
+    const write = this.writeQueue.then(() => writeFileAtomic(this.filename, snapshot));
+    // Keep the queue alive after a failed write; the caller still sees the error
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async save(record) {
+    if (!this.keys) this.keys = new Map();
+    this.keys.set(record.id, record);
+    return this.persist();
+  }
+
+  async remove(id) {
+    if (!this.keys) this.keys = new Map();
+    this.keys.delete(id);
+    return this.persist();
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = FileApiKeyStore;
@@ -0,0 +1,137 @@
+// stores/fileAuditStore.js - Append-only JSON Lines audit log storage
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Audit store persisted as one JSON object per line
+ *
+ * Same interface as MemoryAuditStore. Entries are appended and flushed one at
+ * a time in the order they were recorded; the file is never rewritten, except
+ * that repairTail() cuts off a last line left unfinished by a crash.
+ */
+class FileAuditStore {
+  constructor(filename) {
+    if (!filename) {
+      throw new Error('FileAuditStore requires a filename');
+    }
+    this.filename = filename;
+    this.handle = null;
+  }
+
+  async open() {
+    if (!this.handle) {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      // Never continue a line left unfinished
+      const lastByte = await this.lastByte();
+      this.needsNewline = lastByte !== null && lastByte !== '\n';
+      this.handle = await fs.promises.open(this.filename, 'a', 0o600);
+    }
+    return this.handle;
+  }
+
+  async append(entry) {
+    const handle = await this.open();
+    await handle.appendFile(`${this.needsNewline ? '\n' : ''}${JSON.stringify(entry)}\n`);
+    this.needsNewline = false;
+    await handle.datasync();
+  }
+
+  /**
+   * Read the file's last line (from the end, so large logs are not loaded whole)
+   * @returns {Promise<{ text: string, start: number, size: number }|null>} null when empty or missing
+   */
+  async lastLine() {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.filename, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    try {
+      const { size } = await handle.stat();
+      if (size === 0) return null;
+      const chunks = [];
+      let end = size;
+      let start = -1;
+      while (end > 0 && start === -1) {
+        const length = Math.min(64 * 1024, end);
+        const { buffer } = await handle.read(Buffer.alloc(length), 0, length, end - length);
+        // A newline that ends the file ends the last line, it does not start it
+        const from = end === size ? length - 2 : length - 1;
+        const newline = from < 0 ? -1 : buffer.lastIndexOf(10, from);
+        if (newline !== -1) start = end - length + newline + 1;
+        chunks.unshift(newline === -1 ? buffer : buffer.subarray(newline + 1));
+        end -= length;
+      }
+      return { text: Buffer.concat(chunks).toString('utf8'), start: Math.max(start, 0), size };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async lastByte() {
+    const line = await this.lastLine();
+    return line ? line.text.slice(-1) : null;
+  }
+
+  /**
+   * Cut off a last line that a crash left unfinished (no trailing newline, not valid JSON)
+   * A complete entry that only lacks its newline is kept.
+   * @returns {Promise<number>} bytes removed
+   */
+  async repairTail() {
+    const line = await this.lastLine();
+    if (!line || line.text.endsWith('\n')) return 0;
+    try {
+      JSON.parse(line.text);
+      return 0;
+    } catch (error) {
+      await this.close();
+      await fs.promises.truncate(this.filename, line.start);
+      return line.size - line.start;
+    }
+  }
+
+  async *entries() {
+    let stream;
+    try {
+      await fs.promises.access(this.filename);
+      stream = fs.createReadStream(this.filename, { encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        // Surfaced to the verifier as a broken entry rather than skipped
+        yield { malformed: true, line: lineNumber };
+      }
+    }
+  }
+
+  async last() {
+    let last = null;
+    for await (const entry of this.entries()) {
+      last = entry;
+    }
+    return last;
+  }
+
+  async close() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+module.exports = FileAuditStore;
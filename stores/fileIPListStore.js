@@ -0,0 +1,89 @@
+// stores/fileIPListStore.js - JSON file backed IP list storage
+const logger = require('../utils/logger');
+const { writeFileAtomic, readJsonFile } = require('../utils/atomicFile');
+
+/**
+ * IP list store persisted to a single JSON file
+ *
+ * Same interface as MemoryIPListStore. Every change rewrites the whole file
+ * atomically (temp file + rename), and writes are queued so they land on
+ * disk in the order the changes were made.
+ */
+class FileIPListStore {
+  constructor(filename) {
+    if (!filename) {
+      throw new Error('FileIPListStore requires a filename');
+    }
+    this.filename = filename;
+    this.lists = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    const data = await readJsonFile(this.filename);
+    if (!data) {
+      this.lists = null;
+      return null;
+    }
+
+    if (!Array.isArray(data.blacklist) || !Array.isArray(data.whitelist)) {
+      throw new Error(`Malformed IP list file: ${this.filename}`);
+    }
+
+    // Older files stored bare strings instead of records
+    const toRecord = (entry) => (typeof entry === 'string' ? { ip: entry } : entry);
+    this.lists = {
+      blacklist: new Map(data.blacklist.map(toRecord).map(record => [record.ip, record])),
+      whitelist: new Map(data.whitelist.map(toRecord).map(record => [record.ip, record]))
+    };
+    logger.info(`Loaded ${data.blacklist.length} blacklisted and ${data.whitelist.length} whitelisted entries from ${this.filename}`);
+    return {
+      blacklist: Array.from(this.lists.blacklist.values()),
+      whitelist: Array.from(this.lists.whitelist.values())
+    };
+  }
+
+  ensureLists() {
+    if (!this.lists) {
+      this.lists = { blacklist: new Map(), whitelist: new Map() };
+    }
+    return this.lists;
+  }
+
+  /**
+   * Queue a snapshot write of the current lists
+   */
+  persist() {
+    const snapshot = JSON.stringify({
+      blacklist: Array.from(this.lists.blacklist.values()),
+      whitelist: Array.from(this.lists.whitelist.values()),
+      updatedAt: new Date().toISOString()
+    }, null, 2);
+
+    const write = this.writeQueue.then(() => writeFileAtomic(this.filename, snapshot));
+    // Keep the queue alive after a failed write; the caller still sees the error
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async add(list, record) {
+    this.ensureLists()[list].set(record.ip, record);
+    return this.persist();
+  }
+
+  async remove(list, ip) {
+    this.ensureLists()[list].delete(ip);
+    return this.persist();
+  }
+
+  async clear(list) {
+    this.ensureLists()[list].clear();
+    return this.persist();
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = FileIPListStore;
@@ -0,0 +1,39 @@
+// stores/memoryApiKeyStore.js - In-memory API key storage (tests and ephemeral setups)
+
+/**
+ * API key store kept only in process memory
+ *
+ * Implements the API key store interface used by middleware/apiKeys.js:
+ *   load()        -> Promise<object[] | null>   every stored key record
+ *   save(record)  -> Promise<void>              insert or replace by record.id
+ *   remove(id)    -> Promise<void>
+ *   close()       -> Promise<void>              resolves once pending writes are on disk
+ * Records only ever hold the hash of a key, never the key itself. load()
+ * resolves to null when nothing has been stored yet.
+ */
+class MemoryApiKeyStore {
+  constructor(initial = null) {
+    this.keys = null;
+    if (initial) {
+      this.keys = new Map(initial.map(record => [record.id, record]));
+    }
+  }
+
+  async load() {
+    if (!this.keys) return null;
+    return Array.from(this.keys.values());
+  }
+
+  async save(record) {
+    if (!this.keys) this.keys = new Map();
+    this.keys.set(record.id, record);
+  }
+
+  async remove(id) {
+    if (this.keys) this.keys.delete(id);
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryApiKeyStore;
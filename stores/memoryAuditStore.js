@@ -0,0 +1,35 @@
+// stores/memoryAuditStore.js - In-memory audit log storage (tests and ephemeral setups)
+
+/**
+ * Audit store kept only in process memory
+ *
+ * Implements the audit store interface used by utils/auditLog.js:
+ *   append(entry) -> Promise<void>            add an entry at the end
+ *   entries()     -> AsyncIterable<object>    every entry, oldest first
+ *   last()        -> Promise<object | null>   newest entry
+ *   close()       -> Promise<void>
+ *   repairTail()  -> Promise<number>          optional: drop a partly written last entry,
+ *                                             returning the bytes removed (0 if none)
+ * Stores never change or remove complete entries once appended.
+ */
+class MemoryAuditStore {
+  constructor() {
+    this.log = [];
+  }
+
+  async append(entry) {
+    this.log.push(entry);
+  }
+
+  async *entries() {
+    yield* this.log;
+  }
+
+  async last() {
+    return this.log.length > 0 ? this.log[this.log.length - 1] : null;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryAuditStore;
@@ -0,0 +1,56 @@
+// stores/memoryIPListStore.js - In-memory IP list storage (tests and ephemeral setups)
+
+/**
+ * IP list store kept only in process memory
+ *
+ * Implements the IP list store interface used by middleware/ipBlacklist.js:
+ *   load()               -> Promise<{ blacklist: object[], whitelist: object[] } | null>
+ *   add(list, record)    -> Promise<void>   (insert or replace by record.ip)
+ *   remove(list, ip)     -> Promise<void>
+ *   clear(list)          -> Promise<void>
+ *   close()              -> Promise<void>   (resolves once pending writes are on disk)
+ * `list` is either 'blacklist' or 'whitelist', and every record has an `ip`
+ * field holding the canonical address or CIDR range. load() resolves to null
+ * when nothing has been stored yet, so the caller can seed its defaults.
+ */
+class MemoryIPListStore {
+  constructor(initial = null) {
+    this.lists = null;
+    if (initial) {
+      const lists = this.ensureLists();
+      (initial.blacklist || []).forEach(record => lists.blacklist.set(record.ip, record));
+      (initial.whitelist || []).forEach(record => lists.whitelist.set(record.ip, record));
+    }
+  }
+
+  ensureLists() {
+    if (!this.lists) {
+      this.lists = { blacklist: new Map(), whitelist: new Map() };
+    }
+    return this.lists;
+  }
+
+  async load() {
+    if (!this.lists) return null;
+    return {
+      blacklist: Array.from(this.lists.blacklist.values()),
+      whitelist: Array.from(this.lists.whitelist.values())
+    };
+  }
+
+  async add(list, record) {
+    this.ensureLists()[list].set(record.ip, record);
+  }
+
+  async remove(list, ip) {
+    this.ensureLists()[list].delete(ip);
+  }
+
+  async clear(list) {
+    this.ensureLists()[list].clear();
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryIPListStore;
@@ -0,0 +1,108 @@
+// stores/memoryRateLimitStore.js - Process-local rate limit storage
+const { getAlgorithm } = require('../utils/rateLimitAlgorithms');
+
+/**
+ * Rate limit store kept in process memory
+ *
+ * Implements the rate limit store interface used by middleware/rateLimiter.js:
+ *   init({ windowMs, maxRequests, algorithm }) -> void   again when limits change at runtime
+ *   increment(key) -> Promise<{ count, resetTime }>   record a hit, return usage
+ *   decrement(key) -> Promise<void>                   take back one hit (skipped requests)
+ *   get(key)       -> Promise<{ count, resetTime } | null>
+ *   reset(key)     -> Promise<boolean>                whether the key existed
+ *   stats(limit)   -> Promise<{ totalKeys, activeKeys, topKeys: [{ key, count, lastRequest }] }>
+ *   shutdown()     -> Promise<void>
+ * `count` over `maxRequests` means the client is limited, and `resetTime` is the
+ * epoch ms when it gets headroom again (see utils/rateLimitAlgorithms.js).
+ * Each key holds a fixed-size state object; a timer evicts keys whose state has
+ * run out. Limits only apply per process; use a shared store for several instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    // Structure: { key: algorithm state }
+    this.states = new Map();
+    this.config = null;
+    this.algorithm = null;
+    this.evictionTimer = null;
+  }
+
+  init({ windowMs, maxRequests, algorithm = 'sliding-window' }) {
+    const next = getAlgorithm(algorithm);
+    // State of one algorithm means nothing to another (limits changed at runtime)
+    if (this.algorithm && this.algorithm !== next) this.states.clear();
+    this.config = { windowMs, maxRequests };
+    this.algorithm = next;
+
+    if (this.evictionTimer) clearInterval(this.evictionTimer);
+    this.evictionTimer = setInterval(() => this.evictExpired(), Math.min(windowMs, 60 * 1000));
+    this.evictionTimer.unref();
+  }
+
+  /**
+   * Remove keys whose state no longer affects any decision
+   * @returns {number} number of keys evicted
+   */
+  evictExpired(now = Date.now()) {
+    let evicted = 0;
+    for (const [key, state] of this.states.entries()) {
+      if (this.algorithm.expiresAt(state, this.config) <= now) {
+        this.states.delete(key);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    let state = this.states.get(key);
+    if (!state) {
+      state = this.algorithm.create(now);
+      this.states.set(key, state);
+    }
+    return this.algorithm.hit(state, now, this.config);
+  }
+
+  async decrement(key) {
+    const state = this.states.get(key);
+    if (state) {
+      this.algorithm.undo(state, Date.now(), this.config);
+    }
+  }
+
+  async get(key) {
+    const state = this.states.get(key);
+    if (!state) return null;
+    return this.algorithm.peek(state, Date.now(), this.config);
+  }
+
+  async reset(key) {
+    return this.states.delete(key);
+  }
+
+  async stats(limit = 10) {
+    const now = Date.now();
+    const entries = [];
+
+    for (const [key, state] of this.states.entries()) {
+      const { count } = this.algorithm.peek(state, now, this.config);
+      if (count > 0) {
+        entries.push({ key, count, lastRequest: state.lastRequest });
+      }
+    }
+
+    return {
+      totalKeys: this.states.size,
+      activeKeys: entries.length,
+      topKeys: entries.sort((a, b) => b.count - a.count).slice(0, limit)
+    };
+  }
+
+  async shutdown() {
+    if (this.evictionTimer) clearInterval(this.evictionTimer);
+    this.evictionTimer = null;
+    this.states.clear();
+  }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,239 @@
+// stores/redisRateLimitStore.js - Shared rate limit storage on a Redis-compatible server
+const RespClient = require('../utils/respClient');
+const { getAlgorithm, windowIndex, slidingWindowCount } = require('../utils/rateLimitAlgorithms');
+
+// Token bucket update, run atomically on the server
+// ARGV: now, windowMs, maxRequests, delta (-1 records a hit, +1 takes one back)
+const TOKEN_BUCKET_SCRIPT = `
+local max = tonumber(ARGV[3])
+local rate = max / tonumber(ARGV[2])
+local now = tonumber(ARGV[1])
+local delta = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or max
+local ts = tonumber(state[2]) or now
+tokens = math.min(max, tokens + (now - ts) * rate)
+if delta < 0 then
+  tokens = math.max(-1, tokens + delta)
+  redis.call('HSET', KEYS[1], 't', now)
+else
+  tokens = math.min(max, tokens + delta)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens))
+redis.call('HSET', KEYS[1], 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((max - tokens) / rate) + 1000)
+return tostring(tokens)
+`;
+
+// Take one hit back from a window, run atomically on the server
+// A window that no longer holds hits (rolled over or reset) is left alone, so
+// concurrent decrements can never drive the count below zero
+const DECREMENT_SCRIPT = `
+local count = tonumber(redis.call('HGET', KEYS[1], 'c'))
+if count and count > 0 then
+  return redis.call('HINCRBY', KEYS[1], 'c', -1)
+end
+return 0
+`;
+
+/**
+ * Rate limit store backed by a Redis-compatible server
+ *
+ * Same interface as MemoryRateLimitStore. Every instance pointing at the same
+ * server and prefix shares one set of counters, so the limit holds across
+ * processes and machines. Keys expire on the server once their state has run out.
+ *
+ * Layout per client key:
+ *   fixed-window / sliding-window: hash `<prefix><key>:<window index>` { c: count, t: last request }
+ *   token-bucket:                  hash `<prefix><key>:tb` { tokens, ts: last refill, t: last request }
+ * Fixed and sliding windows use plain commands in MULTI/EXEC. The token bucket
+ * and taking hits back (skipSuccessfulRequests / skipFailedRequests) run as Lua
+ * scripts (EVAL); scripts/redis-stand-in.js runs JavaScript ports of them.
+ */
+class RedisRateLimitStore {
+  /**
+   * @param {object} options
+   * @param {RespClient} [options.client] - existing client
+   * @param {string} [options.url] - redis:// URL used when no client is given
+   * @param {string} [options.prefix] - namespace for rate limit keys
+   */
+  constructor({ client, url = 'redis://127.0.0.1:6379', prefix = 'rl:' } = {}) {
+    this.client = client || RespClient.fromUrl(url);
+    this.prefix = prefix;
+    this.config = null;
+    this.algorithm = null;
+  }
+
+  init({ windowMs, maxRequests, algorithm = 'sliding-window' }) {
+    this.config = { windowMs, maxRequests };
+    this.algorithm = getAlgorithm(algorithm);
+  }
+
+  windowKey(key, window) {
+    return `${this.prefix}${key}:${window}`;
+  }
+
+  bucketKey(key) {
+    return `${this.prefix}${key}:tb`;
+  }
+
+  /**
+   * Turn stored token count into { count, resetTime }
+   */
+  bucketResult(tokens, updatedAt, now) {
+    const state = { tokens: Number(tokens), updatedAt: Number(updatedAt) };
+    return this.algorithm.peek(state, now, this.config);
+  }
+
+  async increment(key) {
+    const now = Date.now();
+    const { windowMs } = this.config;
+
+    if (this.algorithm.name === 'token-bucket') {
+      const tokens = await this.client.command([
+        'EVAL', TOKEN_BUCKET_SCRIPT, 1, this.bucketKey(key), now, windowMs, this.config.maxRequests, -1
+      ]);
+      return this.bucketResult(tokens, now, now);
+    }
+
+    const window = windowIndex(now, windowMs);
+    const current = this.windowKey(key, window);
+    const commands = [
+      ['HINCRBY', current, 'c', 1],
+      ['HSET', current, 't', now]
+    ];
+
+    if (this.algorithm.name === 'fixed-window') {
+      commands.push(['PEXPIRE', current, windowMs]);
+      const [count] = await this.client.multi(commands);
+      return { count, resetTime: (window + 1) * windowMs };
+    }
+
+    // Sliding window: the current window must outlive the next one
+    commands.push(
+      ['PEXPIRE', current, 2 * windowMs],
+      ['HGET', this.windowKey(key, window - 1), 'c']
+    );
+    const [count, , , previous] = await this.client.multi(commands);
+    return {
+      count: slidingWindowCount(count, Number(previous) || 0, now, windowMs),
+      resetTime: (window + 1) * windowMs
+    };
+  }
+
+  async decrement(key) {
+    const now = Date.now();
+
+    if (this.algorithm.name === 'token-bucket') {
+      await this.client.command([
+        'EVAL', TOKEN_BUCKET_SCRIPT, 1, this.bucketKey(key), now, this.config.windowMs, this.config.maxRequests, 1
+      ]);
+      return;
+    }
+
+    const current = this.windowKey(key, windowIndex(now, this.config.windowMs));
+    await this.client.command(['EVAL', DECREMENT_SCRIPT, 1, current]);
+  }
+
+  async get(key) {
+    const now = Date.now();
+    const { windowMs } = this.config;
+
+    if (this.algorithm.name === 'token-bucket') {
+      const [tokens, updatedAt] = await this.client.command(['HMGET', this.bucketKey(key), 'tokens', 'ts']);
+      if (tokens === null) return null;
+      return this.bucketResult(tokens, updatedAt, now);
+    }
+
+    const window = windowIndex(now, windowMs);
+    const [current, previous] = await this.client.multi([
+      ['HGET', this.windowKey(key, window), 'c'],
+      ['HGET', this.windowKey(key, window - 1), 'c']
+    ]);
+
+    const resetTime = (window + 1) * windowMs;
+    if (this.algorithm.name === 'fixed-window') {
+      return current === null ? null : { count: Number(current), resetTime };
+    }
+    if (current === null && previous === null) return null;
+    return {
+      count: slidingWindowCount(Number(current) || 0, Number(previous) || 0, now, windowMs),
+      resetTime
+    };
+  }
+
+  async reset(key) {
+    const window = windowIndex(Date.now(), this.config.windowMs);
+    const deleted = await this.client.command([
+      'DEL',
+      this.windowKey(key, window),
+      this.windowKey(key, window - 1),
+      this.bucketKey(key)
+    ]);
+    return deleted > 0;
+  }
+
+  async stats(limit = 10) {
+    const now = Date.now();
+    const window = windowIndex(now, this.config.windowMs);
+    // Structure: { key: { current, previous, tokens, updatedAt, lastRequest } }
+    const perKey = new Map();
+    let cursor = '0';
+
+    do {
+      const [nextCursor, redisKeys] = await this.client.command(['SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100]);
+      cursor = nextCursor;
+
+      for (const redisKey of redisKeys) {
+        // Client keys may contain ":" (IPv6), so split on the last one
+        const separator = redisKey.lastIndexOf(':');
+        const key = redisKey.slice(this.prefix.length, separator);
+        const suffix = redisKey.slice(separator + 1);
+        const entry = perKey.get(key) || { current: 0, previous: 0, tokens: null, lastRequest: 0 };
+
+        if (suffix === 'tb') {
+          const [tokens, updatedAt, last] = await this.client.command(['HMGET', redisKey, 'tokens', 'ts', 't']);
+          entry.tokens = tokens;
+          entry.updatedAt = updatedAt;
+          entry.lastRequest = Math.max(entry.lastRequest, Number(last) || 0);
+        } else {
+          const age = window - Number(suffix);
+          if (age !== 0 && age !== 1) continue;
+          const [count, last] = await this.client.command(['HMGET', redisKey, 'c', 't']);
+          entry[age === 0 ? 'current' : 'previous'] = Number(count) || 0;
+          entry.lastRequest = Math.max(entry.lastRequest, Number(last) || 0);
+        }
+        perKey.set(key, entry);
+      }
+    } while (cursor !== '0');
+
+    const entries = [];
+    for (const [key, entry] of perKey.entries()) {
+      let count;
+      if (this.algorithm.name === 'token-bucket') {
+        count = entry.tokens === null ? 0 : this.bucketResult(entry.tokens, entry.updatedAt, now).count;
+      } else if (this.algorithm.name === 'fixed-window') {
+        count = entry.current;
+      } else {
+        count = slidingWindowCount(entry.current, entry.previous, now, this.config.windowMs);
+      }
+      if (count > 0) {
+        entries.push({ key, count, lastRequest: entry.lastRequest });
+      }
+    }
+
+    return {
+      totalKeys: perKey.size,
+      activeKeys: entries.length,
+      topKeys: entries.sort((a, b) => b.count - a.count).slice(0, limit)
+    };
+  }
+
+  async shutdown() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisRateLimitStore;
+module.exports.TOKEN_BUCKET_SCRIPT = TOKEN_BUCKET_SCRIPT;
+module.exports.DECREMENT_SCRIPT = DECREMENT_SCRIPT;
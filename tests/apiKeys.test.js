@@ -0,0 +1,179 @@
+// tests/apiKeys.test.js - Managed admin API keys: issuance, expiry, rotation and revocation
+const request = require('supertest');
+const { sign } = require('../utils/jwt');
+const { createApiKeyManager } = require('../middleware/apiKeys');
+const { JWT_SECRET, createTestApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('API key manager', () => {
+  let apiKeys;
+  let now;
+
+  beforeEach(async () => {
+    apiKeys = createApiKeyManager();
+    await apiKeys.initialize();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await apiKeys.close();
+  });
+
+  const issue = (options = {}) => apiKeys.issueApiKey({ name: 'ci', scopes: ['stats:read'], ...options });
+
+  test('issues keys whose secret is never returned again', () => {
+    const { key, record } = issue();
+    expect(key).toMatch(new RegExp(`^smk_${record.id}_[A-Za-z0-9_-]{43}$`));
+    expect(record).not.toHaveProperty('hash');
+    expect(record.status).toBe('active');
+    expect(apiKeys.listApiKeys()[0]).not.toHaveProperty('hash');
+    expect(JSON.stringify(apiKeys.getApiKey(record.id))).not.toContain(key.split('_')[2]);
+  });
+
+  test('verifies a key and records where it was used', () => {
+    const { key, record } = issue();
+    expect(apiKeys.verifyApiKey(key, '192.0.2.1')).toEqual(expect.objectContaining({ id: record.id, scopes: ['stats:read'] }));
+    expect(apiKeys.getApiKey(record.id).lastUsedIp).toBe('192.0.2.1');
+  });
+
+  test.each([
+    ['a wrong secret', (key) => `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`],
+    ['an unknown id', (key) => key.replace(/^smk_[0-9a-f]{16}/, 'smk_0000000000000000')],
+    ['a malformed key', (key) => key.slice(0, -2)],
+    ['a JWT', () => 'eyJhbGciOiJIUzI1NiJ9.e30.c2ln']
+  ])('refuses %s', (description, alter) => {
+    const { key } = issue();
+    expect(apiKeys.verifyApiKey(alter(key))).toBeNull();
+  });
+
+  test('keys expire after their lifetime', () => {
+    const { key, record } = issue({ expiresInMs: HOUR });
+    now += HOUR;
+    expect(apiKeys.verifyApiKey(key)).toBeNull();
+    expect(apiKeys.getApiKey(record.id).status).toBe('expired');
+    expect(apiKeys.hasManagedKeys()).toBe(false);
+  });
+
+  test('refuses lifetimes longer than maxTtlMs', () => {
+    expect(() => issue({ expiresInMs: apiKeys.config.maxTtlMs + 1 })).toThrow(/cannot exceed/);
+  });
+
+  test('revoked keys stop working at once', () => {
+    const { key, record } = issue();
+    const revoked = apiKeys.revokeApiKey(record.id, 'alice');
+    expect(revoked).toEqual(expect.objectContaining({ status: 'revoked', revokedBy: 'alice' }));
+    expect(apiKeys.verifyApiKey(key)).toBeNull();
+
+    // Revoking again keeps the first revocation
+    now += HOUR;
+    expect(apiKeys.revokeApiKey(record.id, 'bob')).toEqual(revoked);
+    expect(apiKeys.revokeApiKey('0000000000000000')).toBeNull();
+  });
+
+  test('a rotated key keeps working for the grace period only', () => {
+    const { key: oldKey, record: oldRecord } = issue();
+    const rotated = apiKeys.rotateApiKey(oldRecord.id, { gracePeriodMs: HOUR, rotatedBy: 'alice' });
+
+    expect(rotated.record).toEqual(expect.objectContaining({ name: 'ci', scopes: ['stats:read'], rotatedFrom: oldRecord.id }));
+    expect(rotated.previous.replacedBy).toBe(rotated.record.id);
+    expect(apiKeys.verifyApiKey(oldKey)).not.toBeNull();
+    expect(apiKeys.verifyApiKey(rotated.key)).not.toBeNull();
+
+    now += HOUR;
+    expect(apiKeys.verifyApiKey(oldKey)).toBeNull();
+    expect(apiKeys.verifyApiKey(rotated.key)).not.toBeNull();
+  });
+
+  test('a grace period of 0 revokes the old key right away', () => {
+    const { key, record } = issue();
+    const rotated = apiKeys.rotateApiKey(record.id, { gracePeriodMs: 0 });
+    expect(rotated.previous.status).toBe('revoked');
+    expect(apiKeys.verifyApiKey(key)).toBeNull();
+  });
+
+  test('never extends the old key past its own expiry', () => {
+    const { record } = issue({ expiresInMs: HOUR });
+    const rotated = apiKeys.rotateApiKey(record.id, { gracePeriodMs: 2 * HOUR });
+    expect(rotated.previous.expiresAt).toBe(record.expiresAt);
+  });
+
+  test('refuses to rotate unknown, revoked or expired keys, or with a grace period over the maximum', () => {
+    const { record } = issue();
+    expect(() => apiKeys.rotateApiKey(record.id, { gracePeriodMs: apiKeys.config.maxGracePeriodMs + 1 })).toThrow(/cannot exceed/);
+    expect(() => apiKeys.rotateApiKey('0000000000000000')).toThrow(/Unknown API key/);
+
+    apiKeys.revokeApiKey(record.id);
+    expect(() => apiKeys.rotateApiKey(record.id)).toThrow(/is revoked/);
+
+    const { record: shortLived } = issue({ expiresInMs: HOUR });
+    now += HOUR;
+    expect(() => apiKeys.rotateApiKey(shortLived.id)).toThrow(/is expired/);
+  });
+});
+
+describe('API key admin routes', () => {
+  let app;
+  let stack;
+
+  beforeEach(async () => {
+    ({ app, stack } = await createTestApp({ authLockout: { enabled: false }, banPolicy: { enabled: false } }));
+  });
+
+  afterEach(() => stack.close());
+
+  const adminToken = (scopes = ['keys:read', 'keys:write', 'stats:read']) =>
+    sign({ sub: 'alice', scope: scopes.join(' ') }, JWT_SECRET, { expiresIn: 300 });
+
+  const withToken = (req, token) => req.set('Authorization', `Bearer ${token}`);
+
+  const stats = (key) => withToken(request(app).get('/api/admin/stats'), key);
+
+  test('issues, rotates and revokes keys', async () => {
+    const issued = await withToken(request(app).post('/api/admin/keys'), adminToken())
+      .send({ name: 'ci', scopes: ['stats:read'] });
+    expect(issued.status).toBe(201);
+    const { key, record } = issued.body.data;
+    expect((await stats(key)).status).toBe(200);
+
+    const rotated = await withToken(request(app).post(`/api/admin/keys/${record.id}/rotate`), adminToken())
+      .send({ gracePeriodMs: 0 });
+    expect(rotated.status).toBe(201);
+    expect((await stats(key)).status).toBe(401);
+    expect((await stats(rotated.body.data.key)).status).toBe(200);
+
+    const revoked = await withToken(request(app).delete(`/api/admin/keys/${rotated.body.data.record.id}`), adminToken());
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.data.revokedBy).toMatch(/^alice@/);
+    expect((await stats(rotated.body.data.key)).status).toBe(401);
+
+    const listed = await withToken(request(app).get('/api/admin/keys'), adminToken());
+    expect(listed.body.data).toEqual(expect.objectContaining({ total: 2, active: 0 }));
+  });
+
+  test('a key only grants its own scopes', async () => {
+    const { key } = stack.apiKeys.issueApiKey({ name: 'stats only', scopes: ['stats:read'] });
+    const res = await withToken(request(app).get('/api/admin/keys'), key);
+    expect(res.status).toBe(403);
+  });
+
+  test('cannot grant or rotate scopes the admin does not hold', async () => {
+    const token = adminToken(['keys:write']);
+    const issued = await withToken(request(app).post('/api/admin/keys'), token).send({ name: 'ci', scopes: ['stats:read'] });
+    expect(issued.status).toBe(403);
+    expect(issued.body.details.missing).toEqual(['stats:read']);
+
+    const { record } = stack.apiKeys.issueApiKey({ name: 'ci', scopes: ['stats:read'] });
+    const rotated = await withToken(request(app).post(`/api/admin/keys/${record.id}/rotate`), token).send({});
+    expect(rotated.status).toBe(403);
+  });
+
+  test('answers 404 for unknown keys', async () => {
+    const rotated = await withToken(request(app).post('/api/admin/keys/0000000000000000/rotate'), adminToken()).send({});
+    expect(rotated.status).toBe(404);
+    const revoked = await withToken(request(app).delete('/api/admin/keys/0000000000000000'), adminToken());
+    expect(revoked.status).toBe(404);
+  });
+});
@@ -0,0 +1,187 @@
+// tests/auditLog.test.js - Hash-chained audit log: recording, verification and tamper detection
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+const { sign } = require('../utils/jwt');
+const { AuditLog, hashEntry, GENESIS_HASH } = require('../utils/auditLog');
+const FileAuditStore = require('../stores/fileAuditStore');
+const { JWT_SECRET, createTestApp } = require('./helpers');
+
+const VERIFY_SCRIPT = path.join(__dirname, '../scripts/verify-audit-log.js');
+
+describe('audit log hash chain', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    file = path.join(dir, 'audit-log.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write `count` entries to the file and close the log
+  const writeEntries = async (count) => {
+    const auditLog = new AuditLog(new FileAuditStore(file));
+    for (let i = 1; i <= count; i++) {
+      auditLog.record({ actor: { id: 'alice' }, action: 'blacklist.add', resource: `192.0.2.${i}`, details: { n: i } });
+    }
+    await auditLog.close();
+  };
+
+  const verify = async () => {
+    const auditLog = new AuditLog(new FileAuditStore(file));
+    const result = await auditLog.verify();
+    await auditLog.close();
+    return result;
+  };
+
+  const readLines = () => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  const writeLines = (lines) => fs.writeFileSync(file, `${lines.join('\n')}\n`);
+
+  // Change entry `index` with `change`, optionally recomputing its hash
+  const tamper = (index, change, rehash = false) => {
+    const lines = readLines();
+    const entry = JSON.parse(lines[index]);
+    change(entry);
+    if (rehash) entry.hash = hashEntry(entry);
+    lines[index] = JSON.stringify(entry);
+    writeLines(lines);
+  };
+
+  test('chains each entry to the one before it', async () => {
+    await writeEntries(3);
+    const entries = readLines().map(line => JSON.parse(line));
+
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+    expect(await verify()).toEqual({ valid: true, entries: 3, headHash: entries[2].hash });
+  });
+
+  test('hashes do not depend on key order', () => {
+    const entry = { seq: 1, action: 'a', details: { b: 1, a: 2 }, prevHash: GENESIS_HASH };
+    const reordered = { prevHash: GENESIS_HASH, details: { a: 2, b: 1 }, action: 'a', seq: 1 };
+    expect(hashEntry(reordered)).toBe(hashEntry(entry));
+  });
+
+  test('a reopened log continues the chain', async () => {
+    await writeEntries(2);
+    await writeEntries(2);
+    expect(readLines().map(line => JSON.parse(line).seq)).toEqual([1, 2, 3, 4]);
+    expect((await verify()).valid).toBe(true);
+  });
+
+  test('detects a changed entry', async () => {
+    await writeEntries(3);
+    tamper(1, (entry) => { entry.resource = '198.51.100.1'; });
+    expect(await verify()).toEqual(expect.objectContaining({
+      valid: false,
+      brokenAt: 2,
+      reason: 'entry content does not match its hash'
+    }));
+  });
+
+  test('detects a changed entry whose hash was recomputed', async () => {
+    await writeEntries(3);
+    tamper(1, (entry) => { entry.actor.id = 'mallory'; }, true);
+    expect(await verify()).toEqual(expect.objectContaining({
+      valid: false,
+      brokenAt: 3,
+      reason: 'prevHash does not match the previous entry'
+    }));
+  });
+
+  test('detects a removed entry', async () => {
+    await writeEntries(3);
+    const lines = readLines();
+    writeLines([lines[0], lines[2]]);
+    expect(await verify()).toEqual(expect.objectContaining({ valid: false, brokenAt: 2, reason: 'expected seq 2, found 3' }));
+  });
+
+  test('detects reordered entries', async () => {
+    await writeEntries(3);
+    const lines = readLines();
+    writeLines([lines[0], lines[2], lines[1]]);
+    expect(await verify()).toEqual(expect.objectContaining({ valid: false, brokenAt: 2 }));
+  });
+
+  test('detects a line that is not JSON', async () => {
+    await writeEntries(3);
+    const lines = readLines();
+    lines[1] = '{"seq": 2, "action": ';
+    writeLines(lines);
+    expect(await verify()).toEqual(expect.objectContaining({ valid: false, brokenAt: 2, reason: 'entry is not valid JSON' }));
+  });
+
+  test('drops an entry cut off by a crash and records the recovery', async () => {
+    await writeEntries(2);
+    fs.appendFileSync(file, '{"seq":3,"action":"blacklist.ad');
+
+    await writeEntries(1);
+    const entries = readLines().map(line => JSON.parse(line));
+    expect(entries.map(entry => entry.action)).toEqual(['blacklist.add', 'blacklist.add', 'audit.recovered', 'blacklist.add']);
+    expect(entries[2].details.discardedBytes).toBeGreaterThan(0);
+    expect((await verify()).valid).toBe(true);
+  });
+
+  test('refuses to extend a log whose last complete entry is malformed', async () => {
+    await writeEntries(2);
+    fs.appendFileSync(file, 'not json\n');
+    const auditLog = new AuditLog(new FileAuditStore(file));
+    await expect(auditLog.init()).rejects.toThrow(/entry 3 is malformed/);
+    await auditLog.close();
+  });
+
+  test('the audit:verify script exits 1 on a broken chain', async () => {
+    await writeEntries(2);
+    const output = execFileSync(process.execPath, [VERIFY_SCRIPT, file], { encoding: 'utf8' });
+    expect(output).toMatch(/^Audit log OK: 2 entries, head hash [0-9a-f]{64}/);
+
+    tamper(0, (entry) => { entry.details.n = 42; });
+    let failure;
+    try {
+      execFileSync(process.execPath, [VERIFY_SCRIPT, file], { encoding: 'utf8', stdio: 'pipe' });
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.status).toBe(1);
+    expect(failure.stderr).toMatch(/Audit log BROKEN at entry 1: entry content does not match its hash/);
+  });
+});
+
+describe('audit log of admin actions', () => {
+  test('records who did what, from where, and serves it on /api/admin/audit', async () => {
+    const { app, stack } = await createTestApp();
+    try {
+      const token = sign({ sub: 'alice', roles: ['admin'] }, JWT_SECRET, { expiresIn: 300 });
+      const added = await request(app)
+        .post('/api/admin/blacklist')
+        .set('X-Forwarded-For', '192.0.2.5')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ip: '198.51.100.0/24', reason: 'scanner' });
+      expect(added.status).toBe(200);
+
+      const res = await request(app)
+        .get('/api/admin/audit')
+        .query({ action: 'blacklist.*' })
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(200);
+      expect(res.body.data[0]).toEqual(expect.objectContaining({
+        action: 'blacklist.add',
+        result: 'success',
+        resource: '198.51.100.0/24',
+        ip: '192.0.2.5',
+        actor: expect.objectContaining({ id: 'alice', authMethod: 'jwt' })
+      }));
+      expect((await stack.auditLog.verify()).valid).toBe(true);
+    } finally {
+      await stack.close();
+    }
+  });
+});
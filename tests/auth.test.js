@@ -0,0 +1,158 @@
+// tests/auth.test.js - Admin JWT verification through the app
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { sign } = require('../utils/jwt');
+const { JWT_SECRET, createTestApp } = require('./helpers');
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Token with any header, signed (or not) by hand
+const forge = (header, payload, signature = '') => `${base64url(header)}.${base64url(payload)}.${signature}`;
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+describe('admin JWT authentication', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ authLockout: { enabled: false }, banPolicy: { enabled: false } }));
+  });
+
+  afterAll(() => stack.close());
+
+  const getStats = (token) => request(app).get('/api/admin/stats').set('Authorization', `Bearer ${token}`);
+
+  test('accepts a valid HS256 token with the admin role', async () => {
+    const token = sign({ sub: 'alice', roles: ['admin'] }, JWT_SECRET, { expiresIn: 300 });
+    const res = await getStats(token);
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects a missing token with 401', async () => {
+    const res = await request(app).get('/api/admin/stats');
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects alg "none"', async () => {
+    const res = await getStats(forge({ alg: 'none', typ: 'JWT' }, { sub: 'mallory', roles: ['admin'], exp: inOneHour() }));
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects a token signed with another secret', async () => {
+    const token = sign({ sub: 'mallory', roles: ['admin'] }, 'another-secret-another-secret-another', { expiresIn: 300 });
+    const res = await getStats(token);
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects an expired token', async () => {
+    const expired = Math.floor(Date.now() / 1000) - 3600;
+    const token = sign({ sub: 'alice', roles: ['admin'], iat: expired - 60, exp: expired }, JWT_SECRET);
+    const res = await getStats(token);
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects a token without exp', async () => {
+    const token = sign({ sub: 'alice', roles: ['admin'] }, JWT_SECRET);
+    const res = await getStats(token);
+    expect(res.status).toBe(401);
+  });
+
+  test('answers 403 for a role without the scope', async () => {
+    const token = sign({ sub: 'bob', roles: ['viewer'] }, JWT_SECRET, { expiresIn: 300 });
+    const res = await request(app).get('/api/admin/keys').set('Authorization', `Bearer ${token}`);
+    expect(res.status).toBe(403);
+  });
+
+  test.each(['constructor', '__proto__', 'toString'])('answers 403, not 500, for role %s', async (role) => {
+    const token = sign({ sub: 'mallory', roles: [role] }, JWT_SECRET, { expiresIn: 300 });
+    const res = await getStats(token);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('RS256 keys and algorithm confusion', () => {
+  let app;
+  let stack;
+  let keyDir;
+  let privateKey;
+  let publicPem;
+
+  beforeAll(async () => {
+    ({ privateKey, publicKey: publicPem } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' }
+    }));
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    const keyFile = path.join(keyDir, 'main.pem');
+    fs.writeFileSync(keyFile, publicPem);
+
+    // An HMAC secret next to the RSA key: HS256 is allowed, but only with that secret
+    ({ app, stack } = await createTestApp({
+      auth: { secret: JWT_SECRET, publicKeyFiles: [keyFile] },
+      authLockout: { enabled: false },
+      banPolicy: { enabled: false }
+    }));
+  });
+
+  afterAll(async () => {
+    await stack.close();
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  const getStats = (token) => request(app).get('/api/admin/stats').set('Authorization', `Bearer ${token}`);
+
+  test('accepts an RS256 token signed with the private key', async () => {
+    const token = sign({ sub: 'alice', roles: ['admin'] }, privateKey, { algorithm: 'RS256', keyId: 'main', expiresIn: 300 });
+    const res = await getStats(token);
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects HS256 signed with the public key as HMAC secret', async () => {
+    const payload = { sub: 'mallory', roles: ['admin'], exp: inOneHour() };
+    const header = { alg: 'HS256', typ: 'JWT', kid: 'main' };
+    const signingInput = `${base64url(header)}.${base64url(payload)}`;
+    const signature = crypto.createHmac('sha256', publicPem).update(signingInput).digest('base64url');
+    const res = await getStats(`${signingInput}.${signature}`);
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects an RS256 token whose signature was replaced', async () => {
+    const token = sign({ sub: 'alice', roles: ['viewer'] }, privateKey, { algorithm: 'RS256', keyId: 'main', expiresIn: 300 });
+    const forged = sign({ sub: 'alice', roles: ['admin'] }, privateKey, { algorithm: 'RS256', keyId: 'main', expiresIn: 300 });
+    const [header, payload] = forged.split('.');
+    const res = await getStats(`${header}.${payload}.${token.split('.')[2]}`);
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects RS256 when only an HMAC secret is configured', async () => {
+    const { app: hmacApp, stack: hmacStack } = await createTestApp({ authLockout: { enabled: false } });
+    try {
+      const token = sign({ sub: 'alice', roles: ['admin'] }, privateKey, { algorithm: 'RS256', expiresIn: 300 });
+      const res = await request(hmacApp).get('/api/admin/stats').set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(401);
+    } finally {
+      await hmacStack.close();
+    }
+  });
+});
+
+describe('managed API keys', () => {
+  test('revoked keys alone do not count as configured admin auth', async () => {
+    const { app, stack } = await createTestApp({ auth: {}, authLockout: { enabled: false } });
+    try {
+      const { key, record } = stack.apiKeys.issueApiKey({ name: 'ci', scopes: ['stats:read'] });
+      const ok = await request(app).get('/api/admin/stats').set('Authorization', `Bearer ${key}`);
+      expect(ok.status).toBe(200);
+
+      stack.apiKeys.revokeApiKey(record.id);
+      const res = await request(app).get('/api/admin/stats').set('Authorization', `Bearer ${key}`);
+      expect(res.status).toBe(503);
+    } finally {
+      await stack.close();
+    }
+  });
+});
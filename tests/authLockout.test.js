@@ -0,0 +1,127 @@
+// tests/authLockout.test.js - Progressive lockout after failed admin authentication
+const request = require('supertest');
+const { createAuthLockout } = require('../middleware/authLockout');
+const { createTestApp } = require('./helpers');
+
+const KEY_ID = '0123456789abcdef';
+const guess = `smk_${KEY_ID}_${'x'.repeat(43)}`;
+
+describe('lockout backoff', () => {
+  let lockout;
+
+  beforeEach(() => {
+    lockout = createAuthLockout();
+  });
+
+  afterEach(() => lockout.close());
+
+  // Fail `count` times, one second apart, starting at `start`
+  const fail = (ip, count, start = 0, token = 'wrong') => {
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = lockout.recordAuthFailure(ip, token, 'bad key', start + i * 1000);
+    }
+    return result;
+  };
+
+  test('the first failures are free', () => {
+    expect(fail('192.0.2.1', 3).lockedUntil).toBeNull();
+    expect(lockout.checkLockout('192.0.2.1', 'wrong', 3000).locked).toBe(false);
+  });
+
+  test('each further failure doubles the lockout', () => {
+    expect(fail('192.0.2.1', 4).lockedUntil).toBe(3000 + 1000);
+    expect(lockout.recordAuthFailure('192.0.2.1', 'wrong', 'bad key', 10000).lockedUntil).toBe(10000 + 2000);
+    expect(lockout.recordAuthFailure('192.0.2.1', 'wrong', 'bad key', 20000).lockedUntil).toBe(20000 + 4000);
+
+    const state = lockout.checkLockout('192.0.2.1', 'wrong', 21000);
+    expect(state).toEqual({ locked: true, retryAfterMs: 3000, subject: 'ip:192.0.2.1' });
+    expect(lockout.checkLockout('192.0.2.1', 'wrong', 24000).locked).toBe(false);
+  });
+
+  test('lockouts never exceed maxLockoutMs', () => {
+    const { lockedUntil } = fail('192.0.2.1', 40);
+    expect(lockedUntil - 39000).toBe(lockout.config.maxLockoutMs);
+  });
+
+  test('a streak ends after resetAfterMs without failures', () => {
+    fail('192.0.2.1', 5);
+    const later = 4000 + lockout.config.resetAfterMs;
+    expect(lockout.recordAuthFailure('192.0.2.1', 'wrong', 'bad key', later).lockedUntil).toBeNull();
+  });
+
+  test('a successful login ends the streak', () => {
+    fail('192.0.2.1', 3);
+    lockout.recordAuthSuccess('192.0.2.1', 'good');
+    expect(fail('192.0.2.1', 3, 10000).lockedUntil).toBeNull();
+  });
+
+  test('IPv4-mapped IPv6 addresses share the IPv4 streak', () => {
+    fail('192.0.2.1', 4);
+    expect(lockout.checkLockout('::ffff:192.0.2.1', 'wrong', 3500).locked).toBe(true);
+  });
+
+  test('tracks managed key guesses per key id and client IP', () => {
+    fail('192.0.2.1', 4, 0, guess);
+    const subjects = lockout.getAuthLockoutStats().subjects.map(entry => entry.subject).sort();
+    expect(subjects).toEqual(['ip:192.0.2.1', `key:${KEY_ID}@192.0.2.1`]);
+
+    // The same key from another address is not locked
+    expect(lockout.checkLockout('198.51.100.7', guess, 3500).locked).toBe(false);
+  });
+
+  test('clearing an IP also clears its key streaks', () => {
+    fail('192.0.2.1', 4, 0, guess);
+    fail('198.51.100.7', 4, 0, guess);
+    expect(lockout.clearLockout('192.0.2.1')).toBe(true);
+
+    const subjects = lockout.getAuthLockoutStats().subjects.map(entry => entry.subject).sort();
+    expect(subjects).toEqual(['ip:198.51.100.7', `key:${KEY_ID}@198.51.100.7`]);
+    expect(lockout.clearLockout(`key:${KEY_ID}@198.51.100.7`)).toBe(true);
+    expect(lockout.clearLockout('ip:192.0.2.1')).toBe(false);
+  });
+
+  test('does nothing when disabled', () => {
+    lockout.configureAuthLockout({ enabled: false });
+    expect(fail('192.0.2.1', 10).lockedUntil).toBeNull();
+    expect(lockout.checkLockout('192.0.2.1', 'wrong', 9500).locked).toBe(false);
+  });
+});
+
+describe('lockout through the admin routes', () => {
+  let app;
+  let stack;
+
+  beforeEach(async () => {
+    ({ app, stack } = await createTestApp({ auth: {}, banPolicy: { enabled: false } }));
+  });
+
+  afterEach(() => stack.close());
+
+  const statsFrom = (ip, token) => request(app)
+    .get('/api/admin/stats')
+    .set('X-Forwarded-For', ip)
+    .set('Authorization', `Bearer ${token}`);
+
+  test('answers 429 with Retry-After once the free attempts are used up', async () => {
+    stack.apiKeys.issueApiKey({ name: 'ci', scopes: ['stats:read'] });
+    for (let i = 0; i < 4; i++) {
+      expect((await statsFrom('192.0.2.1', 'wrong')).status).toBe(401);
+    }
+
+    const res = await statsFrom('192.0.2.1', 'wrong');
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('bad secrets for a key id from one IP do not lock the holder out from another', async () => {
+    const { key, record } = stack.apiKeys.issueApiKey({ name: 'ci', scopes: ['stats:read'] });
+    const forged = `smk_${record.id}_${'x'.repeat(43)}`;
+    for (let i = 0; i < 6; i++) {
+      await statsFrom('203.0.113.66', forged);
+    }
+    expect((await statsFrom('203.0.113.66', forged)).status).toBe(429);
+
+    expect((await statsFrom('192.0.2.10', key)).status).toBe(200);
+  });
+});
@@ -0,0 +1,127 @@
+// tests/banPolicy.test.js - Automatic bans and their escalation for repeat offenders
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ban escalation', () => {
+  let stack;
+  let now;
+
+  beforeEach(async () => {
+    ({ stack } = await createTestApp({
+      banPolicy: {
+        offences: {
+          rateLimit: { maxOffences: 3, windowMs: 60 * 1000 },
+          wafBlock: { maxOffences: 3, windowMs: 60 * 1000 }
+        },
+        baseBanMs: HOUR,
+        maxBanMs: 6 * HOUR
+      },
+      ipLists: { whitelist: ['192.0.2.200'] }
+    }));
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await stack.close();
+  });
+
+  // Commit `times` offences of one type; returns the result of the last
+  const offend = (ip, type = 'rateLimit', times = 3) => {
+    let result;
+    for (let i = 0; i < times; i++) {
+      result = stack.banPolicy.recordOffence(ip, type, 'GET /');
+    }
+    return result;
+  };
+
+  // Lift a ban by hand, keeping the IP's ban history
+  const unban = (ip) => stack.ipBlacklist.removeFromBlacklist(ip);
+
+  test('bans an IP once it reaches maxOffences within the window', () => {
+    expect(offend('198.51.100.1', 'rateLimit', 2)).toEqual({ banned: false });
+    expect(stack.banPolicy.recordOffence('198.51.100.1', 'rateLimit')).toEqual({ banned: true, durationMs: HOUR });
+
+    expect(stack.ipBlacklist.isBlacklisted('198.51.100.1')).toBe(true);
+    const entry = stack.ipBlacklist.getBlacklistEntry('198.51.100.1');
+    expect(entry.createdBy).toBe('ban-policy');
+    expect(entry.reason).toMatch(/3 rateLimit offences/);
+    expect(new Date(entry.expiresAt).getTime()).toBe(now + HOUR);
+  });
+
+  test('offences older than the window do not count', () => {
+    offend('198.51.100.1', 'rateLimit', 2);
+    now += 61 * 1000;
+    expect(offend('198.51.100.1', 'rateLimit', 2)).toEqual({ banned: false });
+  });
+
+  test('counts each offence type on its own', () => {
+    offend('198.51.100.1', 'rateLimit', 2);
+    expect(offend('198.51.100.1', 'wafBlock', 2)).toEqual({ banned: false });
+    expect(stack.ipBlacklist.isBlacklisted('198.51.100.1')).toBe(false);
+  });
+
+  test('each repeat ban doubles, up to maxBanMs', () => {
+    const durations = [];
+    for (let i = 0; i < 5; i++) {
+      durations.push(offend('198.51.100.1').durationMs);
+      unban('198.51.100.1');
+      now += HOUR;
+    }
+    expect(durations).toEqual([HOUR, 2 * HOUR, 4 * HOUR, 6 * HOUR, 6 * HOUR]);
+    expect(stack.banPolicy.getBanPolicyStats().repeatOffenders).toEqual([
+      expect.objectContaining({ ip: '198.51.100.1', automaticBans: 5 })
+    ]);
+  });
+
+  test('bans older than banHistoryMs no longer escalate', () => {
+    offend('198.51.100.1');
+    unban('198.51.100.1');
+    now += stack.banPolicy.config.banHistoryMs;
+    expect(offend('198.51.100.1').durationMs).toBe(HOUR);
+  });
+
+  test('resetOffences forgets the ban history', () => {
+    offend('198.51.100.1');
+    unban('198.51.100.1');
+    expect(stack.banPolicy.resetOffences('198.51.100.1')).toBe(true);
+    expect(offend('198.51.100.1').durationMs).toBe(HOUR);
+  });
+
+  test('never bans whitelisted IPs', () => {
+    expect(offend('192.0.2.200', 'rateLimit', 10)).toEqual({ banned: false });
+    expect(stack.ipBlacklist.isBlacklisted('192.0.2.200')).toBe(false);
+  });
+
+  test('ignores unknown offence types and a disabled policy', () => {
+    expect(offend('198.51.100.1', 'unknown', 10)).toEqual({ banned: false });
+    stack.banPolicy.configureBanPolicy({ enabled: false });
+    expect(offend('198.51.100.1', 'rateLimit', 10)).toEqual({ banned: false });
+  });
+});
+
+describe('ban escalation through the app', () => {
+  test('a client that keeps hitting the rate limit gets banned', async () => {
+    const { app, stack } = await createTestApp({
+      rateLimit: { global: { maxRequests: 2, windowMs: 60 * 1000 } },
+      banPolicy: { offences: { rateLimit: { maxOffences: 3 } } }
+    });
+    try {
+      const healthFrom = (ip) => request(app).get('/health').set('X-Forwarded-For', ip);
+      const statuses = [];
+      for (let i = 0; i < 6; i++) {
+        statuses.push((await healthFrom('198.51.100.9')).status);
+      }
+      expect(statuses).toEqual([200, 200, 429, 429, 429, 403]);
+      expect(stack.ipBlacklist.isBlacklisted('198.51.100.9')).toBe(true);
+
+      // Other clients are unaffected
+      expect((await healthFrom('198.51.100.10')).status).toBe(200);
+    } finally {
+      await stack.close();
+    }
+  });
+});
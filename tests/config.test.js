@@ -0,0 +1,236 @@
+// tests/config.test.js - Configuration loading, validation and hot reload
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const logger = require('../utils/logger');
+const { ConfigManager, ConfigError, buildConfig, CONFIG_DEFAULTS } = require('../utils/config');
+const { createTestApp } = require('./helpers');
+
+const SECRET = 'a'.repeat(40);
+
+describe('configuration', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write a config file and return its path
+  const writeConfig = (source, name = 'config.yml') => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, source);
+    return file;
+  };
+
+  // Catch the ConfigError thrown by buildConfig
+  const configError = (env) => {
+    try {
+      buildConfig(env);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('expected a ConfigError');
+  };
+
+  describe('buildConfig', () => {
+    test('uses the defaults without a config file', () => {
+      const { config, file } = buildConfig({});
+      expect(file).toBeNull();
+      expect(config.rateLimit.global).toEqual(CONFIG_DEFAULTS.rateLimit.global);
+      expect(Object.isFrozen(config.rateLimit.global)).toBe(true);
+    });
+
+    test('merges the config file over the defaults, and the environment over both', () => {
+      const file = writeConfig([
+        'rateLimit:',
+        '  global:',
+        '    maxRequests: 200',
+        '    algorithm: token-bucket',
+        'ipLists:',
+        '  blacklist:',
+        '    - 203.0.113.0/24',
+        ''
+      ].join('\n'));
+      const { config } = buildConfig({ CONFIG_FILE: file, RATE_LIMIT_MAX: '50', IP_WHITELIST_SEEDS: '10.0.0.0/8, 192.0.2.1' });
+
+      expect(config.rateLimit.global).toEqual(expect.objectContaining({ maxRequests: 50, algorithm: 'token-bucket', windowMs: 600000 }));
+      expect(config.ipLists).toEqual({ blacklist: ['203.0.113.0/24'], whitelist: ['10.0.0.0/8', '192.0.2.1'] });
+    });
+
+    test('reads JSON config files and ignores prototype keys in them', () => {
+      const file = writeConfig('{"server": {"port": 8080}, "__proto__": {"polluted": true}}', 'config.json');
+      const { config } = buildConfig({ CONFIG_FILE: file });
+      expect(config.server.port).toBe(8080);
+      expect({}.polluted).toBeUndefined();
+      expect(config.polluted).toBeUndefined();
+    });
+
+    test('lists every invalid setting', () => {
+      const file = writeConfig([
+        'server:',
+        '  port: 70000',
+        'rateLimit:',
+        '  global:',
+        '    algorithm: leaky-bucket',
+        'ipLists:',
+        '  blacklist: [not-an-ip]',
+        'cors:',
+        '  default:',
+        '    origins: [example.com]',
+        'logging: {}',
+        ''
+      ].join('\n'));
+      const error = configError({ CONFIG_FILE: file });
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.problems).toEqual([
+        'config.server.port must be <= 65535',
+        'config.rateLimit.global.algorithm must be one of "sliding-window", "fixed-window", "token-bucket"',
+        'config.ipLists.blacklist[0] must be a valid cidr',
+        'config.cors.default.origins[0] has invalid format',
+        'config.logging is not allowed'
+      ]);
+      expect(error.message).toContain('  - config.server.port must be <= 65535');
+    });
+
+    test('refuses invalid environment values and missing or unreadable files', () => {
+      expect(configError({ RATE_LIMIT_MAX: 'lots' }).problems).toEqual(['config.rateLimit.global.maxRequests must be integer']);
+      expect(configError({ CONFIG_FILE: path.join(dir, 'missing.yml') }).message).toMatch(/Config file not found/);
+      expect(configError({ CONFIG_FILE: writeConfig('{"server": ', 'broken.json') }).message).toMatch(/Cannot read config file/);
+      expect(configError({ CONFIG_FILE: writeConfig('- a\n- b\n') }).message).toMatch(/must contain a mapping of sections/);
+    });
+
+    test('refuses unsafe settings in production', () => {
+      const file = writeConfig('ipLists:\n  blacklist: [203.0.113.0/24]\n');
+      const production = { NODE_ENV: 'production', CONFIG_FILE: file, CORS_ORIGINS: 'https://app.example.com' };
+
+      const error = configError({ ...production, CORS_ORIGINS: 'http://localhost:3000', JWT_SECRET: 'short', ADMIN_API_KEY: 'admin-secret-key-2024' });
+      expect(error.problems).toEqual([
+        'ADMIN_API_KEY is a placeholder value from the examples',
+        'JWT_SECRET must be at least 32 characters',
+        'cors.default.origins allows development origins (http://localhost:3000)'
+      ]);
+
+      const { warnings } = buildConfig({ ...production, JWT_SECRET: SECRET });
+      expect(warnings).toEqual(['CSRF_SECRET is not set; tokens will not survive a restart or work across instances']);
+      expect(buildConfig({ ...production, JWT_SECRET: SECRET, CSRF_SECRET: SECRET }).warnings).toEqual([]);
+    });
+  });
+
+  describe('ConfigManager reload', () => {
+    let manager;
+
+    beforeEach(() => {
+      const file = writeConfig('rateLimit:\n  global:\n    maxRequests: 100\n');
+      manager = new ConfigManager({ CONFIG_FILE: file });
+      manager.load();
+    });
+
+    afterEach(() => {
+      manager.unwatch();
+      jest.restoreAllMocks();
+    });
+
+    test('reads values by dotted path', () => {
+      expect(manager.get('rateLimit.global.maxRequests')).toBe(100);
+      expect(manager.get('rateLimit.nothing.here')).toBeUndefined();
+      expect(manager.get().server.port).toBe(60005);
+    });
+
+    test('applies changed reloadable sections and tells their listeners', () => {
+      const rateLimitChanges = [];
+      const corsChanges = [];
+      manager.onChange('rateLimit', (next, previous) => rateLimitChanges.push([next.global.maxRequests, previous.global.maxRequests]));
+      manager.onChange('cors', (next) => corsChanges.push(next));
+
+      writeConfig('rateLimit:\n  global:\n    maxRequests: 5\n');
+      expect(manager.reload()).toBe(true);
+
+      expect(manager.get('rateLimit.global.maxRequests')).toBe(5);
+      expect(rateLimitChanges).toEqual([[5, 100]]);
+      expect(corsChanges).toEqual([]);
+    });
+
+    test('keeps the running values of sections that need a restart', () => {
+      const warn = jest.spyOn(logger, 'warn');
+      writeConfig('server:\n  port: 8080\nrateLimit:\n  global:\n    maxRequests: 5\n');
+      expect(manager.reload()).toBe(true);
+
+      expect(manager.get('server.port')).toBe(60005);
+      expect(manager.get('rateLimit.global.maxRequests')).toBe(5);
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/server changed but only apply after a restart/));
+    });
+
+    test('keeps the current configuration when the new one is invalid', () => {
+      const listener = jest.fn();
+      manager.onChange('rateLimit', listener);
+      const error = jest.spyOn(logger, 'error');
+
+      writeConfig('rateLimit:\n  global:\n    maxRequests: 0\n');
+      expect(manager.reload()).toBe(false);
+
+      expect(manager.get('rateLimit.global.maxRequests')).toBe(100);
+      expect(listener).not.toHaveBeenCalled();
+      expect(error).toHaveBeenCalledWith(expect.stringMatching(/rejected, keeping the current configuration:[\s\S]*must be >= 1/));
+    });
+
+    test('a failing listener does not stop the others', () => {
+      const after = jest.fn();
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+      manager.onChange('rateLimit', () => { throw new Error('bad policy'); });
+      manager.onChange('rateLimit', after);
+
+      writeConfig('rateLimit:\n  global:\n    maxRequests: 5\n');
+      expect(manager.reload()).toBe(true);
+      expect(after).toHaveBeenCalled();
+    });
+
+    test('only reloadable sections take listeners', () => {
+      expect(() => manager.onChange('server', () => {})).toThrow(/does not reload/);
+    });
+
+    test('reloads on SIGHUP while watching', () => {
+      manager.watch();
+      writeConfig('rateLimit:\n  global:\n    maxRequests: 7\n');
+      process.emit('SIGHUP');
+      expect(manager.get('rateLimit.global.maxRequests')).toBe(7);
+
+      manager.unwatch();
+      writeConfig('rateLimit:\n  global:\n    maxRequests: 8\n');
+      process.emit('SIGHUP');
+      expect(manager.get('rateLimit.global.maxRequests')).toBe(7);
+    });
+
+    test('a reload reaches the running security stack', async () => {
+      const { app, stack } = await createTestApp({ rateLimit: manager.get('rateLimit'), cors: manager.get('cors') });
+      try {
+        manager.onChange('rateLimit', rateLimit => stack.reconfigure({ rateLimit }));
+        manager.onChange('cors', cors => stack.reconfigure({ cors }));
+
+        writeConfig([
+          'rateLimit:',
+          '  global:',
+          '    maxRequests: 1',
+          'cors:',
+          '  default:',
+          '    origins: [https://new.example.com]',
+          ''
+        ].join('\n'));
+        expect(manager.reload()).toBe(true);
+
+        const healthFrom = (ip) => request(app).get('/health').set('X-Forwarded-For', ip).set('Origin', 'https://new.example.com');
+        const first = await healthFrom('198.51.100.1');
+        expect(first.status).toBe(200);
+        expect(first.headers['access-control-allow-origin']).toBe('https://new.example.com');
+        expect((await healthFrom('198.51.100.1')).status).toBe(429);
+      } finally {
+        await stack.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// tests/cors.test.js - CORS origin allowlists and per-route policies through the app
+const request = require('supertest');
+const { createCorsPolicy, compileCorsConfig } = require('../middleware/cors');
+const { createTestApp } = require('./helpers');
+
+const CORS = {
+  default: {
+    origins: ['https://app.example.com', 'https://*.example.com', 'http://localhost:*'],
+    credentials: true,
+    exposedHeaders: ['X-Request-Id']
+  },
+  routes: {
+    '/api/public': { origins: ['*'], credentials: false, methods: ['GET', 'HEAD'] },
+    '/api/admin': { origins: [] }
+  }
+};
+
+describe('CORS policy', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ cors: CORS }));
+  });
+
+  afterAll(() => stack.close());
+
+  const getFrom = (origin, path = '/health') => request(app).get(path).set('Origin', origin);
+
+  const preflight = (origin, path = '/api/submit', method = 'POST') => request(app)
+    .options(path)
+    .set('Origin', origin)
+    .set('Access-Control-Request-Method', method);
+
+  test('reflects an allowed origin with credentials and exposed headers', async () => {
+    const res = await getFrom('https://app.example.com');
+    expect(res.status).toBe(200);
+    expect(res.headers['access-control-allow-origin']).toBe('https://app.example.com');
+    expect(res.headers['access-control-allow-credentials']).toBe('true');
+    expect(res.headers['access-control-expose-headers']).toBe('X-Request-Id');
+    expect(res.headers.vary).toMatch(/Origin/);
+  });
+
+  test.each([
+    ['a subdomain', 'https://api.example.com'],
+    ['a nested subdomain', 'https://a.b.example.com'],
+    ['any port on localhost', 'http://localhost:5173'],
+    ['localhost without a port', 'http://localhost'],
+    ['an origin in upper case', 'HTTPS://APP.EXAMPLE.COM']
+  ])('allows %s', async (description, origin) => {
+    const res = await getFrom(origin);
+    expect(res.headers['access-control-allow-origin']).toBe(origin.toLowerCase());
+  });
+
+  test.each([
+    ['the bare domain of a wildcard', 'https://example.com'],
+    ['a look-alike domain', 'https://evil-example.com'],
+    ['a domain that only starts like an allowed one', 'https://app.example.com.evil.net'],
+    ['the wrong scheme', 'http://app.example.com'],
+    ['an extra port', 'https://app.example.com:8443'],
+    ['a null origin', 'null']
+  ])('refuses %s', async (description, origin) => {
+    const res = await getFrom(origin);
+    // Simple requests still run; without the header the browser withholds the response
+    expect(res.status).toBe(200);
+    expect(res.headers['access-control-allow-origin']).toBeUndefined();
+
+    const pre = await preflight(origin);
+    expect(pre.status).toBe(403);
+  });
+
+  test('answers an allowed preflight with the policy', async () => {
+    const res = await preflight('https://app.example.com');
+    expect(res.status).toBe(204);
+    expect(res.headers['access-control-allow-methods']).toBe('GET, HEAD, POST, PUT, PATCH, DELETE');
+    expect(res.headers['access-control-allow-headers']).toBe('Content-Type, Authorization, X-CSRF-Token, X-Request-Id');
+    expect(res.headers['access-control-max-age']).toBe('600');
+  });
+
+  test('a route policy overrides the default field by field', async () => {
+    const res = await getFrom('https://anywhere.test', '/api/public');
+    expect(res.headers['access-control-allow-origin']).toBe('*');
+    expect(res.headers['access-control-allow-credentials']).toBeUndefined();
+
+    const pre = await preflight('https://anywhere.test', '/api/public/info', 'GET');
+    expect(pre.status).toBe(204);
+    expect(pre.headers['access-control-allow-methods']).toBe('GET, HEAD');
+    expect(pre.headers['access-control-max-age']).toBe('600');
+  });
+
+  test('route policies apply however the path is written', async () => {
+    for (const path of ['/api/admin/stats', '/API/Admin/stats', '//api/admin//stats', '/api/admin/']) {
+      expect((await preflight('https://app.example.com', path, 'GET')).status).toBe(403);
+    }
+    // A sibling path is not under the prefix
+    expect((await preflight('https://app.example.com', '/api/administrator', 'GET')).status).toBe(204);
+  });
+
+  test('same-origin requests and requests without Origin get no CORS headers', async () => {
+    const sameOrigin = await request(app).get('/health').set('Host', 'api.test').set('Origin', 'https://api.test');
+    expect(sameOrigin.headers['access-control-allow-origin']).toBeUndefined();
+    const noOrigin = await request(app).get('/health');
+    expect(noOrigin.headers['access-control-allow-origin']).toBeUndefined();
+  });
+
+  test('update swaps the policy document, and keeps it when the new one is invalid', async () => {
+    const cors = createCorsPolicy({ default: { origins: ['https://a.test'] } });
+    expect(cors.policyFor('/x').origins).toEqual(['https://a.test']);
+
+    cors.update({ default: { origins: ['https://b.test'] } });
+    expect(cors.policyFor('/x').origins).toEqual(['https://b.test']);
+
+    expect(() => cors.update({ default: { origins: ['b.test'] } })).toThrow(/Invalid CORS origin/);
+    expect(cors.policyFor('/x').origins).toEqual(['https://b.test']);
+  });
+});
+
+describe('CORS policy documents', () => {
+  test.each([
+    ['"*" with credentials', { default: { origins: ['*'], credentials: true } }, /"\*" cannot be combined with credentials/],
+    ['"*" inherited into a route with credentials', { default: { origins: ['*'] }, routes: { '/api': { credentials: true } } }, /CORS policy \/api/],
+    ['an unknown field', { default: { origin: ['https://a.test'] } }, /unsupported field origin/],
+    ['origins that are not a list', { default: { origins: 'https://a.test' } }, /origins must be an array/],
+    ['an origin with a path', { default: { origins: ['https://a.test/app'] } }, /Invalid CORS origin/]
+  ])('refuses %s', (description, config, message) => {
+    expect(() => compileCorsConfig(config)).toThrow(message);
+  });
+
+  test('allows no cross-origin requests by default', () => {
+    expect(compileCorsConfig().defaultPolicy.matchers).toEqual([]);
+  });
+});
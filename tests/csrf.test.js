@@ -0,0 +1,180 @@
+// tests/csrf.test.js - CSRF tokens on /api/submit (double-submit and synchronizer modes)
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+// Fetch a token with an agent, so its cookie is sent back with later requests
+const fetchToken = async (agent, headers = {}) => {
+  const res = await agent.get('/api/csrf-token').set(headers);
+  expect(res.status).toBe(200);
+  return res.body.data.csrfToken;
+};
+
+describe('double-submit CSRF', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ csrf: { trustedOrigins: ['https://app.example.com'] } }));
+  });
+
+  afterAll(() => stack.close());
+
+  test('accepts the token in a header together with its cookie', async () => {
+    const agent = request.agent(app);
+    const token = await fetchToken(agent);
+    const res = await agent.post('/api/submit').set('X-CSRF-Token', token).send({ note: 'hello' });
+    expect(res.status).toBe(200);
+  });
+
+  test('accepts the token as _csrf in the body', async () => {
+    const agent = request.agent(app);
+    const token = await fetchToken(agent);
+    const res = await agent.post('/api/submit').send({ _csrf: token, note: 'hello' });
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects a request without a token', async () => {
+    const agent = request.agent(app);
+    await fetchToken(agent);
+    const res = await agent.post('/api/submit').send({ note: 'hello' });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects a token without its cookie', async () => {
+    const token = await fetchToken(request.agent(app));
+    const res = await request(app).post('/api/submit').set('X-CSRF-Token', token).send({ note: 'hello' });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects a forged token that matches its forged cookie', async () => {
+    const forged = `${'A'.repeat(24)}.${Date.now().toString(36)}.${'B'.repeat(43)}`;
+    const res = await request(app)
+      .post('/api/submit')
+      .set('Cookie', `_csrf=${forged}`)
+      .set('X-CSRF-Token', forged)
+      .send({ note: 'hello' });
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects an untrusted Origin even with a valid token', async () => {
+    const agent = request.agent(app);
+    const token = await fetchToken(agent);
+    const res = await agent.post('/api/submit').set('Origin', 'https://evil.example').set('X-CSRF-Token', token).send({});
+    expect(res.status).toBe(403);
+  });
+
+  test('accepts a trusted Origin', async () => {
+    const agent = request.agent(app);
+    const token = await fetchToken(agent);
+    const res = await agent.post('/api/submit').set('Origin', 'https://app.example.com').set('X-CSRF-Token', token).send({});
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('CSRF tokens bound to a session', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ csrf: { sessionKey: req => req.get('X-Session-Id') } }));
+  });
+
+  afterAll(() => stack.close());
+
+  test('a token only works for the session it was issued to', async () => {
+    // The attacker fetches a token for their own session and plants it with its cookie
+    const agent = request.agent(app);
+    const token = await fetchToken(agent, { 'X-Session-Id': 'attacker' });
+
+    const planted = await agent.post('/api/submit').set('X-Session-Id', 'victim').set('X-CSRF-Token', token).send({});
+    expect(planted.status).toBe(403);
+
+    const own = await agent.post('/api/submit').set('X-Session-Id', 'attacker').set('X-CSRF-Token', token).send({});
+    expect(own.status).toBe(200);
+  });
+});
+
+describe('synchronizer CSRF', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ csrf: { mode: 'synchronizer', maxSessions: 2 } }));
+  });
+
+  afterAll(() => stack.close());
+
+  test('accepts the token stored for the browser session', async () => {
+    const agent = request.agent(app);
+    const token = await fetchToken(agent);
+    const res = await agent.post('/api/submit').set('X-CSRF-Token', token).send({});
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects a token from another browser session', async () => {
+    const token = await fetchToken(request.agent(app));
+    const other = request.agent(app);
+    await fetchToken(other);
+    const res = await other.post('/api/submit').set('X-CSRF-Token', token).send({});
+    expect(res.status).toBe(403);
+  });
+
+  test('keeps at most maxSessions tokens, dropping the least recently used', async () => {
+    const agents = [request.agent(app), request.agent(app), request.agent(app)];
+    const tokens = [];
+    for (const agent of agents) {
+      tokens.push(await fetchToken(agent));
+    }
+
+    const oldest = await agents[0].post('/api/submit').set('X-CSRF-Token', tokens[0]).send({});
+    expect(oldest.status).toBe(403);
+    const newest = await agents[2].post('/api/submit').set('X-CSRF-Token', tokens[2]).send({});
+    expect(newest.status).toBe(200);
+  });
+
+  test('using a token keeps it from being dropped', async () => {
+    const agents = [request.agent(app), request.agent(app), request.agent(app)];
+    const first = await fetchToken(agents[0]);
+    const second = await fetchToken(agents[1]);
+    expect((await agents[0].post('/api/submit').set('X-CSRF-Token', first).send({})).status).toBe(200);
+    await fetchToken(agents[2]);
+
+    expect((await agents[0].post('/api/submit').set('X-CSRF-Token', first).send({})).status).toBe(200);
+    expect((await agents[1].post('/api/submit').set('X-CSRF-Token', second).send({})).status).toBe(403);
+  });
+});
+
+describe('synchronizer CSRF session cap per client', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ csrf: { mode: 'synchronizer', maxSessions: 4, maxSessionsPerClient: 2 } }));
+  });
+
+  afterAll(() => stack.close());
+
+  test('a client opening many sessions only pushes out its own tokens', async () => {
+    const user = request.agent(app);
+    const userIp = { 'X-Forwarded-For': '192.0.2.10' };
+    const token = await fetchToken(user, userIp);
+
+    const attackerIp = { 'X-Forwarded-For': '203.0.113.66' };
+    const attackerAgents = [];
+    const attackerTokens = [];
+    for (let i = 0; i < 10; i++) {
+      const agent = request.agent(app);
+      attackerAgents.push(agent);
+      attackerTokens.push(await fetchToken(agent, attackerIp));
+    }
+
+    const res = await user.post('/api/submit').set(userIp).set('X-CSRF-Token', token).send({});
+    expect(res.status).toBe(200);
+
+    // The attacker keeps only its latest maxSessionsPerClient tokens
+    const oldest = await attackerAgents[0].post('/api/submit').set(attackerIp).set('X-CSRF-Token', attackerTokens[0]).send({});
+    expect(oldest.status).toBe(403);
+    const latest = await attackerAgents[9].post('/api/submit').set(attackerIp).set('X-CSRF-Token', attackerTokens[9]).send({});
+    expect(latest.status).toBe(200);
+  });
+});
@@ -0,0 +1,21 @@
+// tests/helpers.js - App and stack factories shared by the test suites
+const createApp = require('../app');
+const { createSecurityStack } = require('../securityStack');
+
+const JWT_SECRET = 'test-jwt-secret-0123456789abcdef0123456789';
+
+/**
+ * App behind a fresh in-memory stack; close the returned stack in afterAll
+ * @param {object} [options] - createSecurityStack options (auth defaults to the HS256 test secret)
+ * @returns {Promise<{ app: express.Application, stack: object }>}
+ */
+const createTestApp = async (options = {}) => {
+  const stack = createSecurityStack({ auth: { secret: JWT_SECRET }, ...options });
+  await stack.init();
+  return { app: createApp({ stack }), stack };
+};
+
+module.exports = {
+  JWT_SECRET,
+  createTestApp
+};
@@ -0,0 +1,71 @@
+// tests/ipBlacklist.test.js - Blacklist and whitelist matching (addresses and CIDR ranges)
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+describe('IP blacklist', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({
+      ipLists: {
+        blacklist: ['203.0.113.0/24', '198.51.100.7', '2001:db8:bad::/48'],
+        whitelist: ['203.0.113.10']
+      }
+    }));
+  });
+
+  afterAll(() => stack.close());
+
+  const healthFrom = (ip) => request(app).get('/health').set('X-Forwarded-For', ip);
+
+  test.each([
+    ['an address inside a blacklisted IPv4 range', '203.0.113.55'],
+    ['the first address of the range', '203.0.113.0'],
+    ['the last address of the range', '203.0.113.255'],
+    ['a single blacklisted address', '198.51.100.7'],
+    ['an address inside a blacklisted IPv6 range', '2001:db8:bad:1::25'],
+    ['the same IPv6 address written differently', '2001:0db8:0bad:0001:0000:0000:0000:0025'],
+    ['an IPv4-mapped IPv6 address inside an IPv4 range', '::ffff:203.0.113.77']
+  ])('blocks %s', async (description, ip) => {
+    const res = await healthFrom(ip);
+    expect(res.status).toBe(403);
+  });
+
+  test.each([
+    ['an address just outside the IPv4 range', '203.0.114.1'],
+    ['a neighbour of the single address', '198.51.100.8'],
+    ['an address just outside the IPv6 range', '2001:db8:bae::1'],
+    ['a whitelisted address inside a blacklisted range', '203.0.113.10']
+  ])('lets through %s', async (description, ip) => {
+    const res = await healthFrom(ip);
+    expect(res.status).toBe(200);
+  });
+
+  test('ranges added at runtime apply at once and can be removed', async () => {
+    stack.ipBlacklist.addToBlacklist('192.0.2.0/25');
+    expect((await healthFrom('192.0.2.100')).status).toBe(403);
+    expect((await healthFrom('192.0.2.200')).status).toBe(200);
+
+    stack.ipBlacklist.removeFromBlacklist('192.0.2.0/25');
+    expect((await healthFrom('192.0.2.100')).status).toBe(200);
+  });
+
+  test('a temporary ban ends when it expires', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      stack.ipBlacklist.addToBlacklist('192.0.2.250', { durationMs: 1000 });
+      expect((await healthFrom('192.0.2.250')).status).toBe(403);
+      clock.mockReturnValue(now + 1001);
+      expect((await healthFrom('192.0.2.250')).status).toBe(200);
+    } finally {
+      clock.mockRestore();
+    }
+  });
+
+  test('refuses malformed ranges', () => {
+    expect(() => stack.ipBlacklist.addToBlacklist('203.0.113.0/33')).toThrow();
+    expect(() => stack.ipBlacklist.addToBlacklist('not-an-ip')).toThrow();
+  });
+});
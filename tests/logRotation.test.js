@@ -0,0 +1,100 @@
+// tests/logRotation.test.js - FileTransport rotation, compression and retention
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { FileTransport } = require('../utils/logTransports');
+
+const record = (message) => ({ timestamp: new Date().toISOString(), level: 'info', message });
+
+// Archive names in the directory, sorted
+const archives = (dir) => fs.readdirSync(dir).filter(file => file !== 'app.log').sort();
+
+describe('FileTransport rotation', () => {
+  let dir;
+  let filename;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-rotation-'));
+    filename = path.join(dir, 'app.log');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Log one line and write it out at once
+  const write = async (transport, message) => {
+    transport.log(record(message));
+    await transport.flush();
+  };
+
+  test('rotates before a write would pass maxSizeBytes', async () => {
+    const transport = new FileTransport({ filename, maxSizeBytes: 100 });
+    await write(transport, 'a'.repeat(50));
+    await write(transport, 'b'.repeat(50));
+    await transport.close();
+
+    const day = new Date().toISOString().slice(0, 10);
+    expect(archives(dir)).toEqual([`app.${day}.1.log`]);
+    expect(fs.readFileSync(path.join(dir, `app.${day}.1.log`), 'utf8')).toContain('a'.repeat(50));
+    expect(fs.readFileSync(filename, 'utf8')).toContain('b'.repeat(50));
+    expect(fs.readFileSync(filename, 'utf8')).not.toContain('a'.repeat(50));
+  });
+
+  test('numbers archives of the same day one after another', async () => {
+    const transport = new FileTransport({ filename, maxSizeBytes: 60 });
+    for (const letter of ['a', 'b', 'c', 'd']) {
+      await write(transport, letter.repeat(30));
+    }
+    await transport.close();
+
+    const day = new Date().toISOString().slice(0, 10);
+    expect(archives(dir)).toEqual([`app.${day}.1.log`, `app.${day}.2.log`, `app.${day}.3.log`]);
+  });
+
+  test('rotates on the first write of a new UTC day', async () => {
+    const transport = new FileTransport({ filename, rotateDaily: true });
+    await write(transport, 'yesterday');
+    transport.day = '2000-01-01';
+    await write(transport, 'today');
+    await transport.close();
+
+    expect(archives(dir)).toEqual(['app.2000-01-01.1.log']);
+    expect(fs.readFileSync(filename, 'utf8')).toContain('today');
+  });
+
+  test('gzips archives when compress is set', async () => {
+    const transport = new FileTransport({ filename, maxSizeBytes: 60, compress: true });
+    await write(transport, 'a'.repeat(40));
+    await write(transport, 'b'.repeat(40));
+    await transport.close();
+
+    const [archive] = archives(dir);
+    expect(archive).toMatch(/^app\.\d{4}-\d{2}-\d{2}\.1\.log\.gz$/);
+    expect(zlib.gunzipSync(fs.readFileSync(path.join(dir, archive))).toString()).toContain('a'.repeat(40));
+  });
+
+  test('keeps at most maxFiles archives, dropping the oldest', async () => {
+    const transport = new FileTransport({ filename, maxSizeBytes: 60, maxFiles: 2 });
+    for (const letter of ['a', 'b', 'c', 'd', 'e']) {
+      await write(transport, letter.repeat(30));
+    }
+    await transport.close();
+
+    const day = new Date().toISOString().slice(0, 10);
+    expect(archives(dir)).toEqual([`app.${day}.3.log`, `app.${day}.4.log`]);
+  });
+
+  test('deletes archives older than retentionDays', async () => {
+    fs.writeFileSync(path.join(dir, 'app.2000-01-01.1.log.gz'), '');
+    fs.writeFileSync(path.join(dir, 'other.2000-01-01.1.log'), '');
+    const transport = new FileTransport({ filename, maxSizeBytes: 60, retentionDays: 7 });
+    await write(transport, 'a'.repeat(40));
+    await write(transport, 'b'.repeat(40));
+    await transport.close();
+
+    const day = new Date().toISOString().slice(0, 10);
+    expect(archives(dir)).toEqual([`app.${day}.1.log`, 'other.2000-01-01.1.log']);
+  });
+});
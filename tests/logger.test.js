@@ -0,0 +1,277 @@
+// tests/logger.test.js - Structured logger, formatters and transports
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Logger, createLoggerFromEnv } = require('../utils/logger');
+const { formatters, Transport, ConsoleTransport, FileTransport, SyslogTransport } = require('../utils/logTransports');
+const { runWithContext } = require('../utils/requestContext');
+
+// Keeps records in memory
+class MemoryTransport extends Transport {
+  constructor(options) {
+    super(options);
+    this.records = [];
+  }
+
+  log(record) {
+    this.records.push(record);
+  }
+}
+
+const record = (fields = {}) => ({ timestamp: '2024-01-15T10:00:00.000Z', level: 'info', message: 'hello', ...fields });
+
+describe('Logger', () => {
+  let transport;
+  let logger;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    logger = new Logger({ level: 'info', transports: [transport] });
+  });
+
+  test('builds one record per call with timestamp, level and message', () => {
+    logger.info('Started', { port: 3000 });
+    expect(transport.records).toEqual([{
+      timestamp: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+      level: 'info',
+      message: 'Started',
+      port: 3000
+    }]);
+  });
+
+  test('skips levels less severe than its own', () => {
+    logger.debug('hidden');
+    logger.warn('shown');
+    logger.setLevel('debug');
+    logger.debug('shown too');
+    expect(transport.records.map(entry => entry.message)).toEqual(['shown', 'shown too']);
+    expect(() => logger.setLevel('verbose')).toThrow(/Unknown log level/);
+  });
+
+  test('each transport only takes its own levels', () => {
+    const errors = new MemoryTransport({ level: 'error' });
+    logger.addTransport(errors);
+    logger.warn('warning');
+    logger.error('failure');
+    expect(errors.records.map(entry => entry.message)).toEqual(['failure']);
+    expect(transport.records).toHaveLength(2);
+  });
+
+  test('expands errors and keeps other meta values under meta', () => {
+    const error = Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+    logger.error('Write failed', error);
+    logger.error('Write failed', { cause: error, file: 'a.log' });
+    logger.info('Count', 42);
+
+    expect(transport.records[0].error).toEqual(expect.objectContaining({ name: 'Error', message: 'disk full', code: 'ENOSPC' }));
+    expect(transport.records[1]).toEqual(expect.objectContaining({
+      file: 'a.log',
+      cause: expect.objectContaining({ message: 'disk full', stack: expect.any(String) })
+    }));
+    expect(transport.records[2].meta).toBe(42);
+  });
+
+  test('meta never overwrites timestamp, level or message', () => {
+    logger.info('real', { message: 'fake', level: 'error' });
+    expect(transport.records[0]).toEqual(expect.objectContaining({ message: 'real', level: 'info' }));
+  });
+
+  test('children add their bindings and share the root level and transports', () => {
+    const child = logger.child({ component: 'banPolicy' });
+    const grandchild = child.child({ ip: '192.0.2.1' });
+    grandchild.info('Banned');
+    logger.setLevel('warn');
+    child.info('hidden');
+
+    expect(transport.records).toEqual([expect.objectContaining({ message: 'Banned', component: 'banPolicy', ip: '192.0.2.1' })]);
+  });
+
+  test('adds the request context inside a request', () => {
+    runWithContext({ requestId: 'req-1' }, () => logger.info('In request'));
+    logger.info('Outside');
+    expect(transport.records[0].requestId).toBe('req-1');
+    expect(transport.records[1]).not.toHaveProperty('requestId');
+  });
+
+  test('a failing transport does not stop the others', () => {
+    const broken = new MemoryTransport();
+    broken.log = () => { throw new Error('socket closed'); };
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      const both = new Logger({ transports: [broken, transport] });
+      both.info('Still logged');
+      expect(transport.records).toHaveLength(1);
+      expect(stderr).toHaveBeenCalledWith('Log transport failed: socket closed\n');
+    } finally {
+      stderr.mockRestore();
+    }
+  });
+});
+
+describe('formatters', () => {
+  test('json writes the whole record on one line', () => {
+    expect(JSON.parse(formatters.json(record({ ip: '192.0.2.1' })))).toEqual(record({ ip: '192.0.2.1' }));
+  });
+
+  test('text puts extra fields after the message', () => {
+    expect(formatters.text(record({ ip: '192.0.2.1' }))).toBe('[2024-01-15T10:00:00.000Z] INFO: hello | {"ip":"192.0.2.1"}');
+    expect(formatters.text(record())).toBe('[2024-01-15T10:00:00.000Z] INFO: hello');
+  });
+
+  test('pretty starts with a level icon', () => {
+    expect(formatters.pretty(record({ level: 'error' }))).toBe('❌ hello');
+  });
+
+  test('never throw on circular references or BigInt', () => {
+    const circular = { name: 'a' };
+    circular.self = circular;
+    expect(JSON.parse(formatters.json(record({ circular, big: BigInt(10) })))).toEqual(expect.objectContaining({
+      circular: { name: 'a', self: '[Circular]' },
+      big: '10'
+    }));
+  });
+
+  test('unknown formats and levels are refused', () => {
+    expect(() => new MemoryTransport({ format: 'xml' })).toThrow(/Unknown log format/);
+    expect(() => new MemoryTransport({ level: 'trace' })).toThrow(/Unknown log level/);
+  });
+});
+
+describe('ConsoleTransport', () => {
+  test('writes warnings and errors to stderr, the rest to stdout', () => {
+    const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      const transport = new ConsoleTransport({ format: 'json' });
+      transport.log(record({ message: 'info line' }));
+      transport.log(record({ level: 'warn', message: 'warn line' }));
+      expect(stdout).toHaveBeenCalledWith(expect.stringContaining('"info line"'));
+      expect(stderr).toHaveBeenCalledWith(expect.stringContaining('"warn line"'));
+      expect(stdout).not.toHaveBeenCalledWith(expect.stringContaining('warn line'));
+    } finally {
+      stdout.mockRestore();
+      stderr.mockRestore();
+    }
+  });
+});
+
+describe('FileTransport', () => {
+  let dir;
+  let filename;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-file-'));
+    filename = path.join(dir, 'nested', 'app.log');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('buffers lines and appends them on flush, creating the directory', async () => {
+    const transport = new FileTransport({ filename, format: 'json' });
+    transport.log(record({ message: 'one' }));
+    transport.log(record({ message: 'two' }));
+    expect(fs.existsSync(filename)).toBe(false);
+
+    await transport.close();
+    const lines = fs.readFileSync(filename, 'utf8').trim().split('\n').map(line => JSON.parse(line).message);
+    expect(lines).toEqual(['one', 'two']);
+  });
+
+  test('drops lines instead of buffering past maxBufferBytes', async () => {
+    const transport = new FileTransport({ filename, maxBufferBytes: 100 });
+    for (let i = 0; i < 5; i++) {
+      transport.log(record({ message: 'x'.repeat(30) }));
+    }
+    expect(transport.dropped).toBe(4);
+
+    await transport.close();
+    const lines = fs.readFileSync(filename, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(/WARN: Log buffer full, dropped 4 lines$/);
+  });
+
+  test('flushes on its own after flushIntervalMs', async () => {
+    const transport = new FileTransport({ filename, flushIntervalMs: 10 });
+    transport.log(record());
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.readFileSync(filename, 'utf8')).toContain('INFO: hello');
+    await transport.close();
+  });
+});
+
+describe('SyslogTransport', () => {
+  // RFC 5424 header: <priority>1 timestamp host app pid - - json
+  const HEADER = /^<(\d+)>1 2024-01-15T10:00:00\.000Z \S+ security-middleware-app \d+ - - (\{.*\})$/;
+
+  test('sends one UDP datagram per record', async () => {
+    const server = dgram.createSocket('udp4');
+    await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+    const received = new Promise(resolve => server.once('message', message => resolve(message.toString())));
+
+    const transport = new SyslogTransport({ host: '127.0.0.1', port: server.address().port });
+    try {
+      transport.log(record({ level: 'warn', ip: '192.0.2.1' }));
+      const [, priority, json] = (await received).match(HEADER);
+      expect(Number(priority)).toBe(16 * 8 + 4); // local0.warning
+      expect(JSON.parse(json)).toEqual(record({ level: 'warn', ip: '192.0.2.1' }));
+    } finally {
+      await transport.close();
+      server.close();
+    }
+  });
+
+  test('frames messages with their length on a Unix socket', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'syslog-'));
+    const socketPath = path.join(dir, 'log.sock');
+    let data = '';
+    const server = net.createServer(socket => socket.on('data', chunk => { data += chunk; }));
+    await new Promise(resolve => server.listen(socketPath, resolve));
+
+    const transport = new SyslogTransport({ path: socketPath });
+    try {
+      transport.log(record({ message: 'first' }));
+      transport.log(record({ level: 'error', message: 'second' }));
+      await transport.close();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      // "<length> <message>" back to back, no separator
+      const frames = [];
+      let rest = data;
+      while (rest.length > 0) {
+        const space = rest.indexOf(' ');
+        const length = Number(rest.slice(0, space));
+        frames.push(rest.slice(space + 1, space + 1 + length));
+        rest = rest.slice(space + 1 + length);
+      }
+      expect(frames).toHaveLength(2);
+      expect(frames.map(frame => Number(frame.match(HEADER)[1]))).toEqual([16 * 8 + 6, 16 * 8 + 3]);
+      expect(JSON.parse(frames[1].match(HEADER)[2]).message).toBe('second');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createLoggerFromEnv', () => {
+  test('picks transports and level from the environment', () => {
+    const logger = createLoggerFromEnv({ LOG_TRANSPORTS: 'console, file', LOG_LEVEL: 'warn', LOG_DIR: os.tmpdir() });
+    expect(logger.level).toBe('warn');
+    expect(logger.transports.map(transport => transport.constructor.name)).toEqual(['ConsoleTransport', 'FileTransport', 'FileTransport']);
+    expect(logger.transports[2].level).toBe('error');
+  });
+
+  test('defaults to debug in development and info elsewhere', () => {
+    expect(createLoggerFromEnv({ LOG_TRANSPORTS: 'console', NODE_ENV: 'development' }).level).toBe('debug');
+    expect(createLoggerFromEnv({ LOG_TRANSPORTS: 'console' }).level).toBe('info');
+  });
+
+  test('refuses unknown transports and sizes', () => {
+    expect(() => createLoggerFromEnv({ LOG_TRANSPORTS: 'carrier-pigeon' })).toThrow(/Unknown log transport/);
+    expect(() => createLoggerFromEnv({ LOG_TRANSPORTS: 'console', LOG_MAX_SIZE: 'ten megs' })).toThrow(/Invalid size/);
+  });
+});
@@ -0,0 +1,138 @@
+// tests/metrics.test.js - Prometheus text exposition and the /metrics endpoint
+const request = require('supertest');
+const { sign } = require('../utils/jwt');
+const metrics = require('../utils/metrics');
+const createMetricsRouter = require('../routes/metrics');
+const { JWT_SECRET, createTestApp } = require('./helpers');
+
+const { Registry, CONTENT_TYPE } = metrics;
+
+describe('metrics registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  test('renders counters with HELP and TYPE lines', async () => {
+    const blocked = registry.counter({ name: 'blocked_total', help: 'Blocked requests', labelNames: ['reason'] });
+    blocked.inc({ reason: 'blacklist' });
+    blocked.inc({ reason: 'blacklist' }, 2);
+    blocked.inc({ reason: 'waf' });
+
+    expect(await registry.render()).toBe([
+      '# HELP blocked_total Blocked requests',
+      '# TYPE blocked_total counter',
+      'blocked_total{reason="blacklist"} 3',
+      'blocked_total{reason="waf"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('escapes label values and help text', async () => {
+    const counter = registry.counter({ name: 'paths_total', help: 'Line one\nline two \\', labelNames: ['path'] });
+    counter.inc({ path: 'a"b\\c\nd' });
+    const text = await registry.render();
+    expect(text).toContain('# HELP paths_total Line one\\nline two \\\\');
+    expect(text).toContain('paths_total{path="a\\"b\\\\c\\nd"} 1');
+  });
+
+  test('renders histograms as cumulative buckets with sum and count', async () => {
+    const latency = registry.histogram({ name: 'latency_seconds', labelNames: ['route'], buckets: [0.5, 0.1, 1] });
+    [0.05, 0.2, 0.2, 3].forEach(value => latency.observe({ route: '/health' }, value));
+
+    const text = await registry.render();
+    expect(text).toContain([
+      'latency_seconds_bucket{route="/health",le="0.1"} 1',
+      'latency_seconds_bucket{route="/health",le="0.5"} 3',
+      'latency_seconds_bucket{route="/health",le="1"} 3',
+      'latency_seconds_bucket{route="/health",le="+Inf"} 4',
+      'latency_seconds_sum{route="/health"} 3.45',
+      'latency_seconds_count{route="/health"} 4'
+    ].join('\n'));
+  });
+
+  test('gauges go up and down and can be collected at scrape time', async () => {
+    const inFlight = registry.gauge({ name: 'in_flight' });
+    inFlight.inc();
+    inFlight.inc();
+    inFlight.dec();
+    let entries = 5;
+    registry.gauge({ name: 'entries', labelNames: ['list'], collect: (gauge) => gauge.set({ list: 'blacklist' }, entries) });
+
+    expect(await registry.render()).toContain('in_flight 1\n');
+    entries = 7;
+    expect(await registry.render()).toContain('entries{list="blacklist"} 7\n');
+  });
+
+  test('a failing collector only leaves its own gauge stale', async () => {
+    registry.gauge({ name: 'broken', collect: () => { throw new Error('store\ndown'); } });
+    registry.counter({ name: 'fine_total' }).inc();
+    const text = await registry.render();
+    expect(text).toContain('# Collecting broken failed: store down\n');
+    expect(text).toContain('fine_total 1\n');
+  });
+
+  test('refuses invalid names, labels and decrements', () => {
+    expect(() => registry.counter({ name: 'bad-name' })).toThrow(/Invalid metric name/);
+    expect(() => registry.histogram({ name: 'h', labelNames: ['le'] })).toThrow(/Invalid label name/);
+
+    const counter = registry.counter({ name: 'c_total', labelNames: ['a'] });
+    expect(() => registry.counter({ name: 'c_total' })).toThrow(/already registered/);
+    expect(() => counter.inc({ a: 1 }, -1)).toThrow(/can only increase/);
+    expect(() => counter.inc({ b: 1 })).toThrow(/Unknown label/);
+    expect(() => counter.inc({})).toThrow(/Missing label/);
+  });
+});
+
+describe('/metrics', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    process.env.METRICS_ALLOWED_IPS = '192.0.2.0/24';
+    try {
+      ({ app, stack } = await createTestApp({ ipLists: { blacklist: ['198.51.100.66'] } }));
+    } finally {
+      delete process.env.METRICS_ALLOWED_IPS;
+    }
+  });
+
+  afterAll(() => stack.close());
+
+  const scrape = (token) => {
+    const req = request(app).get('/metrics').set('X-Forwarded-For', '203.0.113.1');
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  const token = (claims) => sign({ sub: 'prometheus', ...claims }, JWT_SECRET, { expiresIn: 300 });
+
+  test('needs credentials with metrics:read', async () => {
+    expect((await scrape()).status).toBe(401);
+    expect((await scrape(token({ scope: 'stats:read' }))).status).toBe(403);
+    expect((await scrape(token({ scope: 'metrics:read' }))).status).toBe(200);
+  });
+
+  test('lets allowlisted scrapers in without credentials', async () => {
+    const res = await request(app).get('/metrics').set('X-Forwarded-For', '192.0.2.44');
+    expect(res.status).toBe(200);
+  });
+
+  test('serves the security metrics in Prometheus text format', async () => {
+    await request(app).get('/health').set('X-Forwarded-For', '198.51.100.66');
+    await request(app).get('/health').set('X-Forwarded-For', '203.0.113.2');
+
+    const res = await scrape(token({ roles: ['viewer'] }));
+    // Express moves charset to the front
+    expect(res.headers['content-type'].split('; ').sort()).toEqual(CONTENT_TYPE.split('; ').sort());
+    expect(res.text).toMatch(/^security_blacklist_blocked_requests_total 1$/m);
+    expect(res.text).toMatch(/^security_auth_failures_total\{reason="missing_credentials"\} \d+$/m);
+    expect(res.text).toMatch(/^http_request_duration_seconds_count\{method="GET",route="\/health",status="200"\} 1$/m);
+    expect(res.text).toMatch(/^http_request_duration_seconds_count\{method="GET",route="unmatched",status="403"\} 1$/m);
+    expect(res.text).toMatch(/^security_ip_list_entries\{list="blacklist"\} 1$/m);
+  });
+
+  test('refuses an invalid allowlist entry', () => {
+    expect(() => createMetricsRouter({ auth: stack.auth, allowedIPs: 'loopback,not-an-ip' })).toThrow(/Invalid METRICS_ALLOWED_IPS entry: not-an-ip/);
+  });
+});
@@ -0,0 +1,122 @@
+// tests/rateLimiter.test.js - Global and contact form limits through the app
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+const CONTACT = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'A message that is long enough.' };
+
+describe('global rate limit', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({
+      rateLimit: { global: { maxRequests: 3, windowMs: 60 * 1000 } },
+      banPolicy: { enabled: false }
+    }));
+  });
+
+  afterAll(() => stack.close());
+
+  const healthFrom = (ip) => request(app).get('/health').set('X-Forwarded-For', ip);
+
+  test('answers 429 once a client is over the limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await healthFrom('198.51.100.1')).status).toBe(200);
+    }
+    const res = await healthFrom('198.51.100.1');
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  test('counts each client on its own', async () => {
+    const res = await healthFrom('198.51.100.2');
+    expect(res.status).toBe(200);
+  });
+
+  test('sends the remaining requests in the RateLimit header', async () => {
+    const res = await healthFrom('198.51.100.3');
+    expect(res.headers.ratelimit).toMatch(/limit=3, remaining=2/);
+  });
+
+  test('a reset gives a limited client a new budget', async () => {
+    expect((await healthFrom('198.51.100.1')).status).toBe(429);
+    await stack.rateLimits.resetRateLimit('198.51.100.1', 'global');
+    expect((await healthFrom('198.51.100.1')).status).toBe(200);
+  });
+});
+
+describe('contact form rate limit', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({
+      rateLimit: { contact: { maxRequests: 2, windowMs: 60 * 1000 } },
+      banPolicy: { enabled: false }
+    }));
+  });
+
+  afterAll(() => stack.close());
+
+  const contactFrom = (ip, path = '/api/contact') => request(app).post(path).set('X-Forwarded-For', ip).send(CONTACT);
+
+  test('accepts submissions up to the limit', async () => {
+    expect((await contactFrom('203.0.113.1')).status).toBe(200);
+    expect((await contactFrom('203.0.113.1')).status).toBe(200);
+    expect((await contactFrom('203.0.113.1')).status).toBe(429);
+  });
+
+  test('counts spellings of the same route together', async () => {
+    expect((await contactFrom('203.0.113.2', '/api/contact')).status).toBe(200);
+    expect((await contactFrom('203.0.113.2', '/API/Contact')).status).toBe(200);
+    expect((await contactFrom('203.0.113.2', '/api/contact/')).status).toBe(429);
+  });
+});
+
+describe('admin rate limit', () => {
+  test('answers 429 on admin routes past the admin policy, failed logins included', async () => {
+    const { app, stack } = await createTestApp({
+      rateLimit: { admin: { maxRequests: 2, windowMs: 60 * 1000 } },
+      authLockout: { enabled: false },
+      banPolicy: { enabled: false }
+    });
+    try {
+      const stats = () => request(app).get('/api/admin/stats').set('X-Forwarded-For', '192.0.2.9').set('Authorization', 'Bearer wrong');
+      expect((await stats()).status).toBe(401);
+      expect((await stats()).status).toBe(401);
+      const res = await stats();
+      expect(res.status).toBe(429);
+      expect(res.body.details.policy).toBe('admin');
+
+      // Only admin routes count toward it
+      expect((await request(app).get('/health').set('X-Forwarded-For', '192.0.2.9')).status).toBe(200);
+    } finally {
+      await stack.close();
+    }
+  });
+});
+
+describe('limiter errors', () => {
+  test('a throwing key generator reaches the error handler instead of hanging the request', async () => {
+    const express = require('express');
+    const { createRateLimitRegistry } = require('../middleware/rateLimiter');
+    const rateLimits = createRateLimitRegistry();
+    const app = express();
+    app.use(rateLimits.createRateLimiter({
+      name: 'broken',
+      windowMs: 1000,
+      maxRequests: 5,
+      keyGenerator: () => { throw new Error('no key'); }
+    }));
+    app.get('/', (req, res) => res.send('ok'));
+    app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+
+    try {
+      const res = await request(app).get('/');
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('no key');
+    } finally {
+      await rateLimits.close();
+    }
+  });
+});
@@ -0,0 +1,90 @@
+// tests/redisRateLimitStore.test.js - Redis rate limit store against the in-memory stand-in
+const express = require('express');
+const request = require('supertest');
+const RespClient = require('../utils/respClient');
+const RedisRateLimitStore = require('../stores/redisRateLimitStore');
+const createRedisStandIn = require('../scripts/redis-stand-in');
+const { createRateLimitRegistry } = require('../middleware/rateLimiter');
+
+describe('RedisRateLimitStore', () => {
+  let server;
+  let port;
+  let prefixes = 0;
+  const clients = [];
+
+  beforeAll(async () => {
+    server = createRedisStandIn();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await Promise.all(clients.map(client => client.quit()));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Store on its own key prefix, so tests do not share counters
+  const createStore = (settings) => {
+    const client = new RespClient({ port });
+    clients.push(client);
+    const store = new RedisRateLimitStore({ client, prefix: `test${++prefixes}:` });
+    store.init({ windowMs: 60 * 1000, maxRequests: 5, ...settings });
+    return store;
+  };
+
+  describe.each(['fixed-window', 'sliding-window', 'token-bucket'])('%s', (algorithm) => {
+    test('counts hits per key', async () => {
+      const store = createStore({ algorithm });
+      expect((await store.increment('a')).count).toBe(1);
+      expect((await store.increment('a')).count).toBe(2);
+      expect((await store.increment('b')).count).toBe(1);
+      expect((await store.get('a')).count).toBe(2);
+    });
+
+    test('decrement takes a hit back', async () => {
+      const store = createStore({ algorithm });
+      await store.increment('a');
+      await store.increment('a');
+      await store.decrement('a');
+      expect((await store.get('a')).count).toBe(1);
+    });
+
+    test('decrement never goes below zero', async () => {
+      const store = createStore({ algorithm });
+      await store.increment('a');
+      await Promise.all([store.decrement('a'), store.decrement('a'), store.decrement('a')]);
+      expect((await store.get('a')).count).toBe(0);
+      expect((await store.increment('a')).count).toBe(1);
+    });
+
+    test('reset forgets a key', async () => {
+      const store = createStore({ algorithm });
+      await store.increment('a');
+      expect(await store.reset('a')).toBe(true);
+      expect(await store.get('a')).toBeNull();
+    });
+  });
+
+  test('the stand-in refuses scripts it has no port of', async () => {
+    const client = new RespClient({ port });
+    clients.push(client);
+    await expect(client.command(['EVAL', 'return 1', 0])).rejects.toThrow(/only runs the scripts/);
+  });
+
+  test('skipFailedRequests takes failed requests back through the Redis store', async () => {
+    const rateLimits = createRateLimitRegistry({ createStore: () => createStore() });
+    const app = express();
+    app.use(rateLimits.createRateLimiter({ name: 'login', windowMs: 60 * 1000, maxRequests: 2, skipFailedRequests: true }));
+    app.get('/fail', (req, res) => res.status(401).end());
+    app.get('/ok', (req, res) => res.end());
+
+    for (let i = 0; i < 4; i++) {
+      expect((await request(app).get('/fail')).status).toBe(401);
+      // The hit is taken back after the response, asynchronously
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect((await request(app).get('/ok')).status).toBe(200);
+    expect((await request(app).get('/ok')).status).toBe(200);
+    expect((await request(app).get('/ok')).status).toBe(429);
+  });
+});
@@ -0,0 +1,201 @@
+// tests/sanitizer.test.js - Sanitization modes and field policies
+const express = require('express');
+const request = require('supertest');
+const logger = require('../utils/logger');
+const { createSanitizer, stripMarkup, sanitizeString } = require('../middleware/sanitizer');
+
+// App that answers with what reaches the handler
+const echoApp = (policy) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/echo', createSanitizer(policy), (req, res) => res.json({ body: req.body, query: req.query }));
+  return app;
+};
+
+describe('stripMarkup', () => {
+  test.each([
+    ['an unquoted event handler', '<img src=x onerror=alert(1)>', ''],
+    ['an event handler after a slash', '<img/src=x/onerror=alert(1)>text', 'text'],
+    ['a script block over several lines', 'a<script>\nalert(1)\n</script>b', 'ab'],
+    ['an unclosed script block', 'a<script>alert(1)', 'a'],
+    ['a script tag in mixed case', '<ScRiPt >alert(1)</sCrIpT >', ''],
+    ['an SVG onload handler', '<svg onload=alert(1)>', ''],
+    ['a script inside SVG', '<svg><script>alert(1)</script></svg>', ''],
+    ['a MathML style confusion payload', '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>', ''],
+    ['a tag assembled from the remains of another', '<<b>img src=x onerror=alert(1)>', ''],
+    ['a comment around a tag', '<!-- x --><b>bold</b>', 'bold'],
+    ['a javascript: URL', '[x](javascript:alert(1))', '[x](alert(1))'],
+    ['javascript: split by a tab', 'java\tscript:alert(1)', 'alert(1)'],
+    ['javascript: split by a newline and spaces', 'java\nscript :alert(1)', 'alert(1)'],
+    ['javascript: with decimal entities', '&#106;avascript:alert(1)', 'alert(1)'],
+    ['javascript: with hex entities and &colon;', '&#x6A;&#x61;vascript&colon;alert(1)', 'alert(1)'],
+    ['an entity-encoded tab inside javascript:', 'jav&#x09;ascript:alert(1)', 'alert(1)'],
+    ['javascript: assembled from the remains of another', 'javajavascript:script:alert(1)', 'alert(1)'],
+    ['vbscript:', 'VBScript:msgbox(1)', 'msgbox(1)']
+  ])('removes %s', (description, input, expected) => {
+    expect(stripMarkup(input)).toBe(expected);
+  });
+
+  test.each([
+    ['plain text', 'Hello, world'],
+    ['comparisons', 'a < b && c > d'],
+    ['entities that spell nothing dangerous', 'Tom &amp; Jerry'],
+    ['markdown', '# Title\n\n*bold* and [a link](https://example.com)']
+  ])('keeps %s', (description, input) => {
+    expect(stripMarkup(input)).toBe(input);
+  });
+
+  test('encode strips markup before encoding', () => {
+    expect(sanitizeString('<b>x</b> & "y"')).toBe('x &amp; &quot;y&quot;');
+  });
+});
+
+describe('createSanitizer modes', () => {
+  test('encode (default) HTML-encodes values', async () => {
+    const res = await request(echoApp()).post('/echo').send({ name: '<b>Ada</b> & Bob' });
+    expect(res.body.body.name).toBe('Ada &amp; Bob');
+  });
+
+  test('strip removes markup and keeps the text', async () => {
+    const res = await request(echoApp({ mode: 'strip' })).post('/echo').send({
+      note: 'Hi <img src=x onerror=alert(1)> there',
+      link: '&#106;avascript:alert(1)'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({ note: 'Hi  there', link: 'alert(1)' });
+  });
+
+  test('reject answers 400 with the offending fields', async () => {
+    const res = await request(echoApp({ mode: 'reject' })).post('/echo').send({
+      ok: 'plain text',
+      bad: '<svg onload=alert(1)>',
+      sneaky: 'java\tscript:alert(1)'
+    });
+    expect(res.status).toBe(400);
+    const fields = res.body.errors.map(error => error.field).sort();
+    expect(fields).toEqual(['body.bad', 'body.sneaky']);
+  });
+
+  test('reject accepts clean input unchanged', async () => {
+    const res = await request(echoApp({ mode: 'reject' })).post('/echo').send({ text: 'Plain, "quoted" text & more' });
+    expect(res.status).toBe(200);
+    expect(res.body.body.text).toBe('Plain, "quoted" text & more');
+  });
+
+  test('report passes values through and logs what encode would change', async () => {
+    const warn = jest.spyOn(logger, 'warn');
+    try {
+      const res = await request(echoApp({ mode: 'report' })).post('/echo').send({ html: '<b>x</b>', $where: '1' });
+      expect(res.status).toBe(200);
+      expect(res.body.body).toEqual({ html: '<b>x</b>', $where: '1' });
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/report only.*body\.html.*body\.\$where \(key\)/));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('raw leaves values untouched', async () => {
+    const res = await request(echoApp({ mode: 'raw' })).post('/echo').send({ cidr: '10.0.0.0/8', html: '<b>x</b>' });
+    expect(res.body.body).toEqual({ cidr: '10.0.0.0/8', html: '<b>x</b>' });
+  });
+
+  test('field policies override the route mode, the most specific pattern winning', async () => {
+    const app = echoApp({
+      mode: 'reject',
+      fields: { 'body.markdown': 'strip', 'body.links.*': 'raw', 'body.links.0': 'encode' }
+    });
+    const res = await request(app).post('/echo').send({
+      markdown: '**hi** <script>alert(1)</script>',
+      links: ['<a>', 'https://example.com/?a=1&b=2']
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({ markdown: '**hi** ', links: ['', 'https://example.com/?a=1&b=2'] });
+  });
+
+  test('dangerous keys are dropped in encode and strip modes', async () => {
+    const res = await request(echoApp({ mode: 'strip' })).post('/echo').send({ $gt: '', 'a.b': 1, keep: 'yes' });
+    expect(res.body.body).toEqual({ keep: 'yes' });
+  });
+
+  test('a route policy starts again from the original input', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(createSanitizer());
+    app.post('/echo', createSanitizer({ mode: 'raw' }), (req, res) => res.json(req.body));
+    const res = await request(app).post('/echo').send({ url: 'https://example.com/a?b=1&c=2' });
+    expect(res.body.url).toBe('https://example.com/a?b=1&c=2');
+  });
+
+  test('unknown modes are refused when the policy is created', () => {
+    expect(() => createSanitizer({ mode: 'scrub' })).toThrow(/Unknown sanitize mode/);
+    expect(() => createSanitizer({ fields: { 'body.x': 'scrub' } })).toThrow(/Unknown sanitize mode/);
+  });
+});
+
+describe('prototype pollution and structural limits', () => {
+  const { deepSanitize, SanitizeLimitError } = require('../middleware/sanitizer');
+
+  // Nested { a: { a: ... } } of the given depth
+  const nested = (depth) => {
+    let value = 'x';
+    for (let i = 0; i < depth; i++) value = { a: value };
+    return value;
+  };
+
+  test.each(['encode', 'raw', 'report'])('removes pollution keys in %s mode', async (mode) => {
+    const res = await request(echoApp({ mode }))
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"__proto__":{"admin":true},"constructor":{"prototype":{"admin":true}},"keep":"yes"}');
+    expect(res.status).toBe(200);
+    expect(res.body.body).toEqual({ keep: 'yes' });
+    expect({}.admin).toBeUndefined();
+  });
+
+  test('rejects pollution keys in reject mode', async () => {
+    const res = await request(echoApp({ mode: 'reject' }))
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"nested":{"__proto__":{"admin":true}}}');
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('body.nested.__proto__');
+  });
+
+  test('answers 400 for input nested too deeply', async () => {
+    const app = echoApp({ limits: { maxDepth: 5 } });
+    expect((await request(app).post('/echo').send(nested(5))).status).toBe(200);
+    const res = await request(app).post('/echo').send(nested(6));
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Request nested too deeply');
+  });
+
+  test.each([
+    ['too many fields', { maxKeys: 10 }, () => Object.fromEntries(Array.from({ length: 11 }, (v, i) => [`k${i}`, i])), 'Request has too many fields'],
+    ['an array too long', { maxArrayLength: 3 }, () => ({ items: [1, 2, 3, 4] }), 'Request array too long'],
+    ['a value too long', { maxStringLength: 10 }, () => ({ text: 'x'.repeat(11) }), 'Request value too long'],
+    ['a key too long', { maxStringLength: 10 }, () => ({ ['k'.repeat(11)]: 1 }), 'Request value too long']
+  ])('answers 413 for %s', async (description, limits, body, message) => {
+    const res = await request(echoApp({ limits })).post('/echo').send(body());
+    expect(res.status).toBe(413);
+    expect(res.body.message).toBe(message);
+  });
+
+  test('counts fields over body and query together', async () => {
+    const res = await request(echoApp({ limits: { maxKeys: 4 } }))
+      .post('/echo')
+      .query({ a: '1', b: '2', c: '3' })
+      .send({ d: 1, e: 2 });
+    expect(res.status).toBe(413);
+  });
+
+  test('limits apply per instance', async () => {
+    const body = { items: [1, 2, 3, 4] };
+    expect((await request(echoApp({ limits: { maxArrayLength: 3 } })).post('/echo').send(body)).status).toBe(413);
+    expect((await request(echoApp()).post('/echo').send(body)).status).toBe(200);
+  });
+
+  test('deepSanitize throws SanitizeLimitError past the default depth', () => {
+    expect(() => deepSanitize(nested(40))).toThrow(SanitizeLimitError);
+    expect(deepSanitize({ a: '<b>x</b>', $gt: 1 })).toEqual({ a: 'x' });
+  });
+});
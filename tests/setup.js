@@ -0,0 +1,11 @@
+// tests/setup.js - Environment for the jest suites (runs before each test file's modules load)
+// Logs go to a temporary directory, so rejected requests do not flood the test output;
+// requests from supertest come over loopback, so X-Forwarded-For picks the client address.
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_TRANSPORTS = 'file';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'security-middleware-app-tests');
+process.env.LOG_LEVEL = 'warn';
+process.env.TRUSTED_PROXIES = 'loopback';
+process.env.CSRF_SECRET = 'test-csrf-secret-that-is-long-enough';
@@ -0,0 +1,190 @@
+// tests/validation.test.js - JSON Schema subset and validateRequest
+const express = require('express');
+const request = require('supertest');
+const { compileSchema, validate, SchemaError } = require('../utils/schema');
+const { validateRequest } = require('../middleware/validation');
+const { createValidator } = require('../middleware/sanitizer');
+const { createTestApp } = require('./helpers');
+
+// Validate against a freshly compiled schema
+const check = (schema, value, options) => validate(compileSchema(schema), value, options);
+
+// Error messages by field
+const errorsOf = (result) => Object.fromEntries(result.errors.map(error => [error.field, error.message]));
+
+describe('compileSchema', () => {
+  test.each([
+    ['a misspelt keyword', { type: 'string', minLenght: 2 }, /unsupported keyword minLenght/],
+    ['an unknown type', { type: 'text' }, /unknown type text/],
+    ['an unknown format', { type: 'string', format: 'postcode' }, /unknown format postcode/],
+    ['an enum that is not an array', { enum: 'a' }, /enum must be an array/],
+    ['a nested problem', { type: 'object', properties: { tags: { type: 'array', items: { oneOf: [] } } } }, /#\.properties\.tags\.items: unsupported keyword oneOf/]
+  ])('rejects %s', (description, schema, message) => {
+    expect(() => compileSchema(schema)).toThrow(SchemaError);
+    expect(() => compileSchema(schema)).toThrow(message);
+  });
+});
+
+describe('validate', () => {
+  test.each([
+    [{ type: 'integer' }, 1.5, 'must be integer'],
+    [{ type: ['string', 'null'] }, 3, 'must be string or null'],
+    [{ type: 'string', minLength: 3 }, 'ab', 'must be at least 3 characters'],
+    [{ type: 'string', maxLength: 3 }, 'abcd', 'must be no more than 3 characters'],
+    [{ type: 'string', pattern: '^[a-z]+$' }, 'abc1', 'has invalid format'],
+    [{ enum: ['asc', 'desc'] }, 'up', 'must be one of "asc", "desc"'],
+    [{ const: 'v1' }, 'v2', 'must be "v1"'],
+    [{ type: 'number', minimum: 1 }, 0, 'must be >= 1'],
+    [{ type: 'number', exclusiveMaximum: 10 }, 10, 'must be < 10'],
+    [{ type: 'number', multipleOf: 5 }, 12, 'must be a multiple of 5'],
+    [{ type: 'array', maxItems: 1 }, [1, 2], 'must have no more than 1 items'],
+    [{ type: 'array', uniqueItems: true }, [1, 1], 'must not contain duplicate items']
+  ])('%j refuses %j', (schema, value, message) => {
+    expect(check(schema, value).errors).toEqual([{ field: '(root)', message }]);
+  });
+
+  test.each([
+    ['email', 'ada@example.com', 'ada@example'],
+    ['ip', '2001:db8::1', '256.0.0.1'],
+    ['cidr', '10.0.0.0/8', '10.0.0.0/33'],
+    ['uuid', '123e4567-e89b-12d3-a456-426614174000', '123e4567'],
+    ['date-time', '2024-01-15T10:00:00Z', '2024-01-15'],
+    ['uri', 'https://example.com/a', 'example.com/a']
+  ])('format %s accepts %j and refuses %j', (format, good, bad) => {
+    expect(check({ type: 'string', format }, good).valid).toBe(true);
+    expect(check({ type: 'string', format }, bad).errors).toEqual([{ field: '(root)', message: `must be a valid ${format}` }]);
+  });
+
+  test('reports every error with the path to the field', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: { type: 'object', properties: { quantity: { type: 'integer', minimum: 1 } }, required: ['quantity'] }
+        }
+      },
+      required: ['items', 'note']
+    };
+    const result = check(schema, { items: [{ quantity: 1 }, { quantity: 0 }, {}], extra: true }, { path: 'body' });
+    expect(result.valid).toBe(false);
+    expect(errorsOf(result)).toEqual({
+      'body.note': 'is required',
+      'body.items[1].quantity': 'must be >= 1',
+      'body.items[2].quantity': 'is required',
+      'body.extra': 'is not allowed'
+    });
+  });
+
+  test('applies defaults and lets additionalProperties allow or check unknown fields', () => {
+    const schema = { type: 'object', properties: { page: { type: 'integer', default: 1 } } };
+    expect(check(schema, {}).value).toEqual({ page: 1 });
+    expect(check({ ...schema, additionalProperties: true }, { other: 'x' }).value).toEqual({ page: 1, other: 'x' });
+    expect(errorsOf(check({ ...schema, additionalProperties: { type: 'string' } }, { other: 2 }))).toEqual({ other: 'must be string' });
+  });
+
+  test('keeps a "__proto__" field as plain data', () => {
+    const value = JSON.parse('{"__proto__": {"isAdmin": true}}');
+    const result = check({ type: 'object', additionalProperties: true }, value);
+    expect(Object.getPrototypeOf(result.value)).toBe(Object.prototype);
+    expect(result.value.isAdmin).toBeUndefined();
+    expect(Object.keys(result.value)).toEqual(['__proto__']);
+  });
+
+  test('coerces strings to the schema types when asked', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        page: { type: 'integer' },
+        ratio: { type: 'number' },
+        verbose: { type: 'boolean' },
+        tag: { type: 'array', items: { type: 'string' } },
+        name: { type: 'string' }
+      }
+    };
+    const input = { page: '2', ratio: '0.5', verbose: 'true', tag: 'a', name: '42' };
+    expect(check(schema, input, { coerceStrings: true }).value).toEqual({ page: 2, ratio: 0.5, verbose: true, tag: ['a'], name: '42' });
+    expect(errorsOf(check(schema, { page: '1.5' }, { coerceStrings: true }))).toEqual({ page: 'must be integer' });
+    expect(errorsOf(check(schema, { page: '2' }))).toEqual({ page: 'must be integer' });
+  });
+});
+
+describe('validateRequest', () => {
+  const appWith = (schemas) => {
+    const app = express();
+    app.use(express.json());
+    app.post('/items/:id', validateRequest(schemas), (req, res) => {
+      res.json({ params: req.params, query: req.query, body: req.body });
+    });
+    return app;
+  };
+
+  const app = appWith({
+    params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+    query: { type: 'object', properties: { dryRun: { type: 'boolean', default: false } } },
+    headers: { type: 'object', properties: { 'x-tenant': { type: 'string', pattern: '^[a-z]+$' } }, required: ['x-tenant'] },
+    body: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+  });
+
+  test('replaces params, query and body with the validated values', async () => {
+    const res = await request(app).post('/items/7?dryRun=true').set('X-Tenant', 'acme').send({ name: 'widget' });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ params: { id: 7 }, query: { dryRun: true }, body: { name: 'widget' } });
+  });
+
+  test('answers 400 with the errors of every part', async () => {
+    const res = await request(app).post('/items/0?debug=1').send({ name: 5 });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { field: 'params.id', message: 'must be >= 1' },
+      { field: 'query.debug', message: 'is not allowed' },
+      { field: 'headers.x-tenant', message: 'is required' },
+      { field: 'body.name', message: 'must be string' }
+    ]));
+    expect(res.body.errors).toHaveLength(4);
+  });
+
+  test('refuses unknown request parts and bad schemas when created', () => {
+    expect(() => validateRequest({ cookies: { type: 'object' } })).toThrow(/Cannot validate request part: cookies/);
+    expect(() => validateRequest({ body: { type: 'object', required: 'name' } })).toThrow(/body: required must be an array/);
+  });
+
+  test('createValidator still builds an equivalent body schema', async () => {
+    const legacy = express();
+    legacy.use(express.json());
+    legacy.post('/', createValidator({ email: { required: true, type: 'email' } }), (req, res) => res.json(req.body));
+
+    expect((await request(legacy).post('/').send({ email: 'ada@example.com', other: 1 })).status).toBe(200);
+    const blank = await request(legacy).post('/').send({ email: '  ' });
+    expect(blank.status).toBe(400);
+    expect((await request(legacy).post('/').send({ email: ['ada@example.com'] })).status).toBe(400);
+  });
+});
+
+describe('contact form validation', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ rateLimit: { contact: { maxRequests: 100 } } }));
+  });
+
+  afterAll(() => stack.close());
+
+  const contact = (body) => request(app).post('/api/contact').send(body);
+  const CONTACT = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'A message that is long enough.' };
+
+  test('accepts exactly the documented fields', async () => {
+    expect((await contact(CONTACT)).status).toBe(200);
+  });
+
+  test('refuses unknown fields and invalid values', async () => {
+    const res = await contact({ ...CONTACT, email: 'not-an-email', isAdmin: true });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'body.email', message: 'must be a valid email' },
+      { field: 'body.isAdmin', message: 'is not allowed' }
+    ]);
+  });
+});
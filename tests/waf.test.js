@@ -0,0 +1,134 @@
+// tests/waf.test.js - WAF scoring in front of the routes
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+// Filler fields that carry nothing the rules look for
+const padding = (count) => {
+  const fields = {};
+  for (let i = 0; i < count; i++) fields[`f${i}`] = 'x';
+  return fields;
+};
+
+describe('WAF in block mode', () => {
+  let app;
+  let stack;
+
+  beforeAll(async () => {
+    ({ app, stack } = await createTestApp({ banPolicy: { enabled: false } }));
+  });
+
+  afterAll(() => stack.close());
+
+  test('lets an ordinary request through', async () => {
+    const res = await request(app).get('/health').query({ q: 'cats & dogs; or maybe both' });
+    expect(res.status).toBe(200);
+  });
+
+  test.each([
+    ['union select in the query', req => req.get('/health').query({ id: '1 UNION/**/ALL SELECT username, password FROM users' })],
+    ['a tautology in the body', req => req.post('/api/contact').send({ name: "admin' OR '1'='1", email: 'a@example.com', message: 'hello there' })],
+    ['a percent-encoded script tag', req => req.get('/health?q=%3Cscript%3Ealert(1)%3C%2Fscript%3E')],
+    ['a scanner user agent', req => req.get('/health').set('User-Agent', 'sqlmap/1.7')],
+    ['an attack in an object key', req => req.post('/api/contact').send({ '<script>alert(1)</script>': 'x' })]
+  ])('blocks %s with 403', async (description, send) => {
+    const res = await send(request(app));
+    expect(res.status).toBe(403);
+  });
+
+  test('still finds an attack behind thousands of padding keys', async () => {
+    const res = await request(app).post('/api/contact').send({ ...padding(5000), q: "1' UNION SELECT password FROM users--" });
+    expect(res.status).toBe(403);
+  });
+
+  test('blocks an attack in the inspected part of a request too large to inspect in full', async () => {
+    const res = await request(app).post('/api/contact').send({ q: "1' UNION SELECT password FROM users--", ...padding(25000) });
+    expect(res.status).toBe(403);
+  });
+
+  test('answers a long run of whitespace after a quote quickly', async () => {
+    const started = Date.now();
+    const res = await request(app).post('/api/contact').send({ name: 'Ada', email: 'ada@example.com', message: `'${' '.repeat(99000)}` });
+    expect(res.status).not.toBe(403);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+});
+
+describe('WAF in detect mode', () => {
+  test('logs matches but lets the request through', async () => {
+    const { app, stack } = await createTestApp({ waf: { mode: 'detect' } });
+    try {
+      const res = await request(app).get('/health').query({ id: '1 UNION SELECT password FROM users' });
+      expect(res.status).toBe(200);
+    } finally {
+      await stack.close();
+    }
+  });
+});
+
+describe('WAF and the ban policy', () => {
+  test('repeated blocks get the client banned', async () => {
+    const { app, stack } = await createTestApp({
+      banPolicy: { offences: { wafBlock: { maxOffences: 2, windowMs: 60 * 1000 } } }
+    });
+    try {
+      const attack = () => request(app).get('/health').set('X-Forwarded-For', '192.0.2.66').query({ id: '1 UNION SELECT password FROM users' });
+      await attack();
+      await attack();
+
+      const res = await request(app).get('/health').set('X-Forwarded-For', '192.0.2.66');
+      expect(res.status).toBe(403);
+      expect(stack.ipBlacklist.getBlacklistEntry('192.0.2.66')).toBeTruthy();
+
+      const other = await request(app).get('/health').set('X-Forwarded-For', '192.0.2.67');
+      expect(other.status).toBe(200);
+    } finally {
+      await stack.close();
+    }
+  });
+});
+
+describe('WAF inspection limits', () => {
+  const express = require('express');
+  const { createWaf } = require('../middleware/waf');
+
+  // App that answers with the WAF result
+  const wafApp = (options) => {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use(createWaf(options));
+    app.post('/upload', (req, res) => res.json(req.waf));
+    return app;
+  };
+
+  // JSON body with `length` characters of harmless text, in values of 100000 characters
+  const largeBody = (length) => {
+    const items = [];
+    for (let left = length; left > 0; left -= 100000) items.push('a'.repeat(Math.min(left, 100000)));
+    return { items };
+  };
+
+  test('lets a body just over maxInspectedLength through, flagged as truncated', async () => {
+    const res = await request(wafApp()).post('/upload').send(largeBody(1024 * 1024 + 1));
+    expect(res.status).toBe(200);
+    expect(res.body.truncated).toBeTruthy();
+    expect(res.body.matches).toEqual([expect.objectContaining({ id: 'inspection-limit', score: 3 })]);
+  });
+
+  test('a body within maxInspectedLength is not truncated', async () => {
+    const res = await request(wafApp({ maxInspectedLength: 1000 })).post('/upload').send({ text: 'a'.repeat(900) });
+    expect(res.status).toBe(200);
+    expect(res.body.truncated).toBeFalsy();
+    expect(res.body.matches).toEqual([]);
+  });
+
+  test('blocks truncated requests when truncatedScore reaches the threshold', async () => {
+    const res = await request(wafApp({ truncatedScore: 5 })).post('/upload').send(largeBody(1024 * 1024 + 1));
+    expect(res.status).toBe(403);
+  });
+
+  test('a rule match together with truncation blocks', async () => {
+    const body = { q: '<script>alert(1)</script>', ...largeBody(1024 * 1024 + 1) };
+    const res = await request(wafApp()).post('/upload').send(body);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,50 @@
+// utils/atomicFile.js - Crash-safe file writes
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Write a file atomically
+ * Data goes to a temp file in the same directory, is flushed to disk, then
+ * renamed over the target so readers only ever see the old or the new content.
+ */
+const writeFileAtomic = async (filename, data) => {
+  const dir = path.dirname(filename);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const tmpFile = path.join(dir, `.${path.basename(filename)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  const handle = await fs.promises.open(tmpFile, 'w', 0o600);
+  // Never leave the temp file behind, whichever step fails (e.g. ENOSPC while writing)
+  try {
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpFile, filename);
+  } catch (error) {
+    await fs.promises.unlink(tmpFile).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Read and parse a JSON file, returning null if it does not exist
+ */
+const readJsonFile = async (filename) => {
+  try {
+    const content = await fs.promises.readFile(filename, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  writeFileAtomic,
+  readJsonFile
+};
@@ -0,0 +1,231 @@
+// utils/auditLog.js - Tamper-evident audit trail of admin and security actions
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('./logger');
+const { getClientIP } = require('./clientIp');
+const MemoryAuditStore = require('../stores/memoryAuditStore');
+const FileAuditStore = require('../stores/fileAuditStore');
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted at every level, so a hash never depends on key order
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash of an entry: sha256 over its canonical form (without `hash`), which includes prevHash
+ */
+const hashEntry = (entry) => {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+/**
+ * Who performed a request, as recorded in the audit log
+ */
+const actorFromRequest = (req) => {
+  if (!req || !req.user) return { id: 'anonymous' };
+  const actor = { id: req.user.id, authMethod: req.user.authMethod };
+  if (req.apiKey) actor.keyName = req.apiKey.name;
+  return actor;
+};
+
+/**
+ * Hash-chained audit log
+ *
+ * Every entry records who did what to which resource, from where and with what
+ * result, plus the hash of the entry before it. Changing, removing or
+ * reordering any entry breaks the chain from that point on, which verify()
+ * reports. Entries are appended one at a time in the order they were recorded.
+ *
+ * Entry: { seq, timestamp, action, result, actor: { id, authMethod, keyName },
+ *          ip, resource, details, prevHash, hash }
+ */
+class AuditLog {
+  constructor(store) {
+    this.store = store;
+    this.ready = null;
+    this.queue = Promise.resolve();
+    this.seq = 0;
+    this.lastHash = GENESIS_HASH;
+  }
+
+  /**
+   * Pick up the chain where the store left off (runs once, before the first append)
+   *
+   * An entry cut off by a crash mid-write is dropped from the store, and its
+   * removal recorded as an "audit.recovered" entry. Any other malformed last
+   * entry rejects: restarting the chain there would hide it for good.
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.resume();
+    }
+    return this.ready;
+  }
+
+  async resume() {
+    const discardedBytes = this.store.repairTail ? await this.store.repairTail() : 0;
+    const last = await this.store.last();
+    if (last && last.malformed) {
+      throw new Error(`Audit log entry ${last.line} is malformed; refusing to extend the chain (run npm run audit:verify)`);
+    }
+    if (last) {
+      this.seq = last.seq;
+      this.lastHash = last.hash;
+    }
+
+    if (discardedBytes > 0) {
+      logger.warn(`Audit log ended in a partly written entry; discarded ${discardedBytes} bytes after entry ${this.seq}`);
+      await this.appendEntry({
+        timestamp: new Date().toISOString(),
+        action: 'audit.recovered',
+        result: 'failure',
+        actor: { id: 'audit-log' },
+        ip: null,
+        resource: null,
+        details: { discardedBytes, reason: 'partly written entry at the end of the log' }
+      });
+    }
+  }
+
+  async appendEntry(event) {
+    const entry = { seq: this.seq + 1, ...event, prevHash: this.lastHash };
+    entry.hash = hashEntry(entry);
+    await this.store.append(entry);
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  /**
+   * Record an action
+   * @param {object} event
+   * @param {string} event.action - dotted verb, e.g. 'blacklist.add', 'auth.failure'
+   * @param {string} [event.result] - 'success' (default), 'failure' or 'denied'
+   * @param {string} [event.resource] - what the action applied to (IP, key id, policy...)
+   * @param {object} [event.details] - extra context; never put secrets here
+   * @param {object} [event.req] - request the action came from; sets actor and ip
+   * @param {object} [event.actor] - actor for actions without a request, e.g. { id: 'ban-policy' }
+   * @returns {Promise<object>} the stored entry; failures are logged, never thrown
+   */
+  record({ action, result = 'success', resource = null, details = null, req = null, actor = null }) {
+    const event = {
+      timestamp: new Date().toISOString(),
+      action,
+      result,
+      actor: actor || actorFromRequest(req),
+      ip: req ? getClientIP(req) : null,
+      resource,
+      details
+    };
+
+    const write = this.queue
+      .then(() => this.init())
+      .then(() => this.appendEntry(event));
+
+    this.queue = write.catch(error => {
+      logger.error(`Failed to write audit entry ${action}: ${error.message}`);
+    });
+    return this.queue;
+  }
+
+  /**
+   * Find entries, newest first
+   * @param {object} [filters] - action (exact or "prefix.*"), actor, resource, result, ip, since, until (ISO)
+   * @param {object} [page] - { page, limit }
+   * @returns {Promise<{ entries: object[], total: number }>}
+   */
+  async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    await this.queue;
+    const since = filters.since ? Date.parse(filters.since) : null;
+    const until = filters.until ? Date.parse(filters.until) : null;
+    const matchesAction = (action) => {
+      if (!filters.action) return true;
+      return filters.action.endsWith('.*')
+        ? action.startsWith(filters.action.slice(0, -1))
+        : action === filters.action;
+    };
+
+    const matches = [];
+    for await (const entry of this.store.entries()) {
+      if (entry.malformed) continue;
+      const time = Date.parse(entry.timestamp);
+      if (!matchesAction(entry.action)) continue;
+      if (filters.actor && entry.actor.id !== filters.actor) continue;
+      if (filters.resource && entry.resource !== filters.resource) continue;
+      if (filters.result && entry.result !== filters.result) continue;
+      if (filters.ip && entry.ip !== filters.ip) continue;
+      if (since !== null && time < since) continue;
+      if (until !== null && time > until) continue;
+      matches.push(entry);
+    }
+
+    matches.reverse();
+    const start = (page - 1) * limit;
+    return { entries: matches.slice(start, start + limit), total: matches.length };
+  }
+
+  /**
+   * Check the whole chain
+   * @returns {Promise<{ valid: boolean, entries: number, headHash: string, brokenAt?: number, reason?: string }>}
+   *   brokenAt is the line (1-based position) of the first bad entry
+   */
+  async verify() {
+    await this.queue;
+    let position = 0;
+    let expectedPrev = GENESIS_HASH;
+    let expectedSeq = 1;
+
+    for await (const entry of this.store.entries()) {
+      position++;
+      let reason = null;
+      if (entry.malformed) reason = 'entry is not valid JSON';
+      else if (entry.seq !== expectedSeq) reason = `expected seq ${expectedSeq}, found ${entry.seq}`;
+      else if (entry.prevHash !== expectedPrev) reason = 'prevHash does not match the previous entry';
+      else if (hashEntry(entry) !== entry.hash) reason = 'entry content does not match its hash';
+
+      if (reason) {
+        return { valid: false, entries: position, headHash: expectedPrev, brokenAt: position, reason };
+      }
+      expectedPrev = entry.hash;
+      expectedSeq++;
+    }
+
+    return { valid: true, entries: position, headHash: expectedPrev };
+  }
+
+  async close() {
+    await this.queue;
+    await this.store.close();
+  }
+}
+
+/**
+ * Create the audit store selected by the environment
+ * AUDIT_LOG_STORE=memory keeps entries in memory only; the default is data/audit-log.jsonl
+ */
+const createAuditStore = (env = process.env) => {
+  if (env.AUDIT_LOG_STORE === 'memory') {
+    return new MemoryAuditStore();
+  }
+  return new FileAuditStore(env.AUDIT_LOG_FILE || path.join(__dirname, '../data/audit-log.jsonl'));
+};
+
+module.exports = {
+  AuditLog,
+  createAuditStore,
+  hashEntry,
+  GENESIS_HASH
+};
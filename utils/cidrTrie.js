@@ -0,0 +1,160 @@
+// utils/cidrTrie.js - Binary prefix trie for IP address and CIDR range lookups
+const { parseCIDR, parseIP } = require('./ipAddress');
+
+/**
+ * Read bit `index` (0 = most significant) from a byte array
+ */
+const bitAt = (bytes, index) => (bytes[index >> 3] >> (7 - (index & 7))) & 1;
+
+/**
+ * Prefix trie keyed by CIDR range
+ * Lookups walk at most 32 (IPv4) or 128 (IPv6) nodes regardless of how many
+ * ranges are stored, so matching stays cheap with tens of thousands of entries.
+ */
+class CidrTrie {
+  constructor() {
+    this.roots = { 4: this.createNode(), 6: this.createNode() };
+    this.entries = new Map(); // canonical cidr -> value
+  }
+
+  createNode() {
+    return { children: [null, null], cidr: null };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add a range (or single address) with an associated value
+   * @returns {string} canonical CIDR key
+   */
+  add(range, value = true) {
+    const parsed = parseCIDR(range);
+    if (!parsed) {
+      throw new Error('Invalid IP address or CIDR range');
+    }
+
+    let node = this.roots[parsed.version];
+    for (let i = 0; i < parsed.prefixLength; i++) {
+      const bit = bitAt(parsed.bytes, i);
+      if (!node.children[bit]) {
+        node.children[bit] = this.createNode();
+      }
+      node = node.children[bit];
+    }
+
+    node.cidr = parsed.cidr;
+    this.entries.set(parsed.cidr, value);
+    return parsed.cidr;
+  }
+
+  /**
+   * Remove an exact range, pruning branches left empty
+   * @returns {boolean} whether the range was present
+   */
+  delete(range) {
+    const parsed = parseCIDR(range);
+    if (!parsed || !this.entries.has(parsed.cidr)) {
+      return false;
+    }
+
+    const path = [this.roots[parsed.version]];
+    for (let i = 0; i < parsed.prefixLength; i++) {
+      path.push(path[i].children[bitAt(parsed.bytes, i)]);
+    }
+    path[path.length - 1].cidr = null;
+
+    for (let i = path.length - 1; i > 0; i--) {
+      const node = path[i];
+      if (node.cidr || node.children[0] || node.children[1]) break;
+      path[i - 1].children[bitAt(parsed.bytes, i - 1)] = null;
+    }
+
+    this.entries.delete(parsed.cidr);
+    return true;
+  }
+
+  /**
+   * Check for an exact range (not containment)
+   */
+  has(range) {
+    const cidr = parseCIDR(range)?.cidr;
+    return cidr !== undefined && this.entries.has(cidr);
+  }
+
+  /**
+   * Get the value stored for an exact range
+   */
+  get(range) {
+    const cidr = parseCIDR(range)?.cidr;
+    return cidr === undefined ? undefined : this.entries.get(cidr);
+  }
+
+  /**
+   * Find the most specific stored range covering the given range
+   * Pass a bare address to find the range an IP belongs to.
+   * @returns {{ cidr: string, value: * } | null}
+   */
+  findCovering(range) {
+    const parsed = parseCIDR(range);
+    return parsed ? this.match(parsed) : null;
+  }
+
+  /**
+   * Find the most specific stored range an IP address falls inside
+   * @returns {{ cidr: string, value: * } | null}
+   */
+  lookup(ip) {
+    const parsed = parseIP(ip);
+    if (!parsed) return null;
+
+    const prefixLength = parsed.version === 4 ? 32 : 128;
+    return this.match({ ...parsed, prefixLength });
+  }
+
+  /**
+   * Check whether an IP address falls inside any stored range
+   */
+  contains(ip) {
+    return this.lookup(ip) !== null;
+  }
+
+  /**
+   * Walk the trie along a parsed range, keeping the deepest stored prefix
+   */
+  match(parsed) {
+    let node = this.roots[parsed.version];
+    let match = node.cidr;
+    for (let i = 0; i < parsed.prefixLength && node; i++) {
+      node = node.children[bitAt(parsed.bytes, i)];
+      if (node && node.cidr) {
+        match = node.cidr;
+      }
+    }
+
+    return match ? { cidr: match, value: this.entries.get(match) } : null;
+  }
+
+  /**
+   * Remove every range
+   */
+  clear() {
+    this.roots = { 4: this.createNode(), 6: this.createNode() };
+    this.entries.clear();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  values() {
+    return this.entries.values();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries.entries();
+  }
+}
+
+module.exports = CidrTrie;
@@ -0,0 +1,193 @@
+// utils/clientIp.js - Trusted-proxy aware client IP resolution
+const { normalizeIP, parseCIDR } = require('./ipAddress');
+const CidrTrie = require('./cidrTrie');
+
+// Named groups accepted in the trusted proxy list
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+/**
+ * Split a header value on commas that are not inside quotes
+ */
+const splitHeaderList = (value) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (char === ',' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Extract the address from a Forwarded "for" value
+ * Handles quoting, "[v6]:port" and "v4:port"; "unknown" and obfuscated
+ * identifiers ("_hidden") yield null.
+ */
+const parseForwardedNode = (node) => {
+  let value = node.trim().replace(/^"|"$/g, '');
+  if (value.startsWith('[')) {
+    value = value.slice(1, value.indexOf(']'));
+  } else if (/^[\d.]+:\d+$/.test(value)) {
+    value = value.slice(0, value.lastIndexOf(':'));
+  }
+  return normalizeIP(value);
+};
+
+/**
+ * Parse an RFC 7239 Forwarded header into "for" addresses (client first)
+ */
+const parseForwardedHeader = (header) => {
+  return splitHeaderList(header).map(element => {
+    const pair = element.split(';')
+      .map(part => part.trim())
+      .find(part => part.toLowerCase().startsWith('for='));
+    return pair ? parseForwardedNode(pair.slice(4)) : null;
+  });
+};
+
+/**
+ * Resolves the real client address of a request
+ *
+ * Forwarding headers are only believed when the request arrived through a
+ * trusted proxy. Starting from the socket peer, the chain is walked right to
+ * left past trusted proxies; the first address that is not a trusted proxy is
+ * the client. Spoofed entries further left are never reached, so an untrusted
+ * peer cannot change its identity by sending headers.
+ *
+ * Trust is either a list of CIDR ranges / presets (loopback, linklocal,
+ * private) or a fixed hop count (the N closest addresses are proxies).
+ */
+class ClientIPResolver {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.trustedProxies] - CIDR ranges, addresses or preset names
+   * @param {number} [options.hops] - trust this many proxy hops instead of a CIDR list
+   * @param {string} [options.header] - 'x-forwarded-for' (default) or 'forwarded' (RFC 7239)
+   */
+  constructor({ trustedProxies = [], hops = 0, header = 'x-forwarded-for' } = {}) {
+    if (!['x-forwarded-for', 'forwarded'].includes(header)) {
+      throw new Error(`Unsupported forwarding header: ${header}`);
+    }
+    if (!Number.isInteger(hops) || hops < 0) {
+      throw new Error('Trusted proxy hop count must be a non-negative integer');
+    }
+
+    this.header = header;
+    this.hops = hops;
+    this.trusted = new CidrTrie();
+
+    trustedProxies.forEach(entry => {
+      const ranges = PROXY_PRESETS[entry] || [entry];
+      ranges.forEach(range => {
+        if (!parseCIDR(range)) {
+          throw new Error(`Invalid trusted proxy: ${entry}`);
+        }
+        this.trusted.add(range);
+      });
+    });
+  }
+
+  /**
+   * Build a resolver from TRUSTED_PROXIES, TRUSTED_PROXY_HOPS and TRUSTED_PROXY_HEADER
+   */
+  static fromEnv(env = process.env) {
+    return new ClientIPResolver({
+      trustedProxies: (env.TRUSTED_PROXIES || '').split(',').map(entry => entry.trim()).filter(Boolean),
+      hops: Number(env.TRUSTED_PROXY_HOPS) || 0,
+      header: (env.TRUSTED_PROXY_HEADER || 'x-forwarded-for').toLowerCase()
+    });
+  }
+
+  isTrusted(ip) {
+    return this.trusted.contains(ip);
+  }
+
+  /**
+   * Addresses reported by the forwarding header, client first
+   * Invalid entries are kept as null so positions stay meaningful.
+   */
+  forwardedChain(req) {
+    const value = req.headers[this.header];
+    if (!value) return [];
+
+    if (this.header === 'forwarded') {
+      return parseForwardedHeader(value);
+    }
+    return splitHeaderList(value).map(normalizeIP);
+  }
+
+  /**
+   * Resolve the client IP (canonical form) for a request
+   */
+  resolve(req) {
+    const socket = req.socket || req.connection;
+    const peer = socket && socket.remoteAddress;
+    const peerIP = normalizeIP(peer) || peer || '0.0.0.0';
+
+    const trustsAnything = this.hops > 0 || this.trusted.size > 0;
+    if (!trustsAnything) {
+      return peerIP;
+    }
+
+    const chain = [...this.forwardedChain(req), peerIP];
+
+    if (this.hops > 0) {
+      const index = Math.max(0, chain.length - 1 - this.hops);
+      // A malformed entry is attributed to the proxy that forwarded it
+      for (let i = index; i < chain.length; i++) {
+        if (chain[i]) return chain[i];
+      }
+      return peerIP;
+    }
+
+    // Walk from the socket peer towards the client while hops are trusted proxies
+    let index = chain.length - 1;
+    while (index > 0 && this.isTrusted(chain[index])) {
+      if (!chain[index - 1]) {
+        return chain[index];
+      }
+      index--;
+    }
+    return chain[index];
+  }
+}
+
+// Shared resolver used by every middleware and the request logger
+let resolver = ClientIPResolver.fromEnv();
+
+/**
+ * Get the client IP for a request (cached on req.clientIp)
+ */
+const getClientIP = (req) => {
+  if (!req.clientIp) {
+    req.clientIp = resolver.resolve(req);
+  }
+  return req.clientIp;
+};
+
+/**
+ * Replace the shared resolver's trusted proxy settings
+ */
+const configureTrustedProxies = (options) => {
+  resolver = new ClientIPResolver(options);
+  return resolver;
+};
+
+module.exports = {
+  getClientIP,
+  configureTrustedProxies,
+  ClientIPResolver,
+  parseForwardedHeader,
+  PROXY_PRESETS
+};
@@ -0,0 +1,497 @@
+// utils/config.js - Application configuration: defaults, config file and environment
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { compileSchema, validate } = require('./schema');
+const { parseYaml } = require('./yaml');
+
+// Built-in values; a config file and environment variables override them
+const CONFIG_DEFAULTS = {
+  server: {
+    port: 60005,
+    bodyLimit: '10mb'           // JSON and urlencoded request bodies
+  },
+  rateLimit: {
+    global: {
+      windowMs: 10 * 60 * 1000,
+      maxRequests: 1000,
+      algorithm: 'sliding-window', // 'sliding-window', 'fixed-window' or 'token-bucket'
+      message: 'Too many requests from this IP, please try again later',
+      skipSuccessfulRequests: false,
+      skipFailedRequests: false,
+      standardHeaders: true,
+      legacyHeaders: true
+    },
+    public: {
+      windowMs: 10 * 60 * 1000,
+      maxRequests: 3000,
+      standardHeaders: true,
+      message: 'Too many requests to the public API, please try again later'
+    },
+    contact: {
+      windowMs: 15 * 60 * 1000,
+      maxRequests: 5,
+      standardHeaders: true,
+      message: 'Too many contact form submissions, please try again later'
+    },
+    admin: {
+      windowMs: 60 * 60 * 1000,
+      maxRequests: 50,
+      message: 'Admin rate limit exceeded'
+    }
+  },
+  ipLists: {
+    // Seed entries: added when the lists are first created or when a reload adds them
+    blacklist: ['192.168.1.100', '10.0.0.5', '127.0.0.2'],
+    whitelist: ['127.0.0.1', '::1']
+  },
+  securityHeaders: {
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", 'data:', 'https:']
+      }
+    },
+    crossOriginEmbedderPolicy: false // Disable for development
+  },
+  cors: {
+    default: {
+      origins: ['http://localhost:3000'],
+      methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Request-Id'],
+      exposedHeaders: [
+        'RateLimit', 'RateLimit-Policy',
+        'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+        'Retry-After', 'X-Request-Id', 'X-CSRF-Token'
+      ],
+      credentials: true,
+      maxAge: 600
+    },
+    routes: {
+      '/api/public': { origins: ['*'], credentials: false, methods: ['GET', 'HEAD'] },
+      '/api/admin': { origins: [] },
+      '/metrics': { origins: [] }
+    }
+  }
+};
+
+// Sections applied to the running app on reload; changes elsewhere need a restart
+const RELOADABLE_SECTIONS = ['rateLimit', 'ipLists', 'cors'];
+
+// Environment variables that override single settings
+// Lists are comma-separated; numbers and booleans are converted by the schema
+const ENV_VARIABLES = {
+  PORT: 'server.port',
+  BODY_LIMIT: 'server.bodyLimit',
+  RATE_LIMIT_WINDOW_MS: 'rateLimit.global.windowMs',
+  RATE_LIMIT_MAX: 'rateLimit.global.maxRequests',
+  RATE_LIMIT_ALGORITHM: 'rateLimit.global.algorithm',
+  IP_BLACKLIST_SEEDS: { path: 'ipLists.blacklist', list: true },
+  IP_WHITELIST_SEEDS: { path: 'ipLists.whitelist', list: true },
+  CORS_ORIGINS: { path: 'cors.default.origins', list: true }
+};
+
+// Looked for in this order when CONFIG_FILE is not set
+const CONFIG_FILES = ['config/config.yaml', 'config/config.yml', 'config/config.json']
+  .map(file => path.join(__dirname, '..', file));
+
+// Values from .env examples and old releases that must never reach production
+const PLACEHOLDER_SECRETS = [
+  'admin-secret-key-2024',
+  'your-secret-admin-key-here',
+  'your-jwt-signing-secret',
+  'your-csrf-secret-here'
+];
+
+const MIN_SECRET_LENGTH = 32;
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const rateLimitPolicy = {
+  type: 'object',
+  properties: {
+    windowMs: { type: 'integer', minimum: 1000 },
+    maxRequests: { type: 'integer', minimum: 1 },
+    algorithm: { type: 'string', enum: ['sliding-window', 'fixed-window', 'token-bucket'] },
+    message: { type: 'string', minLength: 1 },
+    skipSuccessfulRequests: { type: 'boolean' },
+    skipFailedRequests: { type: 'boolean' },
+    standardHeaders: { type: 'boolean' },
+    legacyHeaders: { type: 'boolean' }
+  }
+};
+
+const corsPolicy = {
+  type: 'object',
+  properties: {
+    origins: { type: 'array', items: { type: 'string', pattern: '^(\\*|https?://[A-Za-z0-9.*-]+(:(\\d+|\\*))?)$' } },
+    methods: { type: 'array', items: { type: 'string', enum: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] } },
+    allowedHeaders: stringList,
+    exposedHeaders: stringList,
+    credentials: { type: 'boolean' },
+    maxAge: { type: 'integer', minimum: 0 }
+  }
+};
+
+const CONFIG_SCHEMA = compileSchema({
+  type: 'object',
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 0, maximum: 65535 },
+        bodyLimit: { type: 'string', pattern: '^\\d+(b|kb|mb)$' }
+      }
+    },
+    rateLimit: {
+      type: 'object',
+      properties: {
+        global: rateLimitPolicy,
+        public: rateLimitPolicy,
+        contact: rateLimitPolicy,
+        admin: rateLimitPolicy
+      }
+    },
+    ipLists: {
+      type: 'object',
+      properties: {
+        blacklist: { type: 'array', items: { type: 'string', format: 'cidr' } },
+        whitelist: { type: 'array', items: { type: 'string', format: 'cidr' } }
+      }
+    },
+    securityHeaders: {
+      type: 'object',
+      properties: {
+        contentSecurityPolicy: {
+          type: ['object', 'boolean'],
+          properties: {
+            directives: { type: 'object', additionalProperties: stringList }
+          }
+        },
+        crossOriginEmbedderPolicy: { type: 'boolean' }
+      }
+    },
+    cors: {
+      type: 'object',
+      properties: {
+        default: corsPolicy,
+        routes: { type: 'object', additionalProperties: corsPolicy }
+      }
+    }
+  }
+});
+
+/**
+ * Thrown when the configuration cannot be read or is invalid; lists every problem
+ */
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}:\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Merge `override` into a copy of `base`: objects merge key by key, anything
+ * else (arrays included) replaces the base value
+ */
+const deepMerge = (base, override) => {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  const merged = { ...base };
+  for (const key of Object.keys(override)) {
+    if (UNSAFE_KEYS.includes(key)) continue;
+    merged[key] = deepMerge(base[key], override[key]);
+  }
+  return merged;
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+// Set a dotted path, creating objects on the way
+const setPath = (object, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const getPath = (object, dottedPath) => dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+// Config file for messages: relative to the working directory when inside it
+const describeSource = (file) => {
+  if (!file) return 'defaults and environment';
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith('..') ? file : relative;
+};
+
+/**
+ * The config file to use: CONFIG_FILE, or the first of config/config.{yaml,yml,json}
+ * @returns {string|null}
+ */
+const findConfigFile = (env = process.env) => {
+  if (env.CONFIG_FILE) {
+    const file = path.resolve(env.CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+      throw new ConfigError(`Config file not found: ${file}`);
+    }
+    return file;
+  }
+  return CONFIG_FILES.find(file => fs.existsSync(file)) || null;
+};
+
+/**
+ * Read a JSON or YAML (.yaml / .yml) config file
+ */
+const readConfigFile = (file) => {
+  let parsed;
+  try {
+    const source = fs.readFileSync(file, 'utf8');
+    parsed = /\.ya?ml$/i.test(file) ? parseYaml(source) : JSON.parse(source);
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+  if (parsed === null) return {};
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(`Config file ${file} must contain a mapping of sections`);
+  }
+  return parsed;
+};
+
+/**
+ * Overrides from ENV_VARIABLES that are set
+ */
+const configFromEnv = (env = process.env) => {
+  const overrides = {};
+  for (const [name, target] of Object.entries(ENV_VARIABLES)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const { path: dottedPath, list } = typeof target === 'string' ? { path: target } : target;
+    const value = list ? env[name].split(',').map(item => item.trim()).filter(Boolean) : env[name];
+    setPath(overrides, dottedPath, value);
+  }
+  return overrides;
+};
+
+/**
+ * Problems that make a configuration unfit for production
+ * Secrets are only read from the environment, so they are checked there.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+const productionProblems = (config, env = process.env) => {
+  const errors = [];
+  const warnings = [];
+
+  const checkSecret = (name, required) => {
+    const value = env[name];
+    if (!value) {
+      if (required) errors.push(`${name} must be set`);
+    } else if (PLACEHOLDER_SECRETS.includes(value)) {
+      errors.push(`${name} is a placeholder value from the examples`);
+    } else if (value.length < MIN_SECRET_LENGTH) {
+      errors.push(`${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+  };
+  checkSecret('ADMIN_API_KEY', false);
+  checkSecret('JWT_SECRET', false);
+  checkSecret('CSRF_SECRET', false);
+  if (!env.CSRF_SECRET) {
+    warnings.push('CSRF_SECRET is not set; tokens will not survive a restart or work across instances');
+  }
+
+  const policies = [['cors.default', config.cors.default], ...Object.entries(config.cors.routes || {}).map(([prefix, policy]) => [`cors.routes.${prefix}`, policy])];
+  policies.forEach(([name, policy]) => {
+    const local = (policy.origins || []).filter(origin => /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|$)/i.test(origin));
+    if (local.length > 0) {
+      errors.push(`${name}.origins allows development origins (${local.join(', ')})`);
+    }
+  });
+
+  if (JSON.stringify(config.ipLists.blacklist) === JSON.stringify(CONFIG_DEFAULTS.ipLists.blacklist)) {
+    warnings.push('ipLists.blacklist still holds the example seed addresses');
+  }
+  return { errors, warnings };
+};
+
+/**
+ * Build and check the configuration: defaults, then the config file, then the environment
+ * Throws a ConfigError listing every invalid setting, and in production
+ * (NODE_ENV=production) every unsafe one.
+ * @returns {{ config: object, file: string|null, warnings: string[] }}
+ */
+const buildConfig = (env = process.env) => {
+  const file = findConfigFile(env);
+  const merged = [file ? readConfigFile(file) : {}, configFromEnv(env)].reduce(deepMerge, CONFIG_DEFAULTS);
+
+  const source = describeSource(file);
+  const { valid, value, errors } = validate(CONFIG_SCHEMA, merged, { path: 'config', coerceStrings: true });
+  if (!valid) {
+    throw new ConfigError(`Invalid configuration (${source})`, errors.map(({ field, message }) => `${field} ${message}`));
+  }
+
+  let warnings = [];
+  if (env.NODE_ENV === 'production') {
+    const problems = productionProblems(value, env);
+    if (problems.errors.length > 0) {
+      throw new ConfigError(`Unsafe configuration for production (${source})`, problems.errors);
+    }
+    warnings = problems.warnings;
+  }
+  return { config: deepFreeze(value), file, warnings };
+};
+
+// Wait for editors to finish writing before reloading
+const WATCH_DEBOUNCE_MS = 200;
+
+/**
+ * Holds the active configuration and applies reloads
+ *
+ * Values are frozen; read them with get() when needed rather than copying them
+ * at startup if the section can reload. On reload the new configuration is
+ * checked as a whole first, so a bad edit keeps the old one running.
+ */
+class ConfigManager {
+  constructor(env = process.env) {
+    this.env = env;
+    this.config = null;
+    this.file = null;
+    this.listeners = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.onSignal = () => this.reload('SIGHUP');
+  }
+
+  /**
+   * Build the configuration (on first use; call early to fail fast)
+   */
+  load() {
+    if (!this.config) {
+      const { config, file, warnings } = buildConfig(this.env);
+      this.config = config;
+      this.file = file;
+      warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+      logger.info(`Configuration loaded from ${describeSource(file)}`);
+    }
+    return this.config;
+  }
+
+  /**
+   * Value at a dotted path, e.g. get('rateLimit.global'); the whole config without one
+   */
+  get(dottedPath) {
+    const config = this.load();
+    return dottedPath ? getPath(config, dottedPath) : config;
+  }
+
+  /**
+   * Call `listener(newSection, oldSection)` when a reloadable section changes
+   */
+  onChange(section, listener) {
+    if (!RELOADABLE_SECTIONS.includes(section)) {
+      throw new Error(`Config section "${section}" does not reload (reloadable: ${RELOADABLE_SECTIONS.join(', ')})`);
+    }
+    if (!this.listeners.has(section)) this.listeners.set(section, []);
+    this.listeners.get(section).push(listener);
+  }
+
+  /**
+   * Re-read the file and environment and apply changed reloadable sections
+   * @returns {boolean} whether the new configuration was accepted
+   */
+  reload(trigger = 'manual') {
+    const previous = this.load();
+    let next;
+    try {
+      next = buildConfig(this.env);
+    } catch (error) {
+      logger.error(`Config reload (${trigger}) rejected, keeping the current configuration: ${error.message}`);
+      return false;
+    }
+
+    const changed = Object.keys(next.config).filter(section => JSON.stringify(next.config[section]) !== JSON.stringify(previous[section]));
+    const restartNeeded = changed.filter(section => !RELOADABLE_SECTIONS.includes(section));
+    if (restartNeeded.length > 0) {
+      logger.warn(`Config reload (${trigger}): ${restartNeeded.join(', ')} changed but only apply after a restart`);
+    }
+
+    // Sections that need a restart keep their running values
+    const applied = { ...next.config };
+    restartNeeded.forEach(section => { applied[section] = previous[section]; });
+    this.config = deepFreeze(applied);
+    next.warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+
+    const reloaded = changed.filter(section => RELOADABLE_SECTIONS.includes(section));
+    reloaded.forEach(section => {
+      (this.listeners.get(section) || []).forEach(listener => {
+        try {
+          listener(this.config[section], previous[section]);
+        } catch (error) {
+          logger.error(`Config reload (${trigger}): applying ${section} failed: ${error.message}`);
+        }
+      });
+    });
+    logger.info(`Config reload (${trigger}): ${reloaded.length > 0 ? `applied ${reloaded.join(', ')}` : 'no reloadable changes'}`);
+    return true;
+  }
+
+  /**
+   * Reload on SIGHUP and whenever the config file changes
+   */
+  watch() {
+    if (this.watcher || process.listeners('SIGHUP').includes(this.onSignal)) return;
+    process.on('SIGHUP', this.onSignal);
+
+    this.load();
+    if (this.file) {
+      // Watch the directory: editors often replace the file instead of writing to it
+      const name = path.basename(this.file);
+      this.watcher = fs.watch(path.dirname(this.file), (event, changed) => {
+        if (changed && changed !== name) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          if (fs.existsSync(this.file)) this.reload('file change');
+        }, WATCH_DEBOUNCE_MS);
+      });
+      this.watcher.unref();
+    }
+  }
+
+  /**
+   * Stop reloading (shutdown)
+   */
+  unwatch() {
+    process.removeListener('SIGHUP', this.onSignal);
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+// Shared instance for the app
+const config = new ConfigManager();
+
+module.exports = config;
+module.exports.ConfigManager = ConfigManager;
+module.exports.ConfigError = ConfigError;
+module.exports.buildConfig = buildConfig;
+module.exports.CONFIG_DEFAULTS = CONFIG_DEFAULTS;
+module.exports.RELOADABLE_SECTIONS = RELOADABLE_SECTIONS;
+module.exports.ENV_VARIABLES = ENV_VARIABLES;
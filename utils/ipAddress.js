@@ -0,0 +1,237 @@
+// utils/ipAddress.js - IP address and CIDR parsing helpers
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+/**
+ * Parse a dotted-quad IPv4 address into 4 bytes
+ * Rejects out-of-range octets and leading zeros (ambiguous octal notation)
+ */
+const parseIPv4 = (str) => {
+  const parts = str.split('.');
+  if (parts.length !== 4) return null;
+
+  const bytes = new Uint8Array(4);
+  for (let i = 0; i < 4; i++) {
+    const part = parts[i];
+    if (!/^\d{1,3}$/.test(part) || (part.length > 1 && part[0] === '0')) {
+      return null;
+    }
+    const value = Number(part);
+    if (value > 255) return null;
+    bytes[i] = value;
+  }
+  return bytes;
+};
+
+/**
+ * Parse an IPv6 address (with optional "::" and embedded IPv4 tail) into 16 bytes
+ */
+const parseIPv6 = (str) => {
+  if (!/^[0-9a-fA-F:.]+$/.test(str)) return null;
+
+  const halves = str.split('::');
+  if (halves.length > 2) return null;
+
+  const parseGroups = (part) => (part === '' ? [] : part.split(':'));
+  const head = parseGroups(halves[0]);
+  const tail = halves.length === 2 ? parseGroups(halves[1]) : [];
+
+  // An embedded IPv4 address may only appear as the last group
+  const groups = halves.length === 2 ? tail : head;
+  let ipv4Tail = null;
+  if (groups.length > 0 && groups[groups.length - 1].includes('.')) {
+    ipv4Tail = parseIPv4(groups.pop());
+    if (!ipv4Tail) return null;
+  }
+
+  const words = [];
+  for (const group of [...head, ...tail]) {
+    if (!/^[0-9a-fA-F]{1,4}$/.test(group)) return null;
+    words.push(parseInt(group, 16));
+  }
+
+  const totalWords = words.length + (ipv4Tail ? 2 : 0);
+  if (halves.length === 2 ? totalWords > 7 : totalWords !== 8) {
+    return null;
+  }
+
+  const bytes = new Uint8Array(16);
+  const writeWord = (index, word) => {
+    bytes[index * 2] = word >> 8;
+    bytes[index * 2 + 1] = word & 0xff;
+  };
+
+  head.forEach((word, i) => writeWord(i, parseInt(word, 16)));
+  const tailWords = halves.length === 2 ? tail.map(word => parseInt(word, 16)) : [];
+  const tailStart = 8 - tailWords.length - (ipv4Tail ? 2 : 0);
+  tailWords.forEach((word, i) => writeWord(tailStart + i, word));
+  if (ipv4Tail) {
+    bytes.set(ipv4Tail, 12);
+  }
+
+  return bytes;
+};
+
+/**
+ * Check whether 16 IPv6 bytes are an IPv4-mapped address (::ffff:0:0/96)
+ */
+const isIPv4Mapped = (bytes) => {
+  for (let i = 0; i < 10; i++) {
+    if (bytes[i] !== 0) return false;
+  }
+  return bytes[10] === 0xff && bytes[11] === 0xff;
+};
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * IPv4-mapped IPv6 addresses are normalized to plain IPv4
+ * @returns {{ version: 4|6, bytes: Uint8Array } | null}
+ */
+const parseIP = (str) => {
+  if (!str || typeof str !== 'string') return null;
+
+  if (str.includes(':')) {
+    const bytes = parseIPv6(str);
+    if (!bytes) return null;
+    if (isIPv4Mapped(bytes)) {
+      return { version: 4, bytes: bytes.slice(12) };
+    }
+    return { version: 6, bytes };
+  }
+
+  const bytes = parseIPv4(str);
+  return bytes ? { version: 4, bytes } : null;
+};
+
+/**
+ * Format parsed bytes back into the canonical address string
+ * IPv6 follows RFC 5952 (lowercase, longest zero run compressed)
+ */
+const formatIP = (version, bytes) => {
+  if (version === 4) {
+    return Array.from(bytes).join('.');
+  }
+
+  const words = [];
+  for (let i = 0; i < 16; i += 2) {
+    words.push((bytes[i] << 8) | bytes[i + 1]);
+  }
+
+  // Find the longest run of zero words (length >= 2) to compress
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    if (words[i] !== 0) continue;
+    let j = i;
+    while (j < 8 && words[j] === 0) j++;
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = words.map(word => word.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+
+  const head = hex.slice(0, bestStart).join(':');
+  const tail = hex.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+};
+
+/**
+ * Normalize an IP address string to its canonical form
+ * @returns {string|null} canonical address, or null if invalid
+ */
+const normalizeIP = (str) => {
+  const parsed = parseIP(str);
+  return parsed ? formatIP(parsed.version, parsed.bytes) : null;
+};
+
+/**
+ * Zero the host bits of an address for the given prefix length
+ */
+const maskBytes = (bytes, prefixLength) => {
+  const masked = bytes.slice();
+  for (let i = 0; i < masked.length; i++) {
+    const bitsInByte = Math.min(8, Math.max(0, prefixLength - i * 8));
+    masked[i] &= bitsInByte === 0 ? 0 : (0xff << (8 - bitsInByte)) & 0xff;
+  }
+  return masked;
+};
+
+/**
+ * Parse a single address or a CIDR range ("10.0.0.0/24", "2001:db8::/64")
+ * Host bits are masked off, and IPv4-mapped ranges become IPv4 ranges.
+ * A full-length prefix is formatted as a bare address so single IPs keep their usual form.
+ * @returns {{ version: 4|6, bytes: Uint8Array, prefixLength: number, cidr: string } | null}
+ */
+const parseCIDR = (str) => {
+  if (!str || typeof str !== 'string') return null;
+
+  const [address, prefix, ...rest] = str.trim().split('/');
+  if (rest.length > 0) return null;
+
+  let version;
+  let bytes;
+  let maxBits;
+  let prefixOffset = 0;
+
+  if (address.includes(':')) {
+    bytes = parseIPv6(address);
+    if (!bytes) return null;
+    version = 6;
+    maxBits = IPV6_BITS;
+  } else {
+    bytes = parseIPv4(address);
+    if (!bytes) return null;
+    version = 4;
+    maxBits = IPV4_BITS;
+  }
+
+  let prefixLength = maxBits;
+  if (prefix !== undefined) {
+    if (!/^\d{1,3}$/.test(prefix)) return null;
+    prefixLength = Number(prefix);
+    if (prefixLength > maxBits) return null;
+  }
+
+  // ::ffff:a.b.c.d/120 is the same range as a.b.c.d/24
+  if (version === 6 && prefixLength >= 96 && isIPv4Mapped(bytes)) {
+    version = 4;
+    bytes = bytes.slice(12);
+    prefixOffset = 96;
+    maxBits = IPV4_BITS;
+  }
+  prefixLength -= prefixOffset;
+
+  const network = maskBytes(bytes, prefixLength);
+  const base = formatIP(version, network);
+  return {
+    version,
+    bytes: network,
+    prefixLength,
+    cidr: prefixLength === maxBits ? base : `${base}/${prefixLength}`
+  };
+};
+
+/**
+ * Normalize an address or CIDR range to its canonical form
+ * @returns {string|null}
+ */
+const normalizeCIDR = (str) => {
+  const parsed = parseCIDR(str);
+  return parsed ? parsed.cidr : null;
+};
+
+module.exports = {
+  parseIP,
+  parseCIDR,
+  formatIP,
+  normalizeIP,
+  normalizeCIDR,
+  isIPv4Mapped
+};
@@ -0,0 +1,271 @@
+// utils/jwt.js - JSON Web Token signing and verification (HS*, RS*, ES*)
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Supported algorithms: digest, key type and (for EC) the required curve
+const ALGORITHMS = {
+  HS256: { hash: 'sha256', keyType: 'secret' },
+  HS384: { hash: 'sha384', keyType: 'secret' },
+  HS512: { hash: 'sha512', keyType: 'secret' },
+  RS256: { hash: 'sha256', keyType: 'rsa' },
+  RS384: { hash: 'sha384', keyType: 'rsa' },
+  RS512: { hash: 'sha512', keyType: 'rsa' },
+  ES256: { hash: 'sha256', keyType: 'ec', curve: 'prime256v1' },
+  ES384: { hash: 'sha384', keyType: 'ec', curve: 'secp384r1' },
+  ES512: { hash: 'sha512', keyType: 'ec', curve: 'secp521r1' }
+};
+
+/**
+ * Token rejected; `code` says why (malformed, algorithm, key, signature,
+ * expired, not_before, issuer, audience, claims)
+ */
+class JwtError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'JwtError';
+    this.code = code;
+  }
+}
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const parseSegment = (segment) => {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new JwtError('Malformed token', 'malformed');
+};
+
+/**
+ * Split a compact JWS into its parts without verifying anything
+ */
+const decode = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts.some(part => !/^[A-Za-z0-9_-]*$/.test(part))) {
+    throw new JwtError('Malformed token', 'malformed');
+  }
+
+  return {
+    header: parseSegment(parts[0]),
+    payload: parseSegment(parts[1]),
+    signature: Buffer.from(parts[2], 'base64url'),
+    signingInput: `${parts[0]}.${parts[1]}`
+  };
+};
+
+/**
+ * Whether `key` (a KeyObject) may be used with algorithm `alg`
+ * Keeps a public key from being accepted as an HMAC secret and vice versa.
+ */
+const keyMatchesAlgorithm = (key, alg) => {
+  const spec = ALGORITHMS[alg];
+  if (spec.keyType === 'secret') return key.type === 'secret';
+  if (key.type !== 'public' && key.type !== 'private') return false;
+  if (key.asymmetricKeyType !== spec.keyType) return false;
+  return !spec.curve || key.asymmetricKeyDetails.namedCurve === spec.curve;
+};
+
+/**
+ * Create a signed token
+ * @param {object} payload - claims; `iat` is added when missing
+ * @param {KeyObject|string|Buffer} key - HMAC secret or private key (PEM)
+ * @param {object} [options]
+ * @param {string} [options.algorithm] - defaults to HS256
+ * @param {string} [options.keyId] - `kid` header
+ * @param {number} [options.expiresIn] - lifetime in seconds, sets `exp`
+ */
+const sign = (payload, key, { algorithm = 'HS256', keyId, expiresIn } = {}) => {
+  const spec = ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new JwtError(`Unsupported algorithm: ${algorithm}`, 'algorithm');
+  }
+
+  const keyObject = typeof key === 'object' && key.type
+    ? key
+    : spec.keyType === 'secret' ? crypto.createSecretKey(Buffer.from(key)) : crypto.createPrivateKey(key);
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, ...payload };
+  if (expiresIn) claims.exp = now + expiresIn;
+
+  const header = { alg: algorithm, typ: 'JWT' };
+  if (keyId) header.kid = keyId;
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = spec.keyType === 'secret'
+    ? crypto.createHmac(spec.hash, keyObject).update(signingInput).digest()
+    : crypto.sign(spec.hash, Buffer.from(signingInput), { key: keyObject, dsaEncoding: 'ieee-p1363' });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Check a signature against one key
+ */
+const verifySignature = (alg, key, signingInput, signature) => {
+  const spec = ALGORITHMS[alg];
+  if (spec.keyType === 'secret') {
+    const expected = crypto.createHmac(spec.hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  return crypto.verify(spec.hash, Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' }, signature);
+};
+
+/**
+ * Load verification keys
+ * @param {object} sources
+ * @param {string} [sources.secret] - shared HMAC secret
+ * @param {string[]} [sources.publicKeyFiles] - PEM public keys (kid = file name without extension)
+ * @param {string} [sources.jwksFile] - JSON Web Key Set file ({ "keys": [...] })
+ * @returns {Array<{ kid: string|null, alg: string|null, key: KeyObject }>}
+ */
+const loadKeys = ({ secret, publicKeyFiles = [], jwksFile } = {}) => {
+  const keys = [];
+
+  if (secret) {
+    keys.push({ kid: null, alg: null, key: crypto.createSecretKey(Buffer.from(secret)) });
+  }
+
+  publicKeyFiles.forEach(file => {
+    const kid = file.split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+    keys.push({ kid, alg: null, key: crypto.createPublicKey(fs.readFileSync(file)) });
+  });
+
+  if (jwksFile) {
+    const jwks = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    if (!Array.isArray(jwks.keys)) {
+      throw new Error(`JWKS file ${jwksFile} has no "keys" array`);
+    }
+    jwks.keys
+      .filter(jwk => !jwk.use || jwk.use === 'sig')
+      .forEach(jwk => {
+        const key = jwk.kty === 'oct'
+          ? crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'))
+          : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        keys.push({ kid: jwk.kid || null, alg: jwk.alg || null, key });
+      });
+  }
+
+  return keys;
+};
+
+/**
+ * Default algorithm list for a key set: one per key type present
+ */
+const defaultAlgorithms = (keys) => {
+  return Object.keys(ALGORITHMS).filter(alg => keys.some(({ key, alg: pinned }) => {
+    return (!pinned || pinned === alg) && keyMatchesAlgorithm(key, alg);
+  }));
+};
+
+/**
+ * Verifies tokens against a fixed key set and claim expectations
+ */
+class JwtVerifier {
+  /**
+   * @param {object} options
+   * @param {Array} options.keys - keys from loadKeys()
+   * @param {string[]} [options.algorithms] - accepted `alg` values; defaults to what the keys support
+   * @param {string|string[]} [options.issuer] - accepted `iss` values
+   * @param {string|string[]} [options.audience] - token `aud` must contain one of these
+   * @param {number} [options.clockToleranceSec] - allowed clock skew for exp/nbf/iat
+   * @param {number} [options.maxAgeSec] - reject tokens issued longer ago than this
+   */
+  constructor({ keys, algorithms, issuer, audience, clockToleranceSec = 30, maxAgeSec = null }) {
+    if (!keys || keys.length === 0) {
+      throw new Error('JWT verifier needs at least one key');
+    }
+
+    this.keys = keys;
+    this.algorithms = algorithms || defaultAlgorithms(keys);
+    this.issuers = issuer ? [].concat(issuer) : null;
+    this.audiences = audience ? [].concat(audience) : null;
+    this.clockToleranceSec = clockToleranceSec;
+    this.maxAgeSec = maxAgeSec;
+
+    const unknown = this.algorithms.filter(alg => !ALGORITHMS[alg]);
+    if (unknown.length > 0) {
+      throw new Error(`Unsupported JWT algorithms: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Keys that may have signed a token with this header
+   */
+  candidateKeys({ alg, kid }) {
+    return this.keys.filter(entry => {
+      if (kid && entry.kid && entry.kid !== kid) return false;
+      if (entry.alg && entry.alg !== alg) return false;
+      return keyMatchesAlgorithm(entry.key, alg);
+    });
+  }
+
+  /**
+   * Verify a token and return its claims
+   * @throws {JwtError}
+   */
+  verify(token, now = Date.now()) {
+    const { header, payload, signature, signingInput } = decode(token);
+
+    if (!this.algorithms.includes(header.alg)) {
+      throw new JwtError(`Algorithm not allowed: ${header.alg}`, 'algorithm');
+    }
+
+    const candidates = this.candidateKeys(header);
+    if (candidates.length === 0) {
+      throw new JwtError('No key available for token', 'key');
+    }
+    if (!candidates.some(({ key }) => verifySignature(header.alg, key, signingInput, signature))) {
+      throw new JwtError('Invalid signature', 'signature');
+    }
+
+    this.checkClaims(payload, Math.floor(now / 1000));
+    return payload;
+  }
+
+  checkClaims(payload, nowSec) {
+    const skew = this.clockToleranceSec;
+    const numeric = ['exp', 'nbf', 'iat'].filter(claim => payload[claim] !== undefined);
+    if (numeric.some(claim => typeof payload[claim] !== 'number')) {
+      throw new JwtError('Invalid time claims', 'claims');
+    }
+
+    if (payload.exp === undefined) {
+      throw new JwtError('Token has no expiry', 'claims');
+    }
+    if (nowSec - skew >= payload.exp) {
+      throw new JwtError('Token expired', 'expired');
+    }
+    if (payload.nbf !== undefined && nowSec + skew < payload.nbf) {
+      throw new JwtError('Token not yet valid', 'not_before');
+    }
+    if (payload.iat !== undefined && nowSec + skew < payload.iat) {
+      throw new JwtError('Token issued in the future', 'claims');
+    }
+    if (this.maxAgeSec && (payload.iat === undefined || nowSec - skew > payload.iat + this.maxAgeSec)) {
+      throw new JwtError('Token too old', 'expired');
+    }
+
+    if (this.issuers && !this.issuers.includes(payload.iss)) {
+      throw new JwtError('Invalid issuer', 'issuer');
+    }
+    if (this.audiences) {
+      const audiences = [].concat(payload.aud || []);
+      if (!audiences.some(aud => this.audiences.includes(aud))) {
+        throw new JwtError('Invalid audience', 'audience');
+      }
+    }
+  }
+}
+
+module.exports = {
+  sign,
+  decode,
+  loadKeys,
+  JwtVerifier,
+  JwtError,
+  ALGORITHMS
+};
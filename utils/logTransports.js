@@ -0,0 +1,404 @@
+// utils/logTransports.js - Log output destinations for utils/logger.js
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const dgram = require('dgram');
+const zlib = require('zlib');
+const util = require('util');
+// stream/promises only exists from Node 15; package.json still supports 14
+const pipeline = util.promisify(require('stream').pipeline);
+
+// Lower number = more severe
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const CORE_FIELDS = ['timestamp', 'level', 'message'];
+
+/**
+ * Fields of a record other than timestamp, level and message
+ */
+const extraFields = (record) => {
+  const extra = {};
+  for (const key of Object.keys(record)) {
+    if (!CORE_FIELDS.includes(key)) extra[key] = record[key];
+  }
+  return extra;
+};
+
+/**
+ * JSON.stringify that never throws (circular references, BigInt)
+ */
+const safeStringify = (value) => {
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (key, item) => {
+      if (typeof item === 'bigint') return item.toString();
+      if (item && typeof item === 'object') {
+        if (seen.has(item)) return '[Circular]';
+        seen.add(item);
+      }
+      return item;
+    });
+  } catch (error) {
+    return JSON.stringify({ unserializable: error.message });
+  }
+};
+
+// Formatters: record -> single line (no trailing newline)
+const formatters = {
+  // One JSON object per line
+  json: (record) => safeStringify(record),
+
+  // [2024-01-01T00:00:00.000Z] INFO: message | {"extra":"fields"}
+  text: (record) => {
+    const extra = extraFields(record);
+    const extraStr = Object.keys(extra).length > 0 ? ` | ${safeStringify(extra)}` : '';
+    return `[${record.timestamp}] ${record.level.toUpperCase()}: ${record.message}${extraStr}`;
+  },
+
+  // Human friendly console output
+  pretty: (record) => {
+    const icons = { error: '❌', warn: '⚠️ ', info: 'ℹ️ ', debug: '🐛' };
+    const extra = extraFields(record);
+    const extraStr = Object.keys(extra).length > 0 ? ` ${safeStringify(extra)}` : '';
+    return `${icons[record.level]} ${record.message}${extraStr}`;
+  }
+};
+
+const getFormatter = (format) => {
+  const formatter = formatters[format];
+  if (!formatter) {
+    throw new Error(`Unknown log format: ${format}`);
+  }
+  return formatter;
+};
+
+/**
+ * Base class for transports
+ *
+ * Transport interface used by the logger:
+ *   log(record)  -> void             must not block; buffer if needed
+ *   flush()      -> Promise<void>    write out everything buffered so far
+ *   close()      -> Promise<void>    flush and release resources
+ * `level` (optional) is the least severe level the transport accepts.
+ */
+class Transport {
+  constructor({ level = 'debug', format = 'text' } = {}) {
+    if (LEVELS[level] === undefined) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+    this.format = getFormatter(format);
+  }
+
+  accepts(record) {
+    return LEVELS[record.level] <= LEVELS[this.level];
+  }
+
+  async flush() {}
+
+  async close() {
+    await this.flush();
+  }
+}
+
+/**
+ * stdout / stderr (errors and warnings go to stderr)
+ * Node already writes to pipes and files asynchronously.
+ */
+class ConsoleTransport extends Transport {
+  constructor(options = {}) {
+    super({ format: 'pretty', ...options });
+  }
+
+  log(record) {
+    const stream = LEVELS[record.level] <= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${this.format(record)}\n`);
+  }
+}
+
+/**
+ * UTC calendar day (YYYY-MM-DD) of a time
+ */
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Buffered, asynchronous append to a file, with optional rotation
+ * Lines are collected and written in one chunk every `flushIntervalMs`. If the
+ * disk cannot keep up and more than `maxBufferBytes` are waiting, new lines are
+ * dropped (and counted) instead of growing memory without bound.
+ *
+ * Rotation moves the file to `<name>.<YYYY-MM-DD>.<n><ext>` (app.log ->
+ * app.2024-01-15.1.log) when a write would take it past `maxSizeBytes`, or on
+ * the first write of a new UTC day with `rotateDaily`. It runs inside the same
+ * write queue as the lines, so every line lands whole in exactly one file.
+ * Archives are then gzipped (`compress`) and pruned by age (`retentionDays`)
+ * and count (`maxFiles`) in the background.
+ */
+class FileTransport extends Transport {
+  constructor({
+    filename,
+    flushIntervalMs = 100,
+    maxBufferBytes = 4 * 1024 * 1024,
+    maxSizeBytes = null,
+    rotateDaily = false,
+    compress = false,
+    retentionDays = null,
+    maxFiles = null,
+    ...options
+  }) {
+    super(options);
+    if (!filename) {
+      throw new Error('FileTransport requires a filename');
+    }
+    this.filename = filename;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxBufferBytes = maxBufferBytes;
+    this.rotation = { maxSizeBytes, rotateDaily, compress, retentionDays, maxFiles };
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.dropped = 0;
+    this.timer = null;
+    this.handle = null;
+    this.size = 0;
+    this.day = null;
+    this.writing = Promise.resolve();
+    this.maintenance = Promise.resolve();
+  }
+
+  log(record) {
+    const line = `${this.format(record)}\n`;
+    if (this.bufferedBytes + line.length > this.maxBufferBytes) {
+      this.dropped++;
+      return;
+    }
+
+    this.buffer.push(line);
+    this.bufferedBytes += line.length;
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  async open() {
+    if (!this.handle) {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      this.handle = await fs.promises.open(this.filename, 'a');
+      const stat = await this.handle.stat();
+      this.size = stat.size;
+      // An existing file belongs to the day it was last written
+      this.day = dayOf(stat.size > 0 ? stat.mtimeMs : Date.now());
+    }
+    return this.handle;
+  }
+
+  shouldRotate(chunkBytes, now = Date.now()) {
+    if (this.size === 0) return false;
+    const { maxSizeBytes, rotateDaily } = this.rotation;
+    if (maxSizeBytes && this.size + chunkBytes > maxSizeBytes) return true;
+    return Boolean(rotateDaily) && dayOf(now) !== this.day;
+  }
+
+  /**
+   * Pattern matching this file's archives: [full match, day, index, ".gz" or undefined]
+   */
+  archivePattern() {
+    const { name, ext } = path.parse(this.filename);
+    return new RegExp(`^${escapeRegExp(name)}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d+)${escapeRegExp(ext)}(\\.gz)?$`);
+  }
+
+  async listArchives() {
+    const pattern = this.archivePattern();
+    const entries = await fs.promises.readdir(path.dirname(this.filename));
+    return entries
+      .map(file => ({ file, match: file.match(pattern) }))
+      .filter(entry => entry.match)
+      .map(({ file, match }) => ({ file, day: match[1], index: Number(match[2]) }))
+      // Newest first
+      .sort((a, b) => (a.day === b.day ? b.index - a.index : b.day.localeCompare(a.day)));
+  }
+
+  /**
+   * Move the current file aside; called from the write queue only
+   */
+  async rotate() {
+    await this.handle.close();
+    this.handle = null;
+
+    const { name, ext, dir } = path.parse(this.filename);
+    const sameDay = (await this.listArchives()).filter(archive => archive.day === this.day);
+    const index = sameDay.length > 0 ? sameDay[0].index + 1 : 1;
+    const archive = path.join(dir, `${name}.${this.day}.${index}${ext}`);
+    await fs.promises.rename(this.filename, archive);
+
+    this.maintenance = this.maintenance
+      .then(() => this.compressAndPrune(archive))
+      .catch(error => {
+        process.stderr.write(`Log archive maintenance failed for ${archive}: ${error.message}\n`);
+      });
+  }
+
+  async compressAndPrune(archive) {
+    const { compress, retentionDays, maxFiles } = this.rotation;
+
+    if (compress) {
+      try {
+        await pipeline(fs.createReadStream(archive), zlib.createGzip(), fs.createWriteStream(`${archive}.gz`));
+        await fs.promises.unlink(archive);
+      } catch (error) {
+        // Never leave a truncated .gz next to (or instead of) the archive
+        await fs.promises.unlink(`${archive}.gz`).catch(() => {});
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    if (!retentionDays && !maxFiles) return;
+    const oldestKept = retentionDays ? dayOf(Date.now() - retentionDays * 24 * 60 * 60 * 1000) : null;
+    const archives = await this.listArchives();
+    const expired = archives.filter((archive, position) => {
+      return (maxFiles && position >= maxFiles) || (oldestKept && archive.day < oldestKept);
+    });
+    for (const { file } of expired) {
+      await fs.promises.unlink(path.join(path.dirname(this.filename), file)).catch(() => {});
+    }
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.buffer.length > 0) {
+      let chunk = this.buffer.join('');
+      if (this.dropped > 0) {
+        chunk += `${formatters.text({
+          timestamp: new Date().toISOString(),
+          level: 'warn',
+          message: `Log buffer full, dropped ${this.dropped} lines`
+        })}\n`;
+        this.dropped = 0;
+      }
+      this.buffer = [];
+      this.bufferedBytes = 0;
+
+      this.writing = this.writing
+        .then(async () => {
+          const bytes = Buffer.byteLength(chunk);
+          await this.open();
+          if (this.shouldRotate(bytes)) {
+            await this.rotate();
+            await this.open();
+          }
+          await this.handle.write(chunk);
+          this.size += bytes;
+        })
+        .catch(error => {
+          process.stderr.write(`Failed to write to log file ${this.filename}: ${error.message}\n`);
+        });
+    }
+    return this.writing;
+  }
+
+  async close() {
+    await this.flush();
+    await this.maintenance;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
+
+// Syslog severities (RFC 5424) for our levels
+const SYSLOG_SEVERITY = { error: 3, warn: 4, info: 6, debug: 7 };
+
+/**
+ * RFC 5424 syslog messages to a local daemon
+ * `path` sends over a Unix stream socket with octet-counting framing (RFC 6587);
+ * otherwise datagrams go to `host`:`port` over UDP. Messages that cannot be
+ * delivered are dropped: logging must never take the app down.
+ */
+class SyslogTransport extends Transport {
+  constructor({ path: socketPath, host = '127.0.0.1', port = 514, facility = 16, appName = 'security-middleware-app', ...options } = {}) {
+    super({ format: 'json', ...options });
+    this.socketPath = socketPath;
+    this.host = host;
+    this.port = port;
+    this.facility = facility; // 16 = local0
+    this.appName = appName;
+    this.hostname = os.hostname();
+    this.socket = null;
+    this.pending = [];
+  }
+
+  toSyslog(record) {
+    const priority = this.facility * 8 + SYSLOG_SEVERITY[record.level];
+    return `<${priority}>1 ${record.timestamp} ${this.hostname} ${this.appName} ${process.pid} - - ${this.format(record)}`;
+  }
+
+  log(record) {
+    const message = this.toSyslog(record);
+
+    if (!this.socketPath) {
+      if (!this.socket) {
+        this.socket = dgram.createSocket('udp4');
+        this.socket.on('error', () => {});
+        this.socket.unref();
+      }
+      this.socket.send(message, this.port, this.host);
+      return;
+    }
+
+    if (!this.socket) {
+      // Handlers use their own socket: close() or a reconnect may have replaced this.socket
+      const socket = net.createConnection(this.socketPath);
+      this.socket = socket;
+      socket.unref();
+      socket.on('connect', () => {
+        if (this.socket !== socket) return;
+        this.pending.forEach(frame => socket.write(frame));
+        this.pending = [];
+      });
+      // Reconnect on the next message
+      socket.on('error', () => {});
+      socket.on('close', () => {
+        if (this.socket === socket) this.socket = null;
+      });
+    }
+
+    const frame = `${Buffer.byteLength(message)} ${message}`;
+    if (this.socket.connecting) {
+      if (this.pending.length < 1000) this.pending.push(frame);
+    } else {
+      this.socket.write(frame);
+    }
+  }
+
+  async close() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    // Frames still waiting for the connection go out before the socket ends
+    if (socket instanceof net.Socket) {
+      this.pending.forEach(frame => socket.write(frame));
+      this.pending = [];
+    }
+    await new Promise(resolve => {
+      if (socket instanceof net.Socket) socket.end(resolve);
+      else socket.close(resolve);
+    });
+  }
+}
+
+module.exports = {
+  LEVELS,
+  formatters,
+  Transport,
+  ConsoleTransport,
+  FileTransport,
+  SyslogTransport
+};
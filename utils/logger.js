@@ -1,61 +1,202 @@
-const fs = require('fs');
 const path = require('path');
+const {
+  LEVELS,
+  ConsoleTransport,
+  FileTransport,
+  SyslogTransport
+} = require('./logTransports');
+const { getRequestContext } = require('./requestContext');
 
-// Create logs directory if it doesn't exist
-const logsDir = path.join(__dirname, '../logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
+// Errors do not survive JSON.stringify on their own
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  stack: error.stack
+});
+
+/**
+ * Turn the optional meta argument into record fields
+ * Objects are merged in, errors are expanded, anything else goes under `meta`.
+ */
+const metaFields = (meta) => {
+  if (meta === null || meta === undefined) return {};
+  if (meta instanceof Error) return { error: serializeError(meta) };
+  if (typeof meta !== 'object' || Array.isArray(meta)) return { meta };
+
+  const fields = {};
+  for (const [key, value] of Object.entries(meta)) {
+    fields[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return fields;
+};
 
 /**
- * Simple logger with different levels
+ * Structured logger with levels, bound context and pluggable transports
+ *
+ * Every call builds a record { timestamp, level, message, ...context, ...meta }
+ * and hands it to each transport; transports buffer and write asynchronously.
+ * Inside a request, the request context (requestId) is added automatically.
+ * Children share the root's level and transports and add their own context:
+ *   const log = logger.child({ component: 'banPolicy' });
+ *   log.info('Blacklist updated', { ip });
  */
 class Logger {
-  constructor() {
-    this.logFile = path.join(logsDir, 'app.log');
-    this.errorFile = path.join(logsDir, 'error.log');
-  }
-  
-  formatMessage(level, message, meta = null) {
-    const timestamp = new Date().toISOString();
-    const metaStr = meta ? ` | ${JSON.stringify(meta)}` : '';
-    return `[${timestamp}] ${level.toUpperCase()}: ${message}${metaStr}\n`;
-  }
-  
-  writeToFile(filename, content) {
-    try {
-      fs.appendFileSync(filename, content);
-    } catch (error) {
-      console.error('Failed to write to log file:', error);
+  /**
+   * @param {object} [options]
+   * @param {string} [options.level] - least severe level that is logged (error, warn, info, debug)
+   * @param {object[]} [options.transports] - see utils/logTransports.js
+   */
+  constructor({ level = 'info', transports = [], bindings = {}, root = null } = {}) {
+    this.root = root || this;
+    this.bindings = bindings;
+    if (!root) {
+      this.setLevel(level);
+      this.transports = transports;
+    }
+  }
+
+  setLevel(level) {
+    if (LEVELS[level] === undefined) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.root.level = level;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[this.root.level];
+  }
+
+  addTransport(transport) {
+    this.root.transports.push(transport);
+  }
+
+  /**
+   * Logger that adds `bindings` to every record
+   */
+  child(bindings) {
+    return new Logger({ bindings: { ...this.bindings, ...bindings }, root: this.root });
+  }
+
+  log(level, message, meta = null) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const record = { timestamp: new Date().toISOString(), level, message: String(message) };
+    const fields = { ...getRequestContext(), ...this.bindings, ...metaFields(meta) };
+    for (const [key, value] of Object.entries(fields)) {
+      if (!(key in record)) record[key] = value;
+    }
+
+    for (const transport of this.root.transports) {
+      if (!transport.accepts(record)) continue;
+      try {
+        transport.log(record);
+      } catch (error) {
+        process.stderr.write(`Log transport failed: ${error.message}\n`);
+      }
     }
   }
-  
+
   info(message, meta = null) {
-    const formatted = this.formatMessage('info', message, meta);
-    console.log(`ℹ️  ${message}`, meta || '');
-    this.writeToFile(this.logFile, formatted);
+    this.log('info', message, meta);
   }
-  
+
   warn(message, meta = null) {
-    const formatted = this.formatMessage('warn', message, meta);
-    console.warn(`⚠️  ${message}`, meta || '');
-    this.writeToFile(this.logFile, formatted);
+    this.log('warn', message, meta);
   }
-  
+
   error(message, meta = null) {
-    const formatted = this.formatMessage('error', message, meta);
-    console.error(`❌ ${message}`, meta || '');
-    this.writeToFile(this.errorFile, formatted);
-    this.writeToFile(this.logFile, formatted);
+    this.log('error', message, meta);
   }
-  
+
   debug(message, meta = null) {
-    if (process.env.NODE_ENV === 'development') {
-      const formatted = this.formatMessage('debug', message, meta);
-      console.debug(`🐛 ${message}`, meta || '');
-      this.writeToFile(this.logFile, formatted);
-    }
+    this.log('debug', message, meta);
+  }
+
+  /**
+   * Write out everything buffered so far
+   */
+  async flush() {
+    await Promise.all(this.root.transports.map(transport => transport.flush()));
+  }
+
+  /**
+   * Flush and release every transport (call on shutdown)
+   */
+  async close() {
+    await Promise.all(this.root.transports.map(transport => transport.close()));
   }
 }
 
-module.exports = new Logger();
\ No newline at end of file
+/**
+ * Parse a size like "10m", "500k" or "1048576" into bytes
+ */
+const parseSize = (value) => {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)([kmg]?)b?$/);
+  if (!match) {
+    throw new Error(`Invalid size: ${value}`);
+  }
+  const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  return Number(match[1]) * units[match[2]];
+};
+
+/**
+ * Build the transports selected by the environment
+ *   LOG_LEVEL       error | warn | info | debug (default: debug in development, else info)
+ *   LOG_FORMAT      text (default) or json, for log files; json also switches the console to JSON
+ *   LOG_TRANSPORTS  comma-separated: console, file, syslog (default: console,file)
+ *   LOG_DIR         directory for app.log and error.log (default: logs/)
+ *   LOG_MAX_SIZE    rotate a log file before it grows past this size: bytes or 500k / 10m / 1g (default 10m, 0 = off)
+ *   LOG_ROTATE_DAILY  also rotate at the first write of each UTC day (default true)
+ *   LOG_COMPRESS    gzip rotated files (default true)
+ *   LOG_RETENTION_DAYS  delete archives older than this many days (default 14, 0 = keep)
+ *   LOG_MAX_FILES   keep at most this many archives per log file (default unlimited)
+ *   SYSLOG_PATH     Unix socket of the local syslog daemon, or SYSLOG_HOST / SYSLOG_PORT for UDP;
+ *                   syslog messages always carry the record as JSON
+ */
+const createLoggerFromEnv = (env = process.env) => {
+  const format = env.LOG_FORMAT || 'text';
+  const logsDir = env.LOG_DIR || path.join(__dirname, '../logs');
+  const rotation = {
+    maxSizeBytes: parseSize(env.LOG_MAX_SIZE || '10m'),
+    rotateDaily: env.LOG_ROTATE_DAILY !== 'false',
+    compress: env.LOG_COMPRESS !== 'false',
+    retentionDays: env.LOG_RETENTION_DAYS !== undefined ? Number(env.LOG_RETENTION_DAYS) : 14,
+    maxFiles: env.LOG_MAX_FILES ? Number(env.LOG_MAX_FILES) : null
+  };
+  const selected = (env.LOG_TRANSPORTS || 'console,file').split(',').map(name => name.trim()).filter(Boolean);
+
+  const transports = [];
+  selected.forEach(name => {
+    if (name === 'console') {
+      transports.push(new ConsoleTransport({ format: format === 'json' ? 'json' : 'pretty' }));
+    } else if (name === 'file') {
+      transports.push(new FileTransport({ filename: path.join(logsDir, 'app.log'), format, ...rotation }));
+      transports.push(new FileTransport({ filename: path.join(logsDir, 'error.log'), format, level: 'error', ...rotation }));
+    } else if (name === 'syslog') {
+      transports.push(new SyslogTransport({
+        path: env.SYSLOG_PATH,
+        host: env.SYSLOG_HOST,
+        port: env.SYSLOG_PORT ? Number(env.SYSLOG_PORT) : undefined
+      }));
+    } else {
+      throw new Error(`Unknown log transport: ${name}`);
+    }
+  });
+
+  return new Logger({
+    level: env.LOG_LEVEL || (env.NODE_ENV === 'development' ? 'debug' : 'info'),
+    transports
+  });
+};
+
+const logger = createLoggerFromEnv();
+
+// Buffered lines are written out before a natural exit; signal handlers should call close()
+process.on('beforeExit', () => {
+  logger.flush();
+});
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.createLoggerFromEnv = createLoggerFromEnv;
@@ -0,0 +1,261 @@
+// utils/metrics.js - Counters, gauges and histograms in Prometheus text format
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Request latency buckets in seconds (Prometheus client defaults)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const escapeHelp = (value) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+/**
+ * Render a label set: {a="1",b="2"} (empty string for no labels)
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+/**
+ * Base class: one metric family with a fixed set of label names
+ * Series are kept per label combination; label values are stringified.
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    labelNames.forEach(label => {
+      if (!LABEL_NAME.test(label) || label === 'le') {
+        throw new Error(`Invalid label name for ${name}: ${label}`);
+      }
+    });
+    this.type = type;
+    this.name = name;
+    this.help = help || name;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Label values in declaration order; unknown or missing labels are errors
+   */
+  labelValues(labels = {}) {
+    const extra = Object.keys(labels).filter(label => !this.labelNames.includes(label));
+    if (extra.length > 0) {
+      throw new Error(`Unknown label for ${this.name}: ${extra.join(', ')}`);
+    }
+    return this.labelNames.map(label => {
+      if (labels[label] === undefined) {
+        throw new Error(`Missing label for ${this.name}: ${label}`);
+      }
+      return String(labels[label]);
+    });
+  }
+
+  seriesFor(labels, create) {
+    const values = this.labelValues(labels);
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]])), ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Monotonically increasing count
+ * @example blocked.inc({ reason: 'blacklist' })
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (!(amount >= 0)) {
+      throw new Error(`Counter ${this.name} can only increase`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Value that can go up and down
+ * With `collect`, the value is read at scrape time: collect(gauge) calls gauge.set().
+ */
+class Gauge extends Metric {
+  constructor({ collect = null, ...options }) {
+    super('gauge', options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    if (value === undefined) {
+      value = labels;
+      labels = {};
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ * @example latency.observe({ route: '/api/public', status: 200 }, 0.012)
+ */
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the result observes the elapsed seconds
+   */
+  startTimer() {
+    const start = process.hrtime.bigint();
+    return (labels) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, i) => {
+        cumulative += series.counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Set of metrics exposed together
+ * Modules register their own metrics on the shared registry:
+ *   const blocked = registry.counter({ name: 'security_blocked_total', help: '...' });
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  getMetric(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Prometheus text exposition format (version 0.0.4)
+   * Gauges with a collect function are refreshed first; a failing collector
+   * only leaves its own gauge stale.
+   */
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          lines.push(`# Collecting ${metric.name} failed: ${error.message.replace(/\n/g, ' ')}`);
+        }
+      }
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Content-Type of render() output
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = new Registry();
+module.exports.Registry = Registry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+module.exports.CONTENT_TYPE = CONTENT_TYPE;
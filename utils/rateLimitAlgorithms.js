@@ -0,0 +1,187 @@
+// utils/rateLimitAlgorithms.js - Constant-memory rate limiting algorithms
+//
+// Every algorithm keeps a small fixed-size state object per key and exposes:
+//   create(now)                 -> fresh state
+//   hit(state, now, config)     -> { count, resetTime }   records one request
+//   undo(state, now, config)    -> void                   takes one request back
+//   peek(state, now, config)    -> { count, resetTime }   reads without recording
+//   expiresAt(state, config)    -> epoch ms after which the state carries no information
+// `count` is how much of the limit is used (over `maxRequests` means blocked) and
+// `resetTime` is the epoch ms when the client gets headroom again.
+
+/**
+ * Index of the fixed window containing `now`
+ */
+const windowIndex = (now, windowMs) => Math.floor(now / windowMs);
+
+/**
+ * Weighted request count for the sliding window counter
+ * The previous window's count is scaled by how much of it still overlaps.
+ */
+const slidingWindowCount = (current, previous, now, windowMs) => {
+  const elapsed = (now % windowMs) / windowMs;
+  return Math.floor(previous * (1 - elapsed)) + current;
+};
+
+/**
+ * Fixed window: one counter that resets at each window boundary
+ * Cheapest option; allows up to 2x the limit across a boundary.
+ */
+const fixedWindow = {
+  name: 'fixed-window',
+
+  create(now) {
+    return { window: 0, count: 0, lastRequest: now };
+  },
+
+  roll(state, now, { windowMs }) {
+    const current = windowIndex(now, windowMs);
+    if (state.window !== current) {
+      state.window = current;
+      state.count = 0;
+    }
+  },
+
+  hit(state, now, config) {
+    this.roll(state, now, config);
+    state.count++;
+    state.lastRequest = now;
+    return this.peek(state, now, config);
+  },
+
+  undo(state, now, config) {
+    this.roll(state, now, config);
+    state.count = Math.max(0, state.count - 1);
+  },
+
+  peek(state, now, config) {
+    this.roll(state, now, config);
+    return { count: state.count, resetTime: (state.window + 1) * config.windowMs };
+  },
+
+  expiresAt(state, { windowMs }) {
+    return (state.window + 1) * windowMs;
+  }
+};
+
+/**
+ * Sliding window counter: current and previous window counts, weighted
+ * Close approximation of a sliding log with two numbers instead of one
+ * timestamp per request.
+ */
+const slidingWindow = {
+  name: 'sliding-window',
+
+  create(now) {
+    return { window: 0, current: 0, previous: 0, lastRequest: now };
+  },
+
+  roll(state, now, { windowMs }) {
+    const current = windowIndex(now, windowMs);
+    if (state.window === current) return;
+
+    state.previous = state.window === current - 1 ? state.current : 0;
+    state.current = 0;
+    state.window = current;
+  },
+
+  hit(state, now, config) {
+    this.roll(state, now, config);
+    state.current++;
+    state.lastRequest = now;
+    return this.peek(state, now, config);
+  },
+
+  undo(state, now, config) {
+    this.roll(state, now, config);
+    state.current = Math.max(0, state.current - 1);
+  },
+
+  peek(state, now, config) {
+    this.roll(state, now, config);
+    return {
+      count: slidingWindowCount(state.current, state.previous, now, config.windowMs),
+      resetTime: (state.window + 1) * config.windowMs
+    };
+  },
+
+  expiresAt(state, { windowMs }) {
+    return (state.window + 2) * windowMs;
+  }
+};
+
+/**
+ * Token bucket: `maxRequests` tokens, refilled evenly over `windowMs`
+ * Allows short bursts up to the bucket size while holding the average rate.
+ * A blocked request still costs a token (down to -1), so a flood does not get
+ * a fresh token the moment one refills.
+ */
+const tokenBucket = {
+  name: 'token-bucket',
+
+  create(now) {
+    return { tokens: null, updatedAt: now, lastRequest: now };
+  },
+
+  refill(state, now, { windowMs, maxRequests }) {
+    if (state.tokens === null) {
+      state.tokens = maxRequests;
+    } else {
+      const rate = maxRequests / windowMs;
+      state.tokens = Math.min(maxRequests, state.tokens + (now - state.updatedAt) * rate);
+    }
+    state.updatedAt = now;
+  },
+
+  hit(state, now, config) {
+    this.refill(state, now, config);
+    state.tokens = Math.max(-1, state.tokens - 1);
+    state.lastRequest = now;
+    return this.peek(state, now, config);
+  },
+
+  undo(state, now, config) {
+    this.refill(state, now, config);
+    state.tokens = Math.min(config.maxRequests, state.tokens + 1);
+  },
+
+  peek(state, now, config) {
+    this.refill(state, now, config);
+    const rate = config.maxRequests / config.windowMs;
+    const tokensNeeded = Math.max(0, 1 - state.tokens);
+    return {
+      count: Math.ceil(config.maxRequests - state.tokens),
+      resetTime: now + Math.ceil(tokensNeeded / rate)
+    };
+  },
+
+  expiresAt(state, { windowMs, maxRequests }) {
+    // Once the bucket has refilled completely the state is the same as a new one
+    const missing = maxRequests - (state.tokens === null ? maxRequests : state.tokens);
+    return state.updatedAt + Math.ceil(missing * (windowMs / maxRequests));
+  }
+};
+
+const algorithms = {
+  [fixedWindow.name]: fixedWindow,
+  [slidingWindow.name]: slidingWindow,
+  [tokenBucket.name]: tokenBucket
+};
+
+/**
+ * Look up an algorithm by name
+ */
+const getAlgorithm = (name) => {
+  const algorithm = algorithms[name];
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm "${name}". Use one of: ${Object.keys(algorithms).join(', ')}`);
+  }
+  return algorithm;
+};
+
+module.exports = {
+  getAlgorithm,
+  windowIndex,
+  slidingWindowCount,
+  ALGORITHMS: Object.keys(algorithms)
+};
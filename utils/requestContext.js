@@ -0,0 +1,28 @@
+// utils/requestContext.js - Per-request context that follows async work
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` available to everything it calls, sync or async
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Context of the request being handled, or null outside of one
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * Id of the request being handled, or null outside of one
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+module.exports = {
+  runWithContext,
+  getRequestContext,
+  getRequestId
+};
@@ -0,0 +1,211 @@
+// utils/respClient.js - Minimal Redis protocol (RESP) client
+const net = require('net');
+const logger = require('./logger');
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+const encodeCommand = (args) => {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+};
+
+/**
+ * Parse one RESP value from `buffer` starting at `offset`
+ * @returns {{ value: *, offset: number } | null} null when more data is needed
+ */
+const parseReply = (buffer, offset = 0) => {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type byte: ${type}`);
+  }
+};
+
+/**
+ * Error reply sent by the server
+ */
+class RespError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+/**
+ * Small promise-based client for Redis-compatible servers
+ * Connects lazily and reconnects on the next command after a dropped connection.
+ * Replies come back in order, so pending commands are a simple FIFO queue.
+ */
+class RespClient {
+  constructor({ host = '127.0.0.1', port = 6379, password = null, db = 0, connectTimeout = 5000 } = {}) {
+    this.options = { host, port, password, db, connectTimeout };
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Create a client from a redis:// URL (redis://:password@host:port/db)
+   */
+  static fromUrl(url) {
+    const parsed = new URL(url);
+    return new RespClient({
+      host: parsed.hostname || '127.0.0.1',
+      port: Number(parsed.port) || 6379,
+      password: parsed.password ? decodeURIComponent(parsed.password) : null,
+      db: Number(parsed.pathname.slice(1)) || 0
+    });
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      socket.setNoDelay(true);
+      socket.setTimeout(this.options.connectTimeout);
+
+      const onConnectError = (error) => {
+        socket.destroy();
+        reject(error);
+      };
+      socket.once('error', onConnectError);
+      socket.once('timeout', () => onConnectError(new Error('Connection to Redis timed out')));
+
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        socket.removeListener('error', onConnectError);
+        this.attach(socket);
+        resolve();
+      });
+    }).then(async () => {
+      if (this.options.password) await this.command(['AUTH', this.options.password]);
+      if (this.options.db) await this.command(['SELECT', this.options.db]);
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('error', (error) => {
+      logger.error(`Redis connection error: ${error.message}`);
+    });
+    socket.on('close', () => {
+      this.socket = null;
+      const pending = this.pending;
+      this.pending = [];
+      pending.forEach(({ reject }) => reject(new Error('Redis connection closed')));
+    });
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let parsed;
+    try {
+      while (this.pending.length > 0 && (parsed = parseReply(this.buffer))) {
+        this.buffer = this.buffer.subarray(parsed.offset);
+        const { resolve, reject } = this.pending.shift();
+        if (parsed.value instanceof RespError) {
+          reject(parsed.value);
+        } else {
+          resolve(parsed.value);
+        }
+      }
+    } catch (error) {
+      // Protocol errors leave the stream in an unknown state
+      this.socket.destroy(error);
+    }
+  }
+
+  /**
+   * Send one command, e.g. command(['GET', 'key'])
+   */
+  async command(args) {
+    if (!this.socket) await this.connect();
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run commands in a MULTI/EXEC transaction
+   * @returns {Promise<Array>} one reply per command
+   */
+  async multi(commands) {
+    if (!this.socket) await this.connect();
+
+    const replies = [this.command(['MULTI'])];
+    commands.forEach(args => replies.push(this.command(args)));
+    replies.push(this.command(['EXEC']));
+
+    const results = await Promise.all(replies);
+    const execResult = results[results.length - 1];
+    if (execResult === null) {
+      throw new Error('Redis transaction aborted');
+    }
+
+    const failure = execResult.find(value => value instanceof RespError);
+    if (failure) throw failure;
+    return execResult;
+  }
+
+  async quit() {
+    if (!this.socket) return;
+    await this.command(['QUIT']).catch(() => {});
+    if (this.socket) this.socket.destroy();
+  }
+}
+
+module.exports = RespClient;
+module.exports.RespError = RespError;
+module.exports.encodeCommand = encodeCommand;
+module.exports.parseReply = parseReply;
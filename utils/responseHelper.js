@@ -1,3 +1,16 @@
+const { getRequestId } = require('./requestContext');
+
+/**
+ * Id of the current request, for correlating a response with its log lines
+ */
+const withRequestId = (response) => {
+  const requestId = getRequestId();
+  if (requestId) {
+    response.requestId = requestId;
+  }
+  return response;
+};
+
 const successResponse = (message, data = null, statusCode = 200) => {
   const response = {
     success: true,
@@ -9,7 +22,7 @@ const successResponse = (message, data = null, statusCode = 200) => {
     response.data = data;
   }
   
-  return response;
+  return withRequestId(response);
 };
 
 /**
@@ -35,26 +48,26 @@ const errorResponse = (message, statusCode = 500, details = null) => {
     }
   }
   
-  return response;
+  return withRequestId(response);
 };
 
 /**
  * Validation error response helper
  */
 const validationErrorResponse = (errors) => {
-  return {
+  return withRequestId({
     success: false,
     message: 'Validation failed',
     errors: Array.isArray(errors) ? errors : [errors],
     timestamp: new Date().toISOString()
-  };
+  });
 };
 
 /**
  * Pagination response helper
  */
 const paginatedResponse = (message, data, page, limit, total) => {
-  return {
+  return withRequestId({
     success: true,
     message: message,
     data: data,
@@ -65,7 +78,7 @@ const paginatedResponse = (message, data, page, limit, total) => {
       pages: Math.ceil(total / limit)
     },
     timestamp: new Date().toISOString()
-  };
+  });
 };
 
 module.exports = {
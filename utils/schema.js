@@ -0,0 +1,263 @@
+// utils/schema.js - Validation against a JSON Schema subset
+const { parseIP, parseCIDR } = require('./ipAddress');
+
+/**
+ * String formats understood by `format`
+ */
+const formats = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  phone: (value) => /^\+?[\d\s\-()]{10,}$/.test(value),
+  name: (value) => /^[a-zA-Z\s]{2,50}$/.test(value),
+  alphanumeric: (value) => /^[a-zA-Z0-9]+$/.test(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+  ip: (value) => parseIP(value) !== null,
+  cidr: (value) => parseCIDR(value) !== null,
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const KEYWORDS = [
+  'type', 'enum', 'const', 'default', 'description',
+  'minLength', 'maxLength', 'pattern', 'format',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'properties', 'required', 'additionalProperties', 'minProperties', 'maxProperties',
+  'items', 'minItems', 'maxItems', 'uniqueItems'
+];
+
+/**
+ * Thrown for schemas that use unsupported keywords or are malformed
+ * (a programming error, found when the schema is compiled, not per request)
+ */
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describeValue = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+/**
+ * Convert a string (query, params, headers) to the first type it can represent
+ * Returns the value unchanged when no listed type fits.
+ */
+const coerce = (value, types) => {
+  if (typeof value !== 'string' || types.includes('string')) return value;
+
+  for (const type of types) {
+    if ((type === 'number' || type === 'integer') && value.trim() !== '' && Number.isFinite(Number(value))) {
+      const number = Number(value);
+      if (type === 'number' || Number.isInteger(number)) return number;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    if (type === 'null' && value === '') return null;
+  }
+  return value;
+};
+
+/**
+ * Check a schema once, up front
+ * Unknown keywords are rejected so a typo ("minLenght") never silently disables a check.
+ */
+const compileSchema = (schema, path = '#') => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new SchemaError(`${path}: schema must be an object`);
+  }
+
+  const unknown = Object.keys(schema).filter(keyword => !KEYWORDS.includes(keyword));
+  if (unknown.length > 0) {
+    throw new SchemaError(`${path}: unsupported keyword ${unknown.join(', ')}`);
+  }
+
+  [].concat(schema.type || []).forEach(type => {
+    if (!TYPES.includes(type)) throw new SchemaError(`${path}: unknown type ${type}`);
+  });
+  if (schema.format && !formats[schema.format]) {
+    throw new SchemaError(`${path}: unknown format ${schema.format}`);
+  }
+  if (schema.enum && !Array.isArray(schema.enum)) {
+    throw new SchemaError(`${path}: enum must be an array`);
+  }
+  if (schema.required && !Array.isArray(schema.required)) {
+    throw new SchemaError(`${path}: required must be an array of property names`);
+  }
+
+  const compiled = { ...schema };
+  if (schema.pattern) compiled.pattern = new RegExp(schema.pattern);
+  if (schema.properties) {
+    compiled.properties = {};
+    for (const [name, property] of Object.entries(schema.properties)) {
+      compiled.properties[name] = compileSchema(property, `${path}.properties.${name}`);
+    }
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    compiled.additionalProperties = compileSchema(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+  if (schema.items) {
+    compiled.items = compileSchema(schema.items, `${path}.items`);
+  }
+  return compiled;
+};
+
+// Own data property even for names like "__proto__", which plain assignment would treat as the prototype
+const setField = (object, name, value) => {
+  Object.defineProperty(object, name, { value, enumerable: true, writable: true, configurable: true });
+};
+
+const hasField = (object, name) => Object.prototype.hasOwnProperty.call(object, name) && object[name] !== undefined;
+
+const childPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  if (/^[A-Za-z_$][\w$-]*$/.test(key)) return path ? `${path}.${key}` : key;
+  return `${path}[${JSON.stringify(key)}]`;
+};
+
+/**
+ * Validate (and, with `coerceStrings`, convert) a value against a compiled schema
+ * Object properties default to `additionalProperties: false`: unknown fields are
+ * errors unless the schema allows them.
+ * @returns {{ value: *, errors: Array<{ field: string, message: string }> }}
+ *   value has defaults applied and strings coerced
+ */
+const check = (schema, value, path, options, errors) => {
+  const fail = (message) => errors.push({ field: path || '(root)', message });
+  const types = [].concat(schema.type || []);
+
+  if (options.coerceStrings && types.length > 0) {
+    if (types.includes('array') && value !== undefined && !Array.isArray(value)) {
+      // ?tag=a is a single value; ?tag=a&tag=b is already an array
+      value = [value];
+    } else {
+      value = coerce(value, types);
+    }
+  }
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    fail(`must be ${types.join(' or ')}`);
+    return value;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${describeValue(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(describeValue).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be no more than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      fail('has invalid format');
+    }
+    if (schema.format && !formats[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have no more than ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('must not contain duplicate items');
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, childPath(path, index), options, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const result = {};
+
+    (schema.required || []).forEach(name => {
+      if (!hasField(value, name)) {
+        errors.push({ field: childPath(path, name), message: 'is required' });
+      }
+    });
+
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) fail(`must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) fail(`must have no more than ${schema.maxProperties} properties`);
+
+    for (const [name, property] of Object.entries(properties)) {
+      if (hasField(value, name)) {
+        setField(result, name, check(property, value[name], childPath(path, name), options, errors));
+      } else if (property.default !== undefined) {
+        setField(result, name, property.default);
+      }
+    }
+
+    const additional = schema.additionalProperties === undefined ? options.additionalProperties : schema.additionalProperties;
+    for (const name of Object.keys(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, name)) continue;
+      if (additional === false) {
+        errors.push({ field: childPath(path, name), message: 'is not allowed' });
+      } else if (additional && typeof additional === 'object') {
+        setField(result, name, check(additional, value[name], childPath(path, name), options, errors));
+      } else {
+        setField(result, name, value[name]);
+      }
+    }
+    value = result;
+  }
+
+  return value;
+};
+
+/**
+ * Validate a value
+ * @param {object} schema - compiled with compileSchema (plain schemas are compiled on the fly)
+ * @param {*} value
+ * @param {object} [options]
+ * @param {string} [options.path] - prefix for error fields, e.g. 'body'
+ * @param {boolean} [options.coerceStrings] - convert strings to the schema's number/boolean/array types
+ * @param {boolean} [options.additionalProperties] - default for objects that do not say (false)
+ * @returns {{ valid: boolean, value: *, errors: Array<{ field: string, message: string }> }}
+ */
+const validate = (schema, value, { path = '', coerceStrings = false, additionalProperties = false } = {}) => {
+  const errors = [];
+  const result = check(schema, value, path, { coerceStrings, additionalProperties }, errors);
+  return { valid: errors.length === 0, value: result, errors };
+};
+
+module.exports = {
+  compileSchema,
+  validate,
+  formats,
+  SchemaError
+};
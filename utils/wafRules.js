@@ -0,0 +1,294 @@
+// utils/wafRules.js - Attack detection rules and anomaly scoring
+const fs = require('fs');
+const path = require('path');
+
+// Rules shipped with the app
+const DEFAULT_RULES_FILE = path.join(__dirname, '../rules/waf-rules.json');
+
+// Parts of a request a rule can inspect; "headers.user-agent" narrows a target to one field
+const TARGETS = ['path', 'query', 'body', 'headers', 'cookies'];
+
+// Object keys are inspected too, for these targets (header and cookie names are not)
+const KEY_TARGETS = ['query', 'body'];
+
+// Pseudo rule id reported for requests too large to inspect in full
+const INSPECTION_LIMIT_RULE = 'inspection-limit';
+
+const RULE_FIELDS = ['id', 'description', 'target', 'targets', 'pattern', 'flags', 'transforms', 'score', 'tags', 'exclude'];
+
+/**
+ * Thrown for rules files that are malformed or use unsupported fields
+ * (found when the rules are compiled, at startup, not per request)
+ */
+class WafRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WafRuleError';
+  }
+}
+
+const HTML_ENTITIES = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&', colon: ':', sol: '/', lpar: '(', rpar: ')', tab: '\t', newline: '\n' };
+
+// Percent-decode repeatedly, so double-encoded input (%252e) is seen too
+const urlDecode = (value) => {
+  let decoded = value;
+  for (let round = 0; round < 3; round++) {
+    const next = decoded.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    if (next === decoded) break;
+    decoded = next;
+  }
+  return decoded;
+};
+
+const htmlDecode = (value) => value.replace(/&(?:#(\d{1,7})|#x([0-9a-fA-F]{1,6})|([a-zA-Z]{2,8}));?/g, (match, dec, hex, name) => {
+  if (dec || hex) {
+    const code = dec ? parseInt(dec, 10) : parseInt(hex, 16);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return HTML_ENTITIES[name.toLowerCase()] || match;
+});
+
+// Replace /* ... */ with a space; a linear scan, a regex would be quadratic on unclosed comments
+const removeComments = (value) => {
+  let result = '';
+  let position = 0;
+  while (position < value.length) {
+    const start = value.indexOf('/*', position);
+    if (start === -1) break;
+    const end = value.indexOf('*/', start + 2);
+    if (end === -1) break;
+    result += `${value.slice(position, start)} `;
+    position = end + 2;
+  }
+  return result + value.slice(position);
+};
+
+/**
+ * Normalizations a rule can apply to a value before matching, in the listed order
+ */
+const transforms = {
+  urlDecode,
+  htmlDecode,
+  removeComments,
+  removeNulls: (value) => value.replace(/\0/g, ''),
+  compressWhitespace: (value) => value.replace(/\s+/g, ' ')
+};
+
+const toList = (value) => (value === undefined ? [] : [].concat(value));
+
+const targetMatches = (target, field) => field === target || field.startsWith(`${target}.`);
+
+/**
+ * Check rule definitions once, up front, and build their regular expressions
+ *
+ * A rule: { id, description?, targets (or target), pattern, flags? (default "i"),
+ *           transforms?, score, tags?, exclude? }
+ * Unknown fields are rejected so a typo ("tagets") never silently disables a rule.
+ * @param {object[]} definitions
+ * @returns {object[]} compiled rules
+ */
+const compileRules = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    throw new WafRuleError('rules must be an array');
+  }
+
+  const ids = new Set();
+  return definitions.map((definition, index) => {
+    const where = definition && definition.id ? `rule ${definition.id}` : `rule #${index}`;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new WafRuleError(`${where}: must be an object`);
+    }
+
+    const unknown = Object.keys(definition).filter(field => !RULE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new WafRuleError(`${where}: unsupported field ${unknown.join(', ')}`);
+    }
+    if (typeof definition.id !== 'string' || definition.id === '') {
+      throw new WafRuleError(`${where}: id is required`);
+    }
+    if (ids.has(definition.id) || definition.id === INSPECTION_LIMIT_RULE) {
+      throw new WafRuleError(`${where}: duplicate id`);
+    }
+    ids.add(definition.id);
+
+    const targets = [...toList(definition.target), ...toList(definition.targets)];
+    if (targets.length === 0) {
+      throw new WafRuleError(`${where}: at least one target is required`);
+    }
+    targets.forEach(target => {
+      if (typeof target !== 'string' || !TARGETS.includes(target.split('.')[0])) {
+        throw new WafRuleError(`${where}: unknown target ${target} (expected ${TARGETS.join(', ')})`);
+      }
+    });
+
+    toList(definition.transforms).forEach(name => {
+      if (!transforms[name]) throw new WafRuleError(`${where}: unknown transform ${name}`);
+    });
+
+    if (!(typeof definition.score === 'number' && definition.score > 0)) {
+      throw new WafRuleError(`${where}: score must be a positive number`);
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(definition.pattern, definition.flags === undefined ? 'i' : definition.flags);
+    } catch (error) {
+      throw new WafRuleError(`${where}: invalid pattern: ${error.message}`);
+    }
+    if (typeof definition.pattern !== 'string' || pattern.global || pattern.sticky) {
+      throw new WafRuleError(`${where}: pattern must be a string without the g or y flag`);
+    }
+
+    return {
+      id: definition.id,
+      description: definition.description || '',
+      targets: targets.map(target => target.toLowerCase()),
+      pattern,
+      transforms: toList(definition.transforms).map(name => transforms[name]),
+      transformKey: toList(definition.transforms).join(','),
+      score: definition.score,
+      tags: toList(definition.tags),
+      exclude: toList(definition.exclude).map(field => String(field).toLowerCase())
+    };
+  });
+};
+
+/**
+ * Read and compile a rules file: { "rules": [ ... ] } or a bare array
+ */
+const loadRules = (file) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new WafRuleError(`Cannot read WAF rules from ${file}: ${error.message}`);
+  }
+  return compileRules(Array.isArray(parsed) ? parsed : parsed.rules);
+};
+
+/**
+ * Flatten the inspectable parts of a request into { field, value } pairs
+ * Fields are dotted paths like "query.id", "body.items.0.name" or
+ * "headers.user-agent"; object keys appear as values of their own path.
+ *
+ * Path, query, headers and cookies are walked first, with a `maxFields` budget
+ * of their own, so padding the body cannot push them out of view; the body
+ * gets a second `maxFields`. Walking stops at `maxDepth` and once the values
+ * add up to `maxTotalLength` characters; whatever is skipped that way is
+ * reported in `truncated` (the first field left out). Strings are cut to
+ * `maxValueLength` without counting as truncation: the sanitizer refuses
+ * longer ones right afterwards.
+ *
+ * @param {object} request - { path, query, body, headers, cookies }; an Express req works
+ * @returns {{ fields: Array<{ field: string, value: string }>, truncated: string|null }}
+ */
+const inspectionFields = (request, {
+  maxDepth = 32,
+  maxFields = 20000,
+  maxValueLength = 100000,
+  maxTotalLength = 1024 * 1024
+} = {}) => {
+  const fields = [];
+  let truncated = null;
+  let budget = 0;
+  let totalLength = 0;
+
+  const skip = (field) => {
+    if (!truncated) truncated = field;
+  };
+
+  const add = (field, value) => {
+    const cut = value.length > maxValueLength ? value.slice(0, maxValueLength) : value;
+    if (budget >= maxFields || totalLength + cut.length > maxTotalLength) {
+      skip(field);
+      return;
+    }
+    budget++;
+    totalLength += cut.length;
+    fields.push({ field, value: cut });
+  };
+
+  const walk = (value, field, depth, withKeys) => {
+    if (truncated && (budget >= maxFields || totalLength >= maxTotalLength)) return;
+    if (depth > maxDepth) {
+      skip(field);
+    } else if (typeof value === 'string') {
+      add(field, value);
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      add(field, String(value));
+    } else if (value && typeof value === 'object') {
+      for (const key of Object.keys(value)) {
+        const child = `${field}.${key}`;
+        if (withKeys && !Array.isArray(value)) add(child, key);
+        walk(value[key], child, depth + 1, withKeys);
+      }
+    }
+  };
+
+  if (typeof request.path === 'string') add('path', request.path);
+  ['query', 'headers', 'cookies'].forEach(target => {
+    if (request[target]) walk(request[target], target, 0, KEY_TARGETS.includes(target));
+  });
+  budget = 0;
+  if (request.body) walk(request.body, 'body', 0, true);
+  return { fields, truncated };
+};
+
+/**
+ * Run every rule against a request and add up the scores
+ * A rule counts once per request, on the first field it matches. A request
+ * that could not be inspected in full (see inspectionFields) also matches
+ * INSPECTION_LIMIT_RULE, with `truncatedScore`.
+ *
+ * @param {object[]} rules - compiled with compileRules / loadRules
+ * @param {object} request - see inspectionFields
+ * @param {object} [options] - limits (see inspectionFields) and truncatedScore (default 3)
+ * @returns {{ score: number, matches: Array<{ id, score, tags, field }>, truncated: string|null }}
+ */
+const evaluateRules = (rules, request, { truncatedScore = 3, ...limits } = {}) => {
+  const { fields, truncated } = inspectionFields(request, limits);
+  const matches = [];
+
+  const names = fields.map(({ field }) => field.toLowerCase());
+
+  // Rules mostly share a few transform chains; normalize each value once per chain
+  const normalized = fields.map(() => new Map());
+  const normalize = (rule, index, value) => {
+    const cache = normalized[index];
+    if (!cache.has(rule.transformKey)) {
+      cache.set(rule.transformKey, rule.transforms.reduce((current, transform) => transform(current), value));
+    }
+    return cache.get(rule.transformKey);
+  };
+
+  for (const rule of rules) {
+    const hit = fields.find(({ value }, index) => {
+      const name = names[index];
+      if (!rule.targets.some(target => targetMatches(target, name))) return false;
+      if (rule.exclude.some(excluded => targetMatches(excluded, name))) return false;
+      return rule.pattern.test(normalize(rule, index, value));
+    });
+    if (hit) {
+      matches.push({ id: rule.id, score: rule.score, tags: rule.tags, field: hit.field });
+    }
+  }
+
+  // Whatever was not inspected may be hiding an attack
+  if (truncated && truncatedScore > 0) {
+    matches.push({ id: INSPECTION_LIMIT_RULE, score: truncatedScore, tags: ['protocol'], field: truncated });
+  }
+
+  return { score: matches.reduce((total, match) => total + match.score, 0), matches, truncated };
+};
+
+module.exports = {
+  compileRules,
+  loadRules,
+  evaluateRules,
+  inspectionFields,
+  transforms,
+  TARGETS,
+  INSPECTION_LIMIT_RULE,
+  DEFAULT_RULES_FILE,
+  WafRuleError
+};
@@ -0,0 +1,228 @@
+// utils/yaml.js - Parser for the YAML subset used by configuration files
+//
+// Supported: block mappings and sequences (nested by indentation), "- key: value"
+// items, flow lists and maps of scalars ([a, b], { a: 1 }), single and double
+// quoted strings, numbers, true/false, null/~ and # comments.
+// Not supported (rejected with the line number): anchors, aliases, tags,
+// block scalars (| and >), multiple documents and tabs for indentation.
+
+/**
+ * Thrown for input outside the supported subset or malformed YAML
+ */
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+// Own data property even for "__proto__", which plain assignment would treat as the prototype
+const setField = (object, name, value) => {
+  Object.defineProperty(object, name, { value, enumerable: true, writable: true, configurable: true });
+};
+
+// A quote only starts a string at the start of a value ("it's" is plain text)
+const opensQuote = (text, i) => i === 0 || /[\s[{,:]/.test(text[i - 1]);
+
+/**
+ * Cut a trailing comment: "#" at the start or after whitespace, outside quotes
+ */
+const stripComment = (text) => {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && opensQuote(text, i)) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+};
+
+/**
+ * Split a flow collection body on commas outside quotes
+ */
+const splitFlow = (body, line) => {
+  const items = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && opensQuote(body, i)) {
+      quote = char;
+    } else if ('[]{}'.includes(char)) {
+      throw new YamlError('nested flow collections are not supported', line);
+    } else if (char === ',') {
+      items.push(body.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  const last = body.slice(start).trim();
+  if (last !== '' || items.length > 0) items.push(last);
+  if (items.some(item => item === '')) {
+    throw new YamlError('empty item in flow collection', line);
+  }
+  return items;
+};
+
+// Plain or quoted mapping key followed by ":" and a space or the end of the line
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-?:,[\]{}&*!|>%@`][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/;
+
+const parseKey = (raw, line) => (raw[0] === '"' || raw[0] === "'" ? parseScalar(raw, line) : raw);
+
+/**
+ * Convert one scalar or flow collection
+ */
+const parseScalar = (text, line) => {
+  if (text.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) throw new YamlError('unterminated double-quoted string', line);
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new YamlError(`invalid escape in ${text}`, line);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw new YamlError('unterminated single-quoted string', line);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new YamlError('unterminated flow sequence', line);
+    return splitFlow(text.slice(1, -1), line).map(item => parseScalar(item, line));
+  }
+  if (text.startsWith('{')) {
+    if (!text.endsWith('}')) throw new YamlError('unterminated flow mapping', line);
+    const mapping = {};
+    splitFlow(text.slice(1, -1), line).forEach(item => {
+      const match = item.match(KEY_PATTERN);
+      if (!match) throw new YamlError(`expected "key: value" in flow mapping, got ${item}`, line);
+      setField(mapping, parseKey(match[1], line), match[2] === undefined ? null : parseScalar(match[2], line));
+    });
+    return mapping;
+  }
+  if (/^[&*!|>%@`]/.test(text)) {
+    throw new YamlError(`unsupported YAML feature: ${text}`, line);
+  }
+
+  if (/^(?:null|Null|NULL|~)?$/.test(text)) return null;
+  if (/^(?:true|True|TRUE)$/.test(text)) return true;
+  if (/^(?:false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(?:0|[1-9]\d*)$/.test(text)) return Number(text);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+};
+
+const isSequenceItem = (text) => text === '-' || text.startsWith('- ');
+
+/**
+ * Parse a YAML document into plain objects, arrays and scalars
+ * @param {string} source
+ * @returns {*} the document (null when empty)
+ */
+const parseYaml = (source) => {
+  const lines = [];
+  String(source).split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const indentMatch = raw.match(/^[ \t]*/)[0];
+    if (indentMatch.includes('\t') && raw.trim() !== '') {
+      throw new YamlError('tabs are not allowed for indentation', line);
+    }
+    const text = stripComment(raw.slice(indentMatch.length));
+    if (text === '' || (lines.length === 0 && text === '---')) return;
+    if (text === '---' || text === '...') {
+      throw new YamlError('multiple documents are not supported', line);
+    }
+    lines.push({ indent: indentMatch.length, text, line });
+  });
+
+  const parseNode = (index, indent) => {
+    const current = lines[index];
+    if (current.indent < indent) return [null, index];
+    return isSequenceItem(current.text) ? parseSequence(index, current.indent) : parseMapping(index, current.indent);
+  };
+
+  // Value of "key:" or "-" with nothing after it: a nested block, or null
+  const parseNested = (index, parentIndent, allowSameIndentSequence) => {
+    const next = lines[index];
+    if (!next) return [null, index];
+    if (next.indent > parentIndent) return parseNode(index, next.indent);
+    if (allowSameIndentSequence && next.indent === parentIndent && isSequenceItem(next.text)) {
+      return parseSequence(index, parentIndent);
+    }
+    return [null, index];
+  };
+
+  const parseSequence = (index, indent) => {
+    const sequence = [];
+    while (index < lines.length && lines[index].indent === indent && isSequenceItem(lines[index].text)) {
+      const { text, line } = lines[index];
+      const rest = text.slice(1).trimStart();
+      if (rest === '') {
+        const [value, next] = parseNested(index + 1, indent, false);
+        sequence.push(value);
+        index = next;
+      } else if (isSequenceItem(rest) || KEY_PATTERN.test(rest)) {
+        // "- key: value" starts a mapping (or "- - x" a sequence) at the column of its first key
+        lines[index] = { indent: indent + (text.length - rest.length), text: rest, line };
+        const [value, next] = parseNode(index, lines[index].indent);
+        sequence.push(value);
+        index = next;
+      } else {
+        sequence.push(parseScalar(rest, line));
+        index++;
+      }
+    }
+    if (index < lines.length && lines[index].indent > indent) {
+      throw new YamlError('unexpected indentation', lines[index].line);
+    }
+    return [sequence, index];
+  };
+
+  const parseMapping = (index, indent) => {
+    const mapping = {};
+    while (index < lines.length && lines[index].indent === indent && !isSequenceItem(lines[index].text)) {
+      const { text, line } = lines[index];
+      const match = text.match(KEY_PATTERN);
+      if (!match) {
+        throw new YamlError(`expected "key: value", got ${text}`, line);
+      }
+      const key = parseKey(match[1], line);
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw new YamlError(`duplicate key ${key}`, line);
+      }
+
+      if (match[2] === undefined || match[2] === '') {
+        const [value, next] = parseNested(index + 1, indent, true);
+        setField(mapping, key, value);
+        index = next;
+      } else {
+        setField(mapping, key, parseScalar(match[2], line));
+        index++;
+      }
+    }
+    if (index < lines.length && lines[index].indent > indent) {
+      throw new YamlError('unexpected indentation', lines[index].line);
+    }
+    return [mapping, index];
+  };
+
+  if (lines.length === 0) return null;
+  const [document, end] = parseNode(0, lines[0].indent);
+  if (end < lines.length) {
+    throw new YamlError('unexpected content (check the indentation)', lines[end].line);
+  }
+  return document;
+};
+
+module.exports = {
+  parseYaml,
+  YamlError
+};